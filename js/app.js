@@ -11,23 +11,25 @@ import { VRM, VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm';
 import { Communicate, VoicesManager } from 'edge-tts-universal';
 import { phonemize } from 'phonemizer';
 import { loadMixamoAnimation } from './loadMixamoAnimation.js';
-import { pipeline, env } from 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2';
 import { Live2DManager } from './live2d-manager.js';
 import { SettingsManager } from './settings-manager.js';
-
-// =============================================
-// TRANSFORMERS.JS CONFIGURATION - USE LOCAL MODELS
-// =============================================
-// Configure to use locally hosted models (works locally AND on Netlify)
-env.allowRemoteModels = false;  // Don't use CDN
-env.allowLocalModels = true;    // Use local files
-env.localModelPath = '/public/models/';  // Path to local models
-
-console.log('🔧 Transformers.js configured for LOCAL models:', {
-    allowRemoteModels: env.allowRemoteModels,
-    allowLocalModels: env.allowLocalModels,
-    localModelPath: env.localModelPath
-});
+import { ToolRegistry, llmTools } from './llm-tools.js';
+import { llmAdapters, openAIAdapter } from './llm-adapters.js';
+import { TokenBudget } from './token-budget.js';
+import { ConversationTree } from './conversation-tree.js';
+import { CharacterCast, PRIMARY_CHARACTER_ID } from './character-cast.js';
+import { CharacterCard } from './character-card.js';
+import { AvatarTagParser, DEFAULT_AVATAR_TAG_VOCABULARY } from './avatar-tags.js';
+import { PromptTemplate, PROMPT_VARIABLES, DEFAULT_PROMPT_TEMPLATE } from './prompt-template.js';
+import { ImageAttachments } from './image-attachments.js';
+import { SentenceSegmenter } from './sentence-segmenter.js';
+import { ReasoningParser } from './reasoning-parser.js';
+import { UsageTracker, USAGE_STORE_NAME, DEFAULT_PRICE_TABLE } from './usage-tracker.js';
+import { LatencyTelemetry, LATENCY_METRICS } from './latency-telemetry.js';
+import { IdleChatter } from './idle-chatter.js';
+import { ReminderList, REMINDER_STORE_NAME } from './reminders.js';
+import { KnowledgeBase, KNOWLEDGE_STORE_NAME } from './knowledge-base.js';
+import { UserProfile, PROFILE_STORE_NAME, PROFILE_FACT_TYPES } from './user-profile.js';
 
 // =============================================
 // PHONEME TO VRM BLEND SHAPE MAPPING
@@ -60,33 +62,73 @@ const PHONEME_DURATION = 100;
 // =============================================
 // LLM Provider Configuration
 // =============================================
+// `adapter` names the request/response format in js/llm-adapters.js ('openai' when not set)
 const LLM_PROVIDERS = {
     gemini: {
         name: 'Google Gemini',
         baseUrl: 'https://generativelanguage.googleapis.com/v1beta/openai',
         apiKeyRequired: true,
-        models: [] // Will be fetched from API
+        adapter: 'openai', // Gemini's OpenAI-compatible endpoint
+        models: [], // Will be fetched from API
+        fallbackModels: [ // Used when the model list can't be fetched
+            'gemini-2.0-flash-exp',
+            'gemini-1.5-pro',
+            'gemini-1.5-flash',
+            'gemini-1.5-flash-8b'
+        ]
     },
     openai: {
         name: 'OpenAI',
         baseUrl: 'https://api.openai.com/v1',
         apiKeyRequired: true,
+        adapter: 'openai',
+        modelFilter: (id) => id.includes('gpt'), // /models also lists embeddings, audio, images...
         models: [] // Will be fetched from API
     },
     openrouter: {
         name: 'OpenRouter',
         baseUrl: 'https://openrouter.ai/api/v1',
         apiKeyRequired: true,
+        adapter: 'openrouter',
+        models: [] // Will be fetched from API
+    },
+    anthropic: {
+        name: 'Anthropic (Claude)',
+        baseUrl: 'https://api.anthropic.com/v1',
+        apiKeyRequired: true,
+        adapter: 'anthropic', // Native Messages API (not OpenAI-compatible)
         models: [] // Will be fetched from API
     },
     ollama: {
         name: 'Ollama (Local)',
         baseUrl: 'http://localhost:11434/v1',
+        // Native API (model list, model details) lives at the configured server URL
+        get serverUrl() {
+            return APP_STATE.settings.ollamaUrl || 'http://localhost:11434';
+        },
         apiKeyRequired: false,
+        adapter: 'ollama',
         models: [] // Will be fetched from /api/tags
+    },
+    local: {
+        name: 'Local (in-browser)',
+        adapter: 'local', // Transformers.js in js/local-llm-worker.js - no server, no API key
+        apiKeyRequired: false,
+        contextLength: 2048, // Keep prompts short - every token runs on the CPU
+        models: [
+            'Xenova/Qwen1.5-0.5B-Chat',
+            'Xenova/TinyLlama-1.1B-Chat-v1.0'
+        ]
     }
 };
 
+const MAX_TOOL_ROUNDS = 3; // Tool call round-trips before the model must answer
+
+// Context lengths reported by provider APIs ("provider|model" -> tokens), filled as models are fetched
+const MODEL_CONTEXT_METADATA = {};
+// Whether a model takes image input, where the provider API says so ("provider|model" -> boolean)
+const MODEL_VISION_METADATA = {};
+
 // =============================================
 // TTS Provider Configuration
 // =============================================
@@ -126,11 +168,24 @@ const APP_STATE = {
     // Animation State
     isAnimating: false,
     currentAnimationName: 'idle',
+    tagAnimations: {}, // Clips loaded for avatar tags, by path (cleared with the mixer)
+    oneShotAnimation: null, // Tag clip playing once before returning to idle/talking
     
     // AI/LLM State
-    conversationHistory: [],
+    conversationHistory: [], // Context window: the active branch (pruned/summarized)
+    conversationTree: new ConversationTree(), // Every turn, including regenerated/edited branches
     isProcessing: false,
-    requestQueue: [],
+    abortController: null, // Set while a request is in flight (Stop button)
+    lastAnsweredBy: null, // { provider, model } that produced the last reply
+    lastContextReport: null, // What TokenBudget.pack kept/dropped for the last request
+    lastMemoryContext: '', // {{memories}} sent with the last request (prompt preview)
+    mood: 'neutral', // Last emotion the character showed ({{mood}})
+    isThinking: false, // Reasoning model is still in its <think> phase (thinking pose)
+    previousVisitAt: SettingsManager.get('lastSeenAt', 0, 'int'), // Last message before this session ({{last_seen}})
+    activeCharacterId: PRIMARY_CHARACTER_ID, // Cast member replying (or last to reply)
+    focusedAvatarKey: null, // "type|path" of the cast avatar on stage (null = main avatar)
+    requestQueue: [], // { message, options } waiting for the current reply
+    pendingImages: [], // Attachments for the next message ({ dataUrl, name, width, height })
     speechQueue: [],
     currentAudio: null,
     currentPhonemes: [],
@@ -140,8 +195,8 @@ const APP_STATE = {
 
     // Memory System State
     memoryDB: null,
-    embedder: null,
-    classifier: null,
+    embedderReady: false, // MiniLM loaded in the memory worker
+    classifierReady: false, // DistilBERT loaded in the memory worker
     modelsLoaded: false,
 
     // Settings with localStorage persistence - managed by SettingsManager utility
@@ -192,6 +247,9 @@ function initDOMCache() {
     DOM.chatInput = document.getElementById('chatInput');
     DOM.sendBtn = document.getElementById('sendBtn');
     DOM.voiceBtn = document.getElementById('voiceBtn');
+    DOM.stopBtn = document.getElementById('stopBtn');
+    DOM.answeredBy = document.getElementById('answeredBy');
+    DOM.regenerateBtn = document.getElementById('regenerateBtn');
 
     // LLM Settings
     DOM.llmProvider = document.getElementById('llmProvider');
@@ -347,11 +405,12 @@ function saveSetting(key, value) {
 // =============================================
 const MEMORY_DB_NAME = 'VTuberMemoryDB';
 const MEMORY_STORE_NAME = 'memories';
+const MEMORY_INDEX_STORE_NAME = 'memoryIndex'; // HNSW graph over memory embeddings (memory-index-worker.js)
 
 // Initialize IndexedDB for memory storage
 function initMemoryDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open(MEMORY_DB_NAME, 1);
+        const request = indexedDB.open(MEMORY_DB_NAME, 7); // v2: usage store, v3: reminders, v4: knowledge base, v5: memory index, v6: pinned memories, v7: user profile
 
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
@@ -372,6 +431,32 @@ function initMemoryDB() {
                 objectStore.createIndex('category', 'category', { unique: false });
                 objectStore.createIndex('role', 'role', { unique: false });
             }
+            // Pinned memories - only pinned ones have pinnedAt, so this index lists just them
+            const memoryStore = event.target.transaction.objectStore(MEMORY_STORE_NAME);
+            if (!memoryStore.indexNames.contains('pinnedAt')) {
+                memoryStore.createIndex('pinnedAt', 'pinnedAt', { unique: false });
+            }
+            // Token/character usage per day, provider and model (Usage & Costs)
+            if (!db.objectStoreNames.contains(USAGE_STORE_NAME)) {
+                const usageStore = db.createObjectStore(USAGE_STORE_NAME, { keyPath: 'key' });
+                usageStore.createIndex('day', 'day', { unique: false });
+            }
+            // Pending reminders and timers
+            if (!db.objectStoreNames.contains(REMINDER_STORE_NAME)) {
+                db.createObjectStore(REMINDER_STORE_NAME, { keyPath: 'id' });
+            }
+            // Knowledge base passages (uploaded documents, with embeddings)
+            if (!db.objectStoreNames.contains(KNOWLEDGE_STORE_NAME)) {
+                db.createObjectStore(KNOWLEDGE_STORE_NAME, { keyPath: 'id' });
+            }
+            // Nearest-neighbour graph for memory search (node records keyed by memory id)
+            if (!db.objectStoreNames.contains(MEMORY_INDEX_STORE_NAME)) {
+                db.createObjectStore(MEMORY_INDEX_STORE_NAME, { keyPath: 'id' });
+            }
+            // Facts about the user (name, likes, plans...) extracted from conversations
+            if (!db.objectStoreNames.contains(PROFILE_STORE_NAME)) {
+                db.createObjectStore(PROFILE_STORE_NAME, { keyPath: 'id' });
+            }
         };
     });
 }
@@ -382,11 +467,13 @@ async function initMemoryModels() {
         showStatus('🧠 Loading memory models...', 'loading');
 
         // Load embedding model (MiniLM - 23MB)
-        APP_STATE.embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
+        await memoryWorkerRequest('load-model', { model: 'embedding' });
+        APP_STATE.embedderReady = true;
         console.log('✅ Embedder loaded');
 
         // Load classifier (DistilBERT - 250MB)
-        APP_STATE.classifier = await pipeline('text-classification', 'Xenova/distilbert-base-uncased-finetuned-sst-2-english');
+        await memoryWorkerRequest('load-model', { model: 'classifier' });
+        APP_STATE.classifierReady = true;
         console.log('✅ Classifier loaded');
 
         APP_STATE.modelsLoaded = true;
@@ -400,24 +487,23 @@ async function initMemoryModels() {
     }
 }
 
-// Generate embedding from text
+// Generate embedding from text (in the memory worker)
 async function generateEmbedding(text) {
-    if (!APP_STATE.embedder) {
+    if (!APP_STATE.embedderReady) {
         // Fallback: Use simple hash-based pseudo-embedding
         console.warn('⚠️ Embedder not available, using fallback');
         return null; // Memory search will fall back to keyword matching
     }
-    const output = await APP_STATE.embedder(text, { pooling: 'mean', normalize: true });
-    return Array.from(output.data);
+    return memoryWorkerRequest('embed', { text });
 }
 
 // Classify message importance and category
 async function classifyMessage(text) {
-    if (!APP_STATE.classifier) {
+    if (!APP_STATE.classifierReady) {
         return { importance: 5, category: 'general', sentiment: 'NEUTRAL' };
     }
 
-    const result = await APP_STATE.classifier(text);
+    const result = await memoryWorkerRequest('classify', { text });
     const isPositive = result[0].label === 'POSITIVE';
     const importance = Math.round(result[0].score * 10);
 
@@ -474,6 +560,7 @@ async function saveMemory(text, role, metadata = {}) {
             const request = objectStore.add(memory);
             request.onsuccess = () => {
                 console.log(`💾 Memory saved (importance: ${classification.importance}, category: ${classification.category})`);
+                updateMemoryIndex('add', { id: request.result, embedding, characterId: memory.characterId });
                 resolve(request.result);
             };
             request.onerror = () => reject(request.error);
@@ -484,7 +571,8 @@ async function saveMemory(text, role, metadata = {}) {
 }
 
 // Retrieve relevant memories using semantic search
-async function retrieveRelevantMemories(query, topK = 3) {
+// characterId: only that character's memories (private memory scope)
+async function retrieveRelevantMemories(query, topK = 3, characterId = null) {
     if (!APP_STATE.memoryDB || !APP_STATE.modelsLoaded) {
         return [];
     }
@@ -492,6 +580,15 @@ async function retrieveRelevantMemories(query, topK = 3) {
     try {
         const queryEmbedding = await generateEmbedding(query);
 
+        // Index in the worker when it's up; otherwise (still syncing, rebuilding) scan everything below
+        if (memoryIndexReady) {
+            try {
+                return await searchMemoryIndex(queryEmbedding, topK, characterId);
+            } catch (error) {
+                console.warn('⚠️ Memory index search failed, scanning all memories:', error);
+            }
+        }
+
         const transaction = APP_STATE.memoryDB.transaction([MEMORY_STORE_NAME], 'readonly');
         const objectStore = transaction.objectStore(MEMORY_STORE_NAME);
 
@@ -506,9 +603,10 @@ async function retrieveRelevantMemories(query, topK = 3) {
                     return;
                 }
 
-                // Filter out memories with invalid embeddings
+                // Filter out memories with invalid embeddings (and other characters' when scoped)
                 const validMemories = memories.filter(mem => 
-                    mem.embedding && Array.isArray(mem.embedding) && mem.embedding.length > 0
+                    mem.embedding && Array.isArray(mem.embedding) && mem.embedding.length > 0 &&
+                    (!characterId || (mem.characterId || PRIMARY_CHARACTER_ID) === characterId)
                 );
                 
                 if (validMemories.length === 0) {
@@ -523,14 +621,7 @@ async function retrieveRelevantMemories(query, topK = 3) {
                     similarity: cosineSimilarity(queryEmbedding, mem.embedding)
                 }));
 
-                // Sort by combined score (70% similarity + 30% importance)
-                scored.sort((a, b) => {
-                    const scoreA = a.similarity * 0.7 + (a.importance / 10) * 0.3;
-                    const scoreB = b.similarity * 0.7 + (b.importance / 10) * 0.3;
-                    return scoreB - scoreA;
-                });
-
-                resolve(scored.slice(0, topK));
+                resolve(rankMemories(scored).slice(0, topK));
             };
 
             request.onerror = () => reject(request.error);
@@ -541,6 +632,15 @@ async function retrieveRelevantMemories(query, topK = 3) {
     }
 }
 
+// Sort by combined score (70% similarity + 30% importance)
+function rankMemories(scored) {
+    return scored.sort((a, b) => {
+        const scoreA = a.similarity * 0.7 + (a.importance / 10) * 0.3;
+        const scoreB = b.similarity * 0.7 + (b.importance / 10) * 0.3;
+        return scoreB - scoreA;
+    });
+}
+
 // Cosine similarity calculation
 function cosineSimilarity(vecA, vecB) {
     // Safety checks for null/undefined embeddings
@@ -592,6 +692,7 @@ async function clearAllMemories() {
     return new Promise((resolve) => {
         const request = objectStore.clear();
         request.onsuccess = () => {
+            updateMemoryIndex('clear');
             console.log('🗑️ All memories cleared');
             showStatus('🗑️ Memories cleared', 'success');
             resolve();
@@ -600,6 +701,500 @@ async function clearAllMemories() {
     });
 }
 
+// =============================================
+// Memory Index - approximate nearest-neighbour search in a worker
+// =============================================
+// The worker keeps an HNSW graph over memory embeddings in IndexedDB, so a search touches a few
+// hundred vectors instead of all of them. saveMemory/cleanup/clear keep it up to date; on load it
+// catches up with anything it missed.
+const MEMORY_INDEX_CANDIDATES = 5; // Nearest memories fetched per memory wanted, then re-ranked with importance
+let memoryIndexWorker = null;
+let memoryIndexReady = false;
+let memoryIndexRequestId = 0;
+const memoryIndexRequests = new Map();
+
+function startMemoryIndex() {
+    if (memoryIndexWorker || !APP_STATE.memoryDB) return;
+
+    memoryIndexWorker = new Worker('./js/memory-index-worker.js', { type: 'module' });
+
+    memoryIndexWorker.onmessage = (event) => {
+        const { type, id } = event.data;
+
+        if (type === 'index-progress') {
+            updateMemoryIndexStatus(`⏳ Indexing memories... ${event.data.done}/${event.data.total}`);
+            return;
+        }
+
+        const request = memoryIndexRequests.get(id);
+        if (!request) return;
+        memoryIndexRequests.delete(id);
+
+        if (type.endsWith('-error')) {
+            request.reject(new Error(event.data.error));
+        } else {
+            request.resolve(event.data.result);
+        }
+    };
+
+    memoryIndexWorker.onerror = (error) => {
+        console.error('❌ Memory index worker failed:', error);
+        memoryIndexRequests.forEach(request => request.reject(new Error('Memory index worker crashed')));
+        memoryIndexRequests.clear();
+        memoryIndexWorker = null;
+        memoryIndexReady = false;
+        updateMemoryIndexStatus('❌ Index unavailable - searching all memories directly');
+    };
+
+    updateMemoryIndexStatus('⏳ Loading memory index...');
+    memoryIndexRequest('open', {
+        dbName: MEMORY_DB_NAME,
+        memoryStore: MEMORY_STORE_NAME,
+        indexStore: MEMORY_INDEX_STORE_NAME,
+        defaultCharacterId: PRIMARY_CHARACTER_ID
+    }).then(result => {
+        memoryIndexReady = true;
+        console.log(`✅ Memory index ready (${result.size} memories)`);
+        updateMemoryIndexStatus(`✅ ${result.size} memories indexed`);
+    }).catch(error => {
+        console.error('❌ Memory index failed to load:', error);
+        updateMemoryIndexStatus(`❌ ${error.message} - searching all memories directly`);
+    });
+}
+
+function memoryIndexRequest(type, data = {}) {
+    if (!memoryIndexWorker) {
+        return Promise.reject(new Error('Memory index not running'));
+    }
+    const id = ++memoryIndexRequestId;
+    return new Promise((resolve, reject) => {
+        memoryIndexRequests.set(id, { resolve, reject });
+        memoryIndexWorker.postMessage({ type, id, data });
+    });
+}
+
+// Keep the index in step with the memory store ('add', 'remove', 'clear'); misses are caught up on next load
+function updateMemoryIndex(type, data = {}) {
+    if (!memoryIndexWorker) return;
+    memoryIndexRequest(type, data)
+        .then(result => updateMemoryIndexStatus(`✅ ${result.size} memories indexed`))
+        .catch(error => console.warn(`⚠️ Memory index ${type} failed:`, error));
+}
+
+// Nearest memories from the index, re-ranked by similarity and importance like the full scan
+async function searchMemoryIndex(queryEmbedding, topK, characterId) {
+    const matches = await memoryIndexRequest('search', {
+        embedding: queryEmbedding,
+        k: topK * MEMORY_INDEX_CANDIDATES,
+        characterId
+    });
+    if (matches.length === 0) return [];
+
+    const objectStore = APP_STATE.memoryDB.transaction([MEMORY_STORE_NAME], 'readonly').objectStore(MEMORY_STORE_NAME);
+    const memories = await Promise.all(matches.map(match => new Promise(resolve => {
+        const request = objectStore.get(match.id);
+        request.onsuccess = () => resolve(request.result ? { ...request.result, similarity: match.similarity } : null);
+        request.onerror = () => resolve(null);
+    })));
+
+    return rankMemories(memories.filter(Boolean)).slice(0, topK);
+}
+
+// Start over from the stored memories (searches scan everything until it's done)
+async function rebuildMemoryIndex() {
+    if (!memoryIndexWorker) {
+        showStatus('⚠️ Memory index is not running', 'warning');
+        return;
+    }
+
+    memoryIndexReady = false;
+    updateMemoryIndexStatus('⏳ Rebuilding memory index...');
+    showStatus('🔁 Rebuilding memory index...', 'loading');
+    try {
+        const result = await memoryIndexRequest('rebuild');
+        memoryIndexReady = true;
+        updateMemoryIndexStatus(`✅ ${result.size} memories indexed`);
+        showStatus(`✅ Memory index rebuilt (${result.size} memories)`, 'success');
+    } catch (error) {
+        console.error('Memory index rebuild error:', error);
+        updateMemoryIndexStatus(`❌ Rebuild failed: ${error.message}`);
+        showStatus('❌ Index rebuild failed: ' + error.message, 'error');
+    }
+}
+
+function updateMemoryIndexStatus(text) {
+    const status = document.getElementById('memoryIndexStatus');
+    if (status) status.textContent = text;
+}
+
+// =============================================
+// Memory Browser - page through, search, edit, pin and delete stored memories
+// =============================================
+const MEMORY_CATEGORIES = ['general', 'personal_info', 'preferences', 'question', 'story', 'response'];
+const memoryBrowser = {
+    page: 0,
+    pageSize: 20,
+    total: 0,
+    items: [], // Memories on the current page
+    selected: new Set(), // Memory ids ticked for bulk actions
+    filters: { text: '', role: '', category: '', minImportance: 0, pinnedOnly: false, from: '', to: '' }
+};
+
+function memoryMatchesFilters(memory, filters) {
+    if (filters.role && memory.role !== filters.role) return false;
+    if (filters.category && memory.category !== filters.category) return false;
+    if (filters.minImportance && (memory.importance || 0) < filters.minImportance) return false;
+    if (filters.pinnedOnly && !memory.pinnedAt) return false;
+    if (filters.text && !(memory.text || '').toLowerCase().includes(filters.text.toLowerCase())) return false;
+    return true;
+}
+
+// One page of matching memories, newest first. Walks the timestamp index with a cursor (date range
+// applied by the index) so large stores aren't loaded at once; embeddings are left out of the page.
+function queryMemories(filters, page, pageSize) {
+    if (!APP_STATE.memoryDB) return Promise.resolve({ items: [], total: 0 });
+
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+    const range = from !== null && to !== null ? IDBKeyRange.bound(from, to)
+        : from !== null ? IDBKeyRange.lowerBound(from)
+        : to !== null ? IDBKeyRange.upperBound(to)
+        : null;
+
+    return new Promise((resolve, reject) => {
+        const index = APP_STATE.memoryDB.transaction([MEMORY_STORE_NAME], 'readonly').objectStore(MEMORY_STORE_NAME).index('timestamp');
+        const request = index.openCursor(range, 'prev');
+        const items = [];
+        let total = 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve({ items, total });
+                return;
+            }
+            if (memoryMatchesFilters(cursor.value, filters)) {
+                if (total >= page * pageSize && items.length < pageSize) {
+                    const { embedding, ...memory } = cursor.value;
+                    items.push(memory);
+                }
+                total++;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Pinned memories go into every prompt (characterId: only that character's, for private scopes)
+function getPinnedMemories(characterId = null) {
+    if (!APP_STATE.memoryDB) return Promise.resolve([]);
+
+    return new Promise((resolve) => {
+        const index = APP_STATE.memoryDB.transaction([MEMORY_STORE_NAME], 'readonly').objectStore(MEMORY_STORE_NAME).index('pinnedAt');
+        const request = index.getAll();
+        request.onsuccess = () => resolve(request.result.filter(memory =>
+            !characterId || (memory.characterId || PRIMARY_CHARACTER_ID) === characterId
+        ));
+        request.onerror = () => resolve([]);
+    });
+}
+
+// Apply changes to stored memories in one transaction. change(memory) edits the record in place.
+function updateStoredMemories(ids, change) {
+    return new Promise((resolve, reject) => {
+        const transaction = APP_STATE.memoryDB.transaction([MEMORY_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(MEMORY_STORE_NAME);
+        ids.forEach(id => {
+            const request = objectStore.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                change(request.result);
+                objectStore.put(request.result);
+            };
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function setMemoriesPinned(ids, pinned) {
+    const pinnedAt = Date.now();
+    return updateStoredMemories(ids, memory => {
+        if (pinned) memory.pinnedAt = memory.pinnedAt || pinnedAt;
+        else delete memory.pinnedAt;
+    });
+}
+
+function deleteMemories(ids) {
+    return new Promise((resolve, reject) => {
+        const transaction = APP_STATE.memoryDB.transaction([MEMORY_STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(MEMORY_STORE_NAME);
+        ids.forEach(id => objectStore.delete(id));
+        transaction.oncomplete = () => {
+            updateMemoryIndex('remove', { ids });
+            resolve();
+        };
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Save an edited memory; new text is re-embedded so search finds it by what it says now
+async function editMemory(id, { text, importance, category }) {
+    let embedding = null;
+    const textChanged = text !== undefined;
+    if (textChanged) {
+        if (!text.trim()) throw new Error('Memory text can\'t be empty');
+        embedding = await generateEmbedding(text);
+        if (!embedding) throw new Error('Load the memory models first - edited text has to be re-embedded');
+    }
+
+    let characterId = null;
+    await updateStoredMemories([id], memory => {
+        if (textChanged) {
+            memory.text = text;
+            memory.embedding = embedding;
+            memory.editedAt = Date.now();
+        }
+        if (importance !== undefined) memory.importance = importance;
+        if (category !== undefined) memory.category = category;
+        characterId = memory.characterId;
+    });
+
+    if (textChanged) updateMemoryIndex('add', { id, embedding, characterId });
+}
+
+async function refreshMemoryBrowser() {
+    const list = document.getElementById('memoryBrowserList');
+    if (!list) return;
+
+    try {
+        const { items, total } = await queryMemories(memoryBrowser.filters, memoryBrowser.page, memoryBrowser.pageSize);
+        // Filters may leave fewer pages than the one we're on
+        if (items.length === 0 && total > 0 && memoryBrowser.page > 0) {
+            memoryBrowser.page = Math.floor((total - 1) / memoryBrowser.pageSize);
+            return refreshMemoryBrowser();
+        }
+        memoryBrowser.total = total;
+        renderMemoryBrowser(items);
+    } catch (error) {
+        console.error('Memory browser error:', error);
+        list.innerHTML = `<div class="range-hint">❌ ${error.message}</div>`;
+    }
+}
+
+function renderMemoryBrowser(items) {
+    const list = document.getElementById('memoryBrowserList');
+    const pages = Math.max(1, Math.ceil(memoryBrowser.total / memoryBrowser.pageSize));
+
+    document.getElementById('memoryPageInfo').textContent =
+        `Page ${memoryBrowser.page + 1}/${pages} · ${memoryBrowser.total} memor${memoryBrowser.total === 1 ? 'y' : 'ies'}`;
+    document.getElementById('memoryPrevPageBtn').disabled = memoryBrowser.page === 0;
+    document.getElementById('memoryNextPageBtn').disabled = memoryBrowser.page >= pages - 1;
+
+    memoryBrowser.items = items;
+    updateMemorySelection();
+
+    list.innerHTML = '';
+    if (!APP_STATE.memoryDB) {
+        list.innerHTML = '<div class="range-hint">Memory database not available</div>';
+        return;
+    }
+    if (items.length === 0) {
+        list.innerHTML = '<div class="range-hint">No memories match</div>';
+        return;
+    }
+
+    const cast = getCharacterCast();
+    const makeButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'control-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    items.forEach(memory => {
+        const item = document.createElement('div');
+        item.className = `memory-item ${memory.role}${memory.pinnedAt ? ' pinned' : ''}`;
+
+        const header = document.createElement('div');
+        header.className = 'memory-item-header';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'memory-item-select';
+        checkbox.checked = memoryBrowser.selected.has(memory.id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) memoryBrowser.selected.add(memory.id);
+            else memoryBrowser.selected.delete(memory.id);
+            updateMemorySelection();
+        });
+
+        const label = document.createElement('span');
+        label.className = 'memory-item-meta';
+        const speaker = memory.role === 'user' ? memory.userName || 'User'
+            : memory.role === 'assistant' ? memory.speaker || cast.get(memory.characterId).name : memory.role;
+        label.textContent = `${memory.pinnedAt ? '📌 ' : ''}${speaker} · ${memory.category || 'general'} · ★${memory.importance ?? '-'} · ${new Date(memory.timestamp).toLocaleString()}`;
+
+        const text = document.createElement('div');
+        text.className = 'memory-item-text';
+        text.textContent = memory.text;
+
+        header.append(
+            checkbox,
+            label,
+            makeButton(memory.pinnedAt ? '📍' : '📌', memory.pinnedAt ? 'Unpin' : 'Pin (always in the prompt)', async () => {
+                await runMemoryAction(() => setMemoriesPinned([memory.id], !memory.pinnedAt), memory.pinnedAt ? '📍 Unpinned' : '📌 Pinned');
+            }),
+            makeButton('✏️', 'Edit', () => {
+                const editor = document.createElement('textarea');
+                editor.value = memory.text;
+                editor.rows = 3;
+
+                const importance = document.createElement('input');
+                importance.type = 'number';
+                importance.min = 1;
+                importance.max = 10;
+                importance.value = memory.importance ?? 5;
+                importance.title = 'Importance (1-10)';
+
+                const category = document.createElement('select');
+                new Set([...MEMORY_CATEGORIES, memory.category || 'general']).forEach(name => {
+                    category.add(new Option(name, name, false, name === (memory.category || 'general')));
+                });
+
+                const actions = document.createElement('div');
+                actions.className = 'background-controls';
+                actions.append(
+                    importance,
+                    category,
+                    makeButton('💾 Save', 'Save (re-embeds changed text)', async () => {
+                        const changes = {
+                            importance: Math.min(10, Math.max(1, parseInt(importance.value) || 5)),
+                            category: category.value
+                        };
+                        if (editor.value !== memory.text) changes.text = editor.value;
+                        await runMemoryAction(() => editMemory(memory.id, changes), '💾 Memory updated');
+                    }),
+                    makeButton('Cancel', 'Discard changes', refreshMemoryBrowser)
+                );
+
+                text.replaceWith(editor);
+                item.appendChild(actions);
+                editor.focus();
+            }),
+            makeButton('🗑️', 'Delete', async () => {
+                if (!confirm('Delete this memory?')) return;
+                memoryBrowser.selected.delete(memory.id);
+                await runMemoryAction(() => deleteMemories([memory.id]), '🗑️ Memory deleted');
+            })
+        );
+
+        item.append(header, text);
+        list.appendChild(item);
+    });
+}
+
+// Selection count and the "select page" box - updated in place so open edits stay open
+function updateMemorySelection() {
+    const { items, selected } = memoryBrowser;
+    document.getElementById('memorySelectedCount').textContent = selected.size > 0 ? `${selected.size} selected` : '';
+    document.getElementById('memorySelectPage').checked = items.length > 0 && items.every(memory => selected.has(memory.id));
+}
+
+// Run a change, report it and redraw (errors are shown, not thrown)
+async function runMemoryAction(action, successMessage) {
+    try {
+        await action();
+        showStatus(successMessage, 'success');
+        updateMemoryStats();
+    } catch (error) {
+        console.error('Memory action error:', error);
+        showStatus('❌ ' + error.message, 'error');
+    }
+    await refreshMemoryBrowser();
+}
+
+function setupMemoryBrowserControls() {
+    const filters = memoryBrowser.filters;
+    const onFilterChange = () => {
+        memoryBrowser.page = 0;
+        refreshMemoryBrowser();
+    };
+
+    // Text search waits for a pause in typing - every change walks the whole store
+    let searchTimer = null;
+    document.getElementById('memorySearch')?.addEventListener('input', (e) => {
+        filters.text = e.target.value.trim();
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(onFilterChange, 300);
+    });
+
+    [
+        ['memoryFilterRole', 'role', value => value],
+        ['memoryFilterCategory', 'category', value => value],
+        ['memoryFilterImportance', 'minImportance', value => parseInt(value) || 0],
+        ['memoryFilterFrom', 'from', value => value],
+        ['memoryFilterTo', 'to', value => value]
+    ].forEach(([id, key, parse]) => {
+        document.getElementById(id)?.addEventListener('change', (e) => {
+            filters[key] = parse(e.target.value);
+            onFilterChange();
+        });
+    });
+
+    document.getElementById('memoryFilterPinned')?.addEventListener('change', (e) => {
+        filters.pinnedOnly = e.target.checked;
+        onFilterChange();
+    });
+
+    const categorySelect = document.getElementById('memoryFilterCategory');
+    if (categorySelect) {
+        MEMORY_CATEGORIES.forEach(name => categorySelect.add(new Option(name, name)));
+    }
+
+    document.getElementById('memoryPrevPageBtn')?.addEventListener('click', () => {
+        memoryBrowser.page = Math.max(0, memoryBrowser.page - 1);
+        refreshMemoryBrowser();
+    });
+    document.getElementById('memoryNextPageBtn')?.addEventListener('click', () => {
+        memoryBrowser.page++;
+        refreshMemoryBrowser();
+    });
+    document.getElementById('memoryRefreshBtn')?.addEventListener('click', refreshMemoryBrowser);
+
+    // Tick/untick everything on the current page
+    document.getElementById('memorySelectPage')?.addEventListener('change', (e) => {
+        memoryBrowser.items.forEach(memory => {
+            if (e.target.checked) memoryBrowser.selected.add(memory.id);
+            else memoryBrowser.selected.delete(memory.id);
+        });
+        document.querySelectorAll('#memoryBrowserList .memory-item-select').forEach(checkbox => {
+            checkbox.checked = e.target.checked;
+        });
+        updateMemorySelection();
+    });
+
+    const bulk = (action, describe) => async () => {
+        const ids = Array.from(memoryBrowser.selected);
+        if (ids.length === 0) {
+            showStatus('⚠️ Select some memories first', 'warning');
+            return;
+        }
+        if (action === deleteMemories && !confirm(`Delete ${ids.length} memor${ids.length === 1 ? 'y' : 'ies'}?`)) return;
+        memoryBrowser.selected.clear();
+        await runMemoryAction(() => action(ids), describe(ids.length));
+    };
+    document.getElementById('memoryBulkPinBtn')?.addEventListener('click', bulk(ids => setMemoriesPinned(ids, true), n => `📌 Pinned ${n}`));
+    document.getElementById('memoryBulkUnpinBtn')?.addEventListener('click', bulk(ids => setMemoriesPinned(ids, false), n => `📍 Unpinned ${n}`));
+    document.getElementById('memoryBulkDeleteBtn')?.addEventListener('click', bulk(deleteMemories, n => `🗑️ Deleted ${n}`));
+
+    // Load the list when the panel is opened
+    document.querySelector('[data-target="memoryBrowserSettings"]')?.addEventListener('click', refreshMemoryBrowser);
+}
+
 // Load recent conversation history from IndexedDB (last 10 messages)
 async function loadRecentConversationHistory() {
     if (!APP_STATE.memoryDB) {
@@ -632,8 +1227,13 @@ async function loadRecentConversationHistory() {
         APP_STATE.conversationHistory = recentMessages.map(mem => ({
             role: mem.role,
             content: mem.text,
+            characterId: mem.characterId,
+            speaker: mem.speaker,
+            images: mem.images,
             saved: true // Already in IndexedDB
         }));
+        APP_STATE.conversationTree = ConversationTree.fromMessages(APP_STATE.conversationHistory);
+        renderConversationTree();
 
         console.log(`💬 Loaded ${APP_STATE.conversationHistory.length} recent messages from IndexedDB`);
         showStatus(`💬 Restored last ${APP_STATE.conversationHistory.length} messages`, 'success');
@@ -775,7 +1375,7 @@ async function summarizeOldMessages() {
             console.log(`💾 Saving ${chunkSize} original messages before summarizing...`);
             for (const msg of chunk) {
                 if (!msg.saved) {
-                    await saveMemory(msg.content, msg.role);
+                    await saveMemory(msg.content, msg.role, getMemoryMetadata(msg));
                     msg.saved = true;
                 }
             }
@@ -784,7 +1384,7 @@ async function summarizeOldMessages() {
 
         // Format messages for summarization
         const conversationText = chunk
-            .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+            .map(m => `${m.role === 'user' ? 'User' : m.speaker || 'Assistant'}: ${m.content}`)
             .join('\n');
 
         // Build custom messages for summarization (no character personality)
@@ -828,6 +1428,14 @@ async function summarizeOldMessages() {
     }
 }
 
+// Which cast member a history message belongs to (for private memory scopes), plus its images if kept
+function getMemoryMetadata(message) {
+    const metadata = { characterId: message.characterId || PRIMARY_CHARACTER_ID };
+    if (message.speaker) metadata.speaker = message.speaker;
+    if (message.images?.length && APP_STATE.settings.saveImagesToMemory) metadata.images = message.images;
+    return metadata;
+}
+
 // Save current conversation to IndexedDB
 async function saveConversationToMemory() {
     if (!APP_STATE.settings.enableLongTermMemory) {
@@ -844,7 +1452,7 @@ async function saveConversationToMemory() {
         // Save each message in conversation history that hasn't been saved yet
         for (const message of APP_STATE.conversationHistory) {
             if (!message.saved) {
-                await saveMemory(message.content, message.role);
+                await saveMemory(message.content, message.role, getMemoryMetadata(message));
                 message.saved = true; // Mark as saved to avoid duplicates
             }
         }
@@ -867,6 +1475,7 @@ function exportConversationAsJSON() {
     try {
         const exportData = {
             conversationHistory: APP_STATE.conversationHistory,
+            conversationTree: APP_STATE.conversationTree.toJSON(), // All branches
             settings: {
                 characterName: APP_STATE.settings.characterName,
                 userName: APP_STATE.settings.userName
@@ -908,9 +1517,18 @@ function importConversationFromJSON(file) {
                 throw new Error('Invalid conversation file format');
             }
 
-            APP_STATE.conversationHistory = data.conversationHistory;
-            console.log(`📥 Imported ${data.conversationHistory.length} messages from ${data.exportDate}`);
-            showStatus(`📥 Imported ${data.conversationHistory.length} messages`, 'success');
+            if (data.conversationTree) {
+                // Branch-aware export - restore the tree and rebuild context from its active branch
+                APP_STATE.conversationTree = ConversationTree.fromJSON(data.conversationTree);
+                rebuildHistoryFromTree();
+            } else {
+                // Older flat export
+                APP_STATE.conversationHistory = data.conversationHistory;
+                APP_STATE.conversationTree = ConversationTree.fromMessages(APP_STATE.conversationHistory);
+            }
+            renderConversationTree();
+            console.log(`📥 Imported ${APP_STATE.conversationTree.size} messages from ${data.exportDate}`);
+            showStatus(`📥 Imported ${APP_STATE.conversationTree.size} messages`, 'success');
             updateMemoryStats();
         } catch (error) {
             console.error('Import error:', error);
@@ -925,6 +1543,9 @@ function importConversationFromJSON(file) {
 function clearCurrentSession() {
     if (confirm('Clear current conversation session? (Long-term memory will be preserved)')) {
         APP_STATE.conversationHistory = [];
+        APP_STATE.conversationTree = new ConversationTree();
+        renderConversationTree();
+        showCharacterGreeting();
         console.log('🗑️ Current session cleared');
         showStatus('🗑️ Session cleared', 'success');
         updateMemoryStats();
@@ -969,6 +1590,7 @@ async function cleanOldMemories() {
 
             request.onsuccess = () => {
                 const memories = request.result;
+                const deletedIds = [];
                 let deleted = 0;
                 let kept = 0;
 
@@ -976,8 +1598,10 @@ async function cleanOldMemories() {
                     const tooOld = memory.timestamp < cutoffTime;
                     const tooUnimportant = memory.importance < minImportance;
 
-                    if (tooOld || tooUnimportant) {
+                    // Pinned memories are kept whatever their age or importance
+                    if (!memory.pinnedAt && (tooOld || tooUnimportant)) {
                         objectStore.delete(memory.id);
+                        deletedIds.push(memory.id);
                         deleted++;
                     } else {
                         kept++;
@@ -985,6 +1609,7 @@ async function cleanOldMemories() {
                 });
 
                 transaction.oncomplete = () => {
+                    if (deletedIds.length > 0) updateMemoryIndex('remove', { ids: deletedIds });
                     console.log(`🧹 Cleanup complete: Deleted ${deleted}, Kept ${kept}`);
                     resolve({deleted, kept});
                 };
@@ -1093,88 +1718,93 @@ async function initWhisperWorker() {
     });
 }
 
-// Load Embedding Model (MiniLM) - WITH CDN FALLBACK
+// Memory Models Worker - embedding + classifier pipelines run in memory-worker.js,
+// the main thread only sends text and awaits results
+let memoryWorker = null;
+let memoryWorkerRequestId = 0;
+const memoryWorkerRequests = new Map();
+const MEMORY_MODEL_SPLASH_IDS = { embedding: 'splashEmbedding', classifier: 'splashClassifier' };
+
+function getMemoryWorker() {
+    if (memoryWorker) return memoryWorker;
+
+    memoryWorker = new Worker('./js/memory-worker.js', { type: 'module' });
+
+    memoryWorker.onmessage = (event) => {
+        const { type, id } = event.data;
+
+        if (type === 'model-progress') {
+            updateSplashModelStatus(MEMORY_MODEL_SPLASH_IDS[event.data.model], 'loading', event.data.progress);
+            return;
+        }
+
+        const request = memoryWorkerRequests.get(id);
+        if (!request) return;
+        memoryWorkerRequests.delete(id);
+
+        if (type === 'error') {
+            request.reject(new Error(event.data.error));
+        } else if (type === 'embed-result') {
+            request.resolve(event.data.embedding);
+        } else {
+            request.resolve(event.data.result);
+        }
+    };
+
+    memoryWorker.onerror = (error) => {
+        console.error('❌ Memory worker failed:', error);
+        memoryWorkerRequests.forEach(request => request.reject(new Error('Memory worker crashed')));
+        memoryWorkerRequests.clear();
+        memoryWorker = null;
+        APP_STATE.embedderReady = false;
+        APP_STATE.classifierReady = false;
+        APP_STATE.modelsLoaded = false;
+    };
+
+    return memoryWorker;
+}
+
+function memoryWorkerRequest(type, data) {
+    const worker = getMemoryWorker();
+    const id = ++memoryWorkerRequestId;
+    return new Promise((resolve, reject) => {
+        memoryWorkerRequests.set(id, { resolve, reject });
+        worker.postMessage({ type, id, data });
+    });
+}
+
+// Load Embedding Model (MiniLM) in the memory worker - local files first, CDN fallback
 async function loadEmbeddingModel() {
     try {
         updateSplashModelStatus('splashEmbedding', 'loading', 20);
-
-        // Try local first, fall back to CDN if it fails
-        try {
-            console.log('🔄 Trying LOCAL embedding model...');
-            APP_STATE.embedder = await pipeline('feature-extraction', 'embedding', {
-                progress_callback: (progress) => {
-                    if (progress.status === 'progress') {
-                        const percent = Math.round((progress.loaded / progress.total) * 100);
-                        updateSplashModelStatus('splashEmbedding', 'loading', percent);
-                    }
-                }
-            });
-            console.log('✅ Embedding model loaded (LOCAL)');
-        } catch (localError) {
-            console.warn('⚠️ Local model failed, trying CDN...', localError.message);
-            // Fall back to CDN
-            env.allowRemoteModels = true;
-            env.allowLocalModels = false;
-            APP_STATE.embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', {
-                progress_callback: (progress) => {
-                    if (progress.status === 'progress') {
-                        const percent = Math.round((progress.loaded / progress.total) * 100);
-                        updateSplashModelStatus('splashEmbedding', 'loading', percent);
-                    }
-                }
-            });
-            console.log('✅ Embedding model loaded (CDN FALLBACK)');
-        }
+        await memoryWorkerRequest('load-model', { model: 'embedding' });
+        APP_STATE.embedderReady = true;
+        console.log('✅ Embedding model loaded (worker)');
 
         updateSplashModelStatus('splashEmbedding', 'loaded', 100);
         return true;
     } catch (error) {
         updateSplashModelStatus('splashEmbedding', 'error', 0);
         console.error('❌ Embedding model failed to load:', error);
-        APP_STATE.embedder = null;
+        APP_STATE.embedderReady = false;
         return false;
     }
 }
 
-// Load Classifier Model (DistilBERT) - WITH CDN FALLBACK (OPTIONAL)
+// Load Classifier Model (DistilBERT) in the memory worker - local files first, CDN fallback (OPTIONAL)
 async function loadClassifierModel() {
     try {
         updateSplashModelStatus('splashClassifier', 'loading', 20);
-
-        // Try local first, fall back to CDN if it fails
-        try {
-            console.log('🔄 Trying LOCAL classifier model...');
-            APP_STATE.classifier = await pipeline('text-classification', 'classifier', {
-                progress_callback: (progress) => {
-                    if (progress.status === 'progress') {
-                        const percent = Math.round((progress.loaded / progress.total) * 100);
-                        updateSplashModelStatus('splashClassifier', 'loading', percent);
-                    }
-                }
-            });
-            console.log('✅ Classifier model loaded (LOCAL)');
-        } catch (localError) {
-            console.warn('⚠️ Local classifier failed, trying CDN...', localError.message);
-            // Fall back to CDN
-            env.allowRemoteModels = true;
-            env.allowLocalModels = false;
-            APP_STATE.classifier = await pipeline('text-classification', 'Xenova/distilbert-base-uncased-finetuned-sst-2-english', {
-                progress_callback: (progress) => {
-                    if (progress.status === 'progress') {
-                        const percent = Math.round((progress.loaded / progress.total) * 100);
-                        updateSplashModelStatus('splashClassifier', 'loading', percent);
-                    }
-                }
-            });
-            console.log('✅ Classifier model loaded (CDN FALLBACK)');
-        }
+        await memoryWorkerRequest('load-model', { model: 'classifier' });
+        APP_STATE.classifierReady = true;
+        console.log('✅ Classifier model loaded (worker)');
 
         updateSplashModelStatus('splashClassifier', 'loaded', 100);
         return true;
     } catch (error) {
         updateSplashModelStatus('splashClassifier', 'error', 0);
         console.warn('⚠️ Classifier model not available (emotion detection disabled):', error.message);
-        APP_STATE.classifier = null;
+        APP_STATE.classifierReady = false;
         return false;  // Not critical - app works without classifier
     }
 }
@@ -1190,8 +1820,7 @@ async function loadAllModels() {
     };
 
     try {
-        // Load models in parallel for faster loading
-        // Using jsdelivr CDN now (configured at top of file) for better Netlify compatibility
+        // Load models in parallel for faster loading - each in its worker, off the main thread
         const [whisperResult, embeddingResult, classifierResult] = await Promise.allSettled([
             initWhisperWorker(),
             loadEmbeddingModel(),
@@ -1199,8 +1828,8 @@ async function loadAllModels() {
         ]);
 
         results.whisper = whisperResult.status === 'fulfilled';
-        results.embedding = embeddingResult.status === 'fulfilled';
-        results.classifier = classifierResult.status === 'fulfilled';
+        results.embedding = embeddingResult.status === 'fulfilled' && embeddingResult.value;
+        results.classifier = classifierResult.status === 'fulfilled' && classifierResult.value;
 
         // Update modelsLoaded flag if embedding and classifier are ready
         if (results.embedding && results.classifier) {
@@ -1450,6 +2079,7 @@ function initThreeJS() {
 
 function animate() {
     requestAnimationFrame(animate);
+    telemetry.frame();
     
     const deltaTime = APP_STATE.clock.getDelta();
     
@@ -1457,8 +2087,8 @@ function animate() {
     if (APP_STATE.vrm) {
         APP_STATE.vrm.update(deltaTime);
 
-        // 👁️ Eye Tracking - Update lookAt target to follow camera
-        if (APP_STATE.settings.enableEyeTracking && APP_STATE.vrm.lookAt) {
+        // 👁️ Eye Tracking - Update lookAt target to follow camera (looks away while thinking)
+        if ((APP_STATE.settings.enableEyeTracking || APP_STATE.isThinking) && APP_STATE.vrm.lookAt) {
             // Create target Object3D if it doesn't exist
             if (!eyeTrackingTarget) {
                 eyeTrackingTarget = new THREE.Object3D();
@@ -1468,6 +2098,9 @@ function animate() {
 
             // Update target position to match camera
             eyeTrackingTarget.position.copy(APP_STATE.camera.position);
+            if (APP_STATE.isThinking) {
+                eyeTrackingTarget.position.add(THINKING_GAZE_OFFSET);
+            }
 
             // Set VRM lookAt target (requires Object3D, not Vector3!)
             APP_STATE.vrm.lookAt.target = eyeTrackingTarget;
@@ -1595,6 +2228,9 @@ async function loadVRM(url) {
         // Setup animation mixer BEFORE animations
         console.log('🎬 Creating animation mixer');
         APP_STATE.mixer = new THREE.AnimationMixer(vrm.scene);
+        APP_STATE.mixer.addEventListener('finished', onOneShotAnimationFinished);
+        APP_STATE.tagAnimations = {};
+        APP_STATE.oneShotAnimation = null;
         
         // Setup expressions
         if (vrm.expressionManager) {
@@ -1604,6 +2240,7 @@ async function loadVRM(url) {
         // Load animations
         console.log('🎞️ Loading animations');
         await loadAnimations();
+        preloadTagAnimations();
         
         // RE-SNAP AFTER ANIMATIONS (animations might have moved it!)
         console.log('🔨 Re-snapping after animation load...');
@@ -1696,6 +2333,26 @@ function playAnimation(type) {
         return;
     }
     
+    // A tag clip key (see loadTagAnimation) - plays once, then back to idle/talking
+    const tagClip = APP_STATE.tagAnimations[type];
+    if (tagClip) {
+        APP_STATE.oneShotAnimation?.stop();
+        APP_STATE.idleAnimation?.stop();
+        APP_STATE.talkingAnimation?.stop();
+        tagClip.reset().play();
+        APP_STATE.oneShotAnimation = tagClip;
+        APP_STATE.currentAnimationName = tagClip.getClip().name;
+        updateAnimationDisplay(APP_STATE.currentAnimationName);
+        console.log(`▶️ Playing tag animation: ${APP_STATE.currentAnimationName}`);
+        return;
+    }
+
+    // Idle/talking interrupt a tag clip
+    if ((type === 'idle' || type === 'talking') && APP_STATE.oneShotAnimation) {
+        APP_STATE.oneShotAnimation.stop();
+        APP_STATE.oneShotAnimation = null;
+    }
+
     if (type === 'idle' && APP_STATE.idleAnimation) {
         try {
             if (APP_STATE.talkingAnimation && APP_STATE.talkingAnimation.isRunning()) {
@@ -1725,6 +2382,35 @@ function playAnimation(type) {
     }
 }
 
+// Tag clip done - settle back into whatever the avatar is doing
+function onOneShotAnimationFinished(event) {
+    if (event.action !== APP_STATE.oneShotAnimation) return;
+    playAnimation(APP_STATE.isSpeaking ? 'talking' : 'idle');
+}
+
+// Load a Mixamo clip named by an avatar tag (once per avatar)
+async function loadTagAnimation(path, name) {
+    if (APP_STATE.tagAnimations[path]) return true;
+    if (!APP_STATE.vrm || !APP_STATE.mixer) return false;
+
+    try {
+        const clip = await loadMixamoAnimation(path, APP_STATE.vrm);
+        if (!clip?.tracks?.length) {
+            console.warn(`⚠️ Tag animation has no tracks: ${path}`);
+            return false;
+        }
+        clip.name = name;
+        const action = APP_STATE.mixer.clipAction(clip);
+        action.setLoop(THREE.LoopOnce, 1);
+        APP_STATE.tagAnimations[path] = action;
+        console.log(`✅ Tag animation loaded: ${name} (${clip.tracks.length} tracks)`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Failed to load tag animation ${path}:`, error.message);
+        return false;
+    }
+}
+
 function updateAnimationDisplay(animName) {
     const displayElement = document.getElementById('currentAnimationName');
     if (displayElement) {
@@ -1980,9 +2666,11 @@ async function initializeTTS() {
 
 // Pre-buffer system: synthesize next chunk while current is playing
 let nextChunkReady = null; // { audioBlob, wordBoundaries, phonemes, text }
+let speechEpoch = 0; // Incremented on Stop to invalidate in-flight synthesis
 
 // Separate function to synthesize audio without playing it
-async function synthesizeChunk(text) {
+// voice: optional per-character override ({ ttsVoice }), defaults to the TTS settings
+async function synthesizeChunk(text, voice = null) {
     const rate = APP_STATE.settings.ttsRate;
     const pitchSemitones = APP_STATE.settings.ttsPitch;
     const volume = APP_STATE.settings.ttsVolume;
@@ -1991,7 +2679,7 @@ async function synthesizeChunk(text) {
     const pitchHz = Math.round(pitchSemitones * 12);
 
     const communicate = new Communicate(text, {
-        voice: APP_STATE.settings.ttsVoice,
+        voice: voice?.ttsVoice || APP_STATE.settings.ttsVoice,
         rate: `${rate >= 0 ? '+' : ''}${rate}%`,
         pitch: `${pitchHz >= 0 ? '+' : ''}${pitchHz}Hz`,
         volume: `${volume >= 0 ? '+' : ''}${volume}%`
@@ -2201,15 +2889,24 @@ async function connectToFishWebSocket() {
 /**
  * Synthesize Fish Audio using WebSocket (local) or REST API (production)
  */
-async function synthesizeFishAudioChunk(text) {
-    // Use WebSocket if enabled AND connected
+async function synthesizeFishAudioChunk(text, voice = null) {
+    // Monthly spending cap reached (Usage & Costs)
+    const budgetError = getBudgetError('fish', TTS_PROVIDERS.fish.name);
+    if (budgetError) throw budgetError;
+
+    // Use WebSocket if enabled AND connected (voice is fixed when the socket connects)
     if (APP_STATE.settings.fishUseWebSocket && APP_STATE.fishWsConnected && APP_STATE.fishWebSocket) {
         console.log('🚀 Using Fish Audio WebSocket (FAST MODE)');
 
+        const socketModelId = APP_STATE.settings.fishCustomModelId || APP_STATE.settings.fishVoiceId || 'default';
+
         return new Promise((resolve, reject) => {
             try {
                 // Store resolve for when stream completes
-                APP_STATE.fishWsResolve = resolve;
+                APP_STATE.fishWsResolve = (result) => {
+                    usageTracker.record({ provider: 'fish', model: socketModelId, characters: text.length });
+                    resolve(result);
+                };
                 APP_STATE.fishWsAudioChunks = [];
 
                 // Start new stream
@@ -2245,10 +2942,12 @@ async function synthesizeFishAudioChunk(text) {
 
     const url = '/.netlify/functions/fish-tts';
 
-    // Priority: Custom Model ID > Dropdown Selection
-    const modelId = APP_STATE.settings.fishCustomModelId || APP_STATE.settings.fishVoiceId || null;
+    // Priority: Character voice > Custom Model ID > Dropdown Selection
+    const modelId = voice?.fishVoiceId || APP_STATE.settings.fishCustomModelId || APP_STATE.settings.fishVoiceId || null;
 
-    if (APP_STATE.settings.fishCustomModelId) {
+    if (voice?.fishVoiceId) {
+        console.log(`🐟 Using character voice model ID: ${modelId}`);
+    } else if (APP_STATE.settings.fishCustomModelId) {
         console.log(`🐟 Using CUSTOM model ID: ${modelId}`);
     } else if (APP_STATE.settings.fishVoiceId) {
         console.log(`🐟 Using dropdown model ID: ${modelId}`);
@@ -2298,6 +2997,7 @@ async function synthesizeFishAudioChunk(text) {
         const audioBlob = await response.blob();
 
         console.log(`🐟 Fish Audio synthesized ${text.length} chars via REST`);
+        usageTracker.record({ provider: 'fish', model: modelId || 'default', characters: text.length });
 
         // Return in same format as Edge TTS for compatibility
         return {
@@ -2316,24 +3016,42 @@ async function synthesizeFishAudioChunk(text) {
     }
 }
 
-async function speakText(text) {
-    if (!text || text.trim() === '') return;
+// Synthesize with the TTS provider the voice asks for (or the TTS settings)
+function synthesizeSpeech(text, voice = null) {
+    const provider = voice?.ttsProvider || APP_STATE.settings.ttsProvider;
+    return telemetry.time('synthesis',
+        () => provider === 'fish' ? synthesizeFishAudioChunk(text, voice) : synthesizeChunk(text, voice),
+        { provider, characters: text.length });
+}
+
+// Fish WebSocket streams one request at a time, so it can't pre-buffer
+function canPreBuffer(voice = null) {
+    const provider = voice?.ttsProvider || APP_STATE.settings.ttsProvider;
+    return provider !== 'fish' || !APP_STATE.settings.fishUseWebSocket;
+}
+
+// voice: optional per-character override ({ ttsProvider, ttsVoice, fishVoiceId })
+// tags: avatar tags in this text ({ at, entry }) - acted out as the audio reaches them
+async function speakText(text, voice = null, tags = []) {
+    if (!text || text.trim() === '') {
+        if (tags.length) queueAvatarTags(tags);
+        return;
+    }
+
+    // Bumped by stopSpeech() - any synthesis that finishes after a Stop is dropped
+    const epoch = speechEpoch;
 
     // Queue speech if already speaking
     if (APP_STATE.isSpeaking) {
-        APP_STATE.speechQueue.push(text);
+        APP_STATE.speechQueue.push({ text, voice, tags });
 
         // START PRE-BUFFERING: Synthesize next chunk in background
         // DISABLE for Fish WebSocket (causes promise conflicts)
-        if (APP_STATE.speechQueue.length === 1 && !nextChunkReady &&
-            !(APP_STATE.settings.ttsProvider === 'fish' && APP_STATE.settings.fishUseWebSocket)) {
+        if (APP_STATE.speechQueue.length === 1 && !nextChunkReady && canPreBuffer(voice)) {
             console.log('🔄 Pre-buffering next chunk in background...');
-            // Use same provider for pre-buffering
-            const synthesizeFunc = APP_STATE.settings.ttsProvider === 'fish'
-                ? synthesizeFishAudioChunk
-                : synthesizeChunk;
-            synthesizeFunc(text).then(result => {
-                nextChunkReady = result;
+            synthesizeSpeech(text, voice).then(result => {
+                if (epoch !== speechEpoch) return;
+                nextChunkReady = { ...result, voice };
                 console.log('✅ Next chunk ready!');
             }).catch(err => {
                 console.warn('⚠️ Pre-buffer failed:', err.message);
@@ -2344,6 +3062,7 @@ async function speakText(text) {
 
     try {
         APP_STATE.isSpeaking = true;
+        updateStopButton();
 
         // Live2D: Disable animations when TTS starts (prevents interference with lip-sync)
         if (APP_STATE.settings.avatarType === 'live2d' && live2DManager?.isActive) {
@@ -2358,7 +3077,8 @@ async function speakText(text) {
 
         // Play talking animation for VRM (body movement)
         // Skip for Live2D as it interferes with Live2D lip-sync
-        if (APP_STATE.settings.avatarType === 'vrm' && APP_STATE.talkingAnimation) {
+        // (a tag clip already playing hands over to talking when it finishes)
+        if (APP_STATE.settings.avatarType === 'vrm' && APP_STATE.talkingAnimation && !APP_STATE.oneShotAnimation) {
             playAnimation('talking');
             console.log('▶️ Playing VRM talking animation');
         }
@@ -2375,21 +3095,19 @@ async function speakText(text) {
         // Check if we have a pre-buffered chunk ready
         // (Skip pre-buffer check for Fish WebSocket - not supported)
         let chunkData;
-        const usePreBuffer = APP_STATE.settings.ttsProvider !== 'fish' || !APP_STATE.settings.fishUseWebSocket;
-        if (usePreBuffer && nextChunkReady && nextChunkReady.text === text) {
+        if (canPreBuffer(voice) && nextChunkReady && nextChunkReady.text === text && nextChunkReady.voice === voice) {
             console.log('⚡ Using pre-buffered chunk (INSTANT playback!)');
             chunkData = nextChunkReady;
             nextChunkReady = null; // Clear it
         } else {
             console.log('🔄 Synthesizing chunk (no pre-buffer available)...');
-            // Use Fish Audio or Edge TTS based on provider setting
-            if (APP_STATE.settings.ttsProvider === 'fish') {
-                chunkData = await synthesizeFishAudioChunk(text);
-            } else {
-                chunkData = await synthesizeChunk(text);
-            }
+            // Use Fish Audio or Edge TTS based on provider setting (or the character's voice)
+            chunkData = await synthesizeSpeech(text, voice);
         }
 
+        // Stopped while we were synthesizing
+        if (epoch !== speechEpoch) return;
+
         const { audioBlob, wordBoundaries, phonemes } = chunkData;
 
         console.log(`🎵 Audio blob ready: ${audioBlob.size} bytes, type: ${audioBlob.type}`);
@@ -2401,16 +3119,12 @@ async function speakText(text) {
 
         // START PRE-BUFFERING NEXT CHUNK (if there's one in queue)
         // DISABLE for Fish WebSocket (causes promise conflicts)
-        if (APP_STATE.speechQueue.length > 0 &&
-            !(APP_STATE.settings.ttsProvider === 'fish' && APP_STATE.settings.fishUseWebSocket)) {
-            const nextText = APP_STATE.speechQueue[0];
+        if (APP_STATE.speechQueue.length > 0 && canPreBuffer(APP_STATE.speechQueue[0].voice)) {
+            const next = APP_STATE.speechQueue[0];
             console.log('🔄 Starting pre-buffer for next chunk...');
-            // Use same provider for pre-buffering
-            const synthesizeFunc = APP_STATE.settings.ttsProvider === 'fish'
-                ? synthesizeFishAudioChunk
-                : synthesizeChunk;
-            synthesizeFunc(nextText).then(result => {
-                nextChunkReady = result;
+            synthesizeSpeech(next.text, next.voice).then(result => {
+                if (epoch !== speechEpoch) return;
+                nextChunkReady = { ...result, voice: next.voice };
                 console.log('✅ Next chunk pre-buffered and ready!');
             }).catch(err => {
                 console.warn('⚠️ Pre-buffer failed:', err.message);
@@ -2444,10 +3158,10 @@ async function speakText(text) {
                     APP_STATE.vrm.expressionManager.setValue('oh', 0);
                 }
                 
-                const nextText = APP_STATE.speechQueue.shift();
-                console.log(`🔊 Playing next chunk: "${nextText.substring(0, 30)}..."`);
+                const next = APP_STATE.speechQueue.shift();
+                console.log(`🔊 Playing next chunk: "${next.text.substring(0, 30)}..."`);
                 // No delay needed - chunk is pre-buffered and ready!
-                speakText(nextText);
+                speakText(next.text, next.voice, next.tags);
             } else {
                 // No more audio, stop everything
                 APP_STATE.isSpeaking = false;
@@ -2472,8 +3186,12 @@ async function speakText(text) {
                 }
                 
                 // Switch back to idle animation (ONLY when ALL chunks done)
-                playAnimation('idle');
+                // A tag clip still playing goes back to idle by itself when it finishes
+                if (!APP_STATE.oneShotAnimation) {
+                    playAnimation('idle');
+                }
                 console.log('✅ All audio finished, idle animation started');
+                updateStopButton();
 
                 // Hide speech bubble and subtitles when speech ends
                 hideSpeechBubble();
@@ -2483,7 +3201,9 @@ async function speakText(text) {
 
         // Set start time when audio begins playing
         APP_STATE.currentAudio.onplay = () => {
+            telemetry.mark('audioStart');
             APP_STATE.wordBoundaryStartTime = APP_STATE.currentAudio?.currentTime || 0;
+            scheduleAvatarTags(APP_STATE.currentAudio, text, tags);
 
             // Resume audio context if suspended (required for browsers)
             if (audioContext && audioContext.state === 'suspended') {
@@ -2496,8 +3216,11 @@ async function speakText(text) {
         await APP_STATE.currentAudio.play();
         
     } catch (error) {
+        if (epoch !== speechEpoch) return; // Stopped mid-synthesis, not a real failure
+
         console.error('TTS error:', error);
         APP_STATE.isSpeaking = false;
+        updateStopButton();
         
         // Live2D: Re-enable animations on error (TTS stopped)
         if (APP_STATE.settings.avatarType === 'live2d' && live2DManager?.isActive) {
@@ -2513,6 +3236,74 @@ async function speakText(text) {
     }
 }
 
+// =============================================
+// Stop Control - cancel generation and speech
+// =============================================
+
+// Silence the avatar: drop queued/pre-buffered speech, stop audio, reset mouth + idle pose
+function stopSpeech() {
+    speechEpoch++;
+    APP_STATE.speechQueue.length = 0;
+    nextChunkReady = null;
+
+    if (APP_STATE.currentAudio) {
+        const audio = APP_STATE.currentAudio;
+        APP_STATE.currentAudio = null;
+        audio.onended = null; // Don't let it advance the (now empty) queue
+        audio.pause();
+        if (audio.src.startsWith('blob:')) URL.revokeObjectURL(audio.src);
+    }
+
+    APP_STATE.isSpeaking = false;
+    APP_STATE.wordBoundaries = [];
+    APP_STATE.wordBoundaryStartTime = null;
+    APP_STATE.currentPhonemes = [];
+
+    // Close the mouth
+    previousMouthAmount = 0;
+    previousAa = 0;
+    previousIh = 0;
+    previousOu = 0;
+    previousEe = 0;
+    previousOh = 0;
+    if (APP_STATE.vrm?.expressionManager) {
+        ['happy', 'aa', 'ih', 'ou', 'ee', 'oh'].forEach(name => {
+            APP_STATE.vrm.expressionManager.setValue(name, 0);
+        });
+    }
+    if (APP_STATE.settings.avatarType === 'live2d' && live2DManager?.isActive) {
+        live2DManager.resetMouthToNeutral();
+        live2DManager.enableAnimations();
+    }
+
+    playAnimation('idle');
+    hideLiveSubtitles();
+}
+
+// Abort API: cancel the in-flight LLM request, pending requests, and all speech
+function stopGeneration() {
+    const wasBusy = APP_STATE.isProcessing || APP_STATE.isSpeaking || APP_STATE.speechQueue.length > 0;
+
+    APP_STATE.requestQueue.length = 0;
+    if (APP_STATE.abortController) {
+        APP_STATE.abortController.abort();
+    }
+    stopSpeech();
+    updateStopButton();
+
+    if (wasBusy) {
+        console.log('⏹️ Stopped generation and speech');
+        showStatus('⏹️ Stopped', 'success');
+    }
+}
+
+// Show the Stop button only while there's something to stop
+function updateStopButton() {
+    if (!DOM.stopBtn) return;
+    const busy = APP_STATE.isProcessing || APP_STATE.isSpeaking;
+    DOM.stopBtn.classList.toggle('hidden', !busy);
+}
+
 // Mouth animation state - ALL 5 VRM blend shapes
 let previousMouthAmount = 0;
 let previousAa = 0;
@@ -2943,7 +3734,101 @@ function updateLipSync() {
 // =============================================
 // Unified LLM Function
 // =============================================
-async function callLLM(message, streaming = false, onChunk = null, memoryContext = '', overrideProvider = null, overrideModel = null, customMessages = null) {
+
+// Manual per-model setting wins over provider metadata; 0 = unknown
+function getContextLength(provider, model) {
+    return SettingsManager.getModelContextLength(provider, model) ||
+        MODEL_CONTEXT_METADATA[`${provider}|${model}`] || LLM_PROVIDERS[provider]?.contextLength || 0;
+}
+
+// Adapter for a provider's API (js/llm-adapters.js)
+function getProviderAdapter(providerName) {
+    const provider = LLM_PROVIDERS[providerName];
+    const adapterName = provider?.adapter || 'openai';
+    const adapter = llmAdapters.get(adapterName);
+    if (!adapter) {
+        throw new Error(`No LLM adapter "${adapterName}" registered for ${provider?.name || providerName}`);
+    }
+    return adapter;
+}
+
+// What the API can do: adapter defaults, overridden per provider (e.g. custom endpoints)
+function getProviderCapabilities(providerName) {
+    return { ...getProviderAdapter(providerName).capabilities, ...LLM_PROVIDERS[providerName]?.capabilities };
+}
+
+// Ask the adapter for details the model list doesn't have (Ollama: context size, vision) - once per model
+async function describeProviderModel(providerName, model) {
+    const key = `${providerName}|${model}`;
+    if (MODEL_CONTEXT_METADATA[key] !== undefined) return MODEL_CONTEXT_METADATA[key];
+
+    const provider = LLM_PROVIDERS[providerName];
+    const adapter = llmAdapters.get(provider?.adapter || 'openai');
+    if (!adapter?.describeModel) return 0;
+
+    try {
+        const details = await adapter.describeModel({ provider, model });
+        if (details.vision !== undefined) {
+            MODEL_VISION_METADATA[key] = details.vision;
+        }
+        MODEL_CONTEXT_METADATA[key] = details.contextLength || 0;
+        console.log(`📏 ${provider.name} ${model} context length: ${details.contextLength || 'unknown'}`);
+    } catch (error) {
+        console.warn(`⚠️ Could not read ${provider.name} details for ${model}:`, error.message);
+        MODEL_CONTEXT_METADATA[key] = 0;
+    }
+    return MODEL_CONTEXT_METADATA[key];
+}
+
+// Provider metadata when we have it, otherwise a guess from the model name
+function supportsVision(provider, model) {
+    if (!getProviderCapabilities(provider).vision) return false;
+    const known = MODEL_VISION_METADATA[`${provider}|${model}`];
+    return known !== undefined ? known : ImageAttachments.looksLikeVisionModel(model);
+}
+
+// Turn attached images into image_url parts - text-only models get a note in their place
+function toVisionMessages(messages, provider, model) {
+    if (!messages.some(msg => msg.images?.length)) return messages;
+
+    const vision = supportsVision(provider, model);
+    if (!vision) {
+        console.warn(`🖼️ ${model} doesn't take images - sending text only`);
+        showStatus(`⚠️ ${model} can't see images - sending text only`, 'warning');
+    }
+
+    return messages.map(msg => {
+        if (!msg.images?.length) return msg;
+        const { images, ...rest } = msg;
+        const count = images.length === 1 ? 'an image' : `${images.length} images`;
+        return {
+            ...rest,
+            content: vision
+                ? ImageAttachments.toContentParts(msg.content, images)
+                : `${msg.content}\n[The user attached ${count} you can't see]`
+        };
+    });
+}
+
+// Log and display what the context packer had to drop
+function reportContextBudget(report) {
+    APP_STATE.lastContextReport = report;
+    const summary = TokenBudget.describeReport(report);
+
+    if (report.historyDropped > 0 || report.memoriesDropped > 0 || report.personality !== 'kept') {
+        console.warn(`📏 Context budget: ${summary}`);
+    } else {
+        console.log(`📏 Context budget: ${summary}`);
+    }
+
+    const reportEl = document.getElementById('contextBudgetReport');
+    if (reportEl) {
+        reportEl.textContent = `Last request: ${summary}`;
+    }
+}
+
+// images: attachments for `message` (history turns carry their own)
+async function callLLM(message, streaming = false, onChunk = null, memoryContext = '', overrideProvider = null, overrideModel = null, customMessages = null, signal = null, images = null) {
     // Use override provider/model if provided (for summarization), otherwise use chat settings
     const providerName = overrideProvider || APP_STATE.settings.llmProvider;
     const modelName = overrideModel || APP_STATE.settings.llmModel;
@@ -2958,270 +3843,2036 @@ async function callLLM(message, streaming = false, onChunk = null, memoryContext
         throw new Error(`No model selected for ${provider.name}`);
     }
 
+    // Monthly spending cap reached - failover moves on to the next provider
+    const budgetError = getBudgetError(providerName, provider.name);
+    if (budgetError) throw budgetError;
+
+    // Context window for this model (0 = unknown, send everything)
+    let contextLength = getContextLength(providerName, modelName);
+    if (!contextLength) {
+        contextLength = await describeProviderModel(providerName, modelName);
+    }
+
     // If customMessages provided, use them directly (for summarization)
     // Otherwise build messages with character personality (for chat)
     let messages;
     if (customMessages) {
         messages = customMessages;
     } else {
-        // Build messages array with memory context
-        // Combine system prompt (general instructions) + character personality
-        let systemMessage = APP_STATE.settings.systemPrompt;
+        // Whoever in the cast is replying (the main character unless a cast is set up)
+        const cast = getCharacterCast();
+        const character = cast.get(APP_STATE.activeCharacterId);
+        const history = cast.formatHistoryFor(APP_STATE.conversationHistory, character.id);
+
+        // The prompt template decides where persona, names and memories go
+        const variables = getPromptVariables(character, cast);
+        const renderSystemMessage = (personality, memories) => renderPromptTemplate(variables, personality, memories);
+        APP_STATE.lastMemoryContext = memoryContext;
+
+        if (contextLength) {
+            // Pack by priority into the context window, leaving room for the reply
+            const replyReserve = Math.min(APP_STATE.settings.llmMaxTokens, Math.floor(contextLength / 4));
+            const packed = TokenBudget.pack({
+                budget: contextLength - replyReserve,
+                renderSystemMessage,
+                personality: character.personality,
+                memoryContext,
+                history,
+                userMessage: message,
+                userImages: images || []
+            });
+            messages = packed.messages;
+            reportContextBudget(packed.report);
+        } else {
+            messages = [
+                { role: 'system', content: renderSystemMessage(character.personality, memoryContext) },
+                ...history,
+                images?.length ? { role: 'user', content: message, images } : { role: 'user', content: message }
+            ];
+        }
+    }
+
+    messages = toVisionMessages(messages, providerName, modelName);
+
+    // The adapter turns the messages into this API's request (URL, headers, body)
+    const adapter = getProviderAdapter(providerName);
+    const capabilities = getProviderCapabilities(providerName);
+    const request = adapter.buildRequest({
+        provider,
+        model: modelName,
+        messages,
+        streaming,
+        temperature: APP_STATE.settings.llmTemperature,
+        maxTokens: APP_STATE.settings.llmMaxTokens,
+        apiKey: SettingsManager.getProviderApiKey(providerName),
+        contextLength,
+        capabilities
+    });
+    const requestBody = request.body;
+
+    // Tool calling (adapters with OpenAI-style tools only - summarization never gets tools)
+    const useTools = APP_STATE.settings.enableToolCalling && !customMessages && capabilities.tools && llmTools.size > 0;
+    if (useTools) {
+        requestBody.tools = llmTools.getDefinitions()
+            .filter(tool => !(reminderParsedThisTurn && tool.function.name === 'set_reminder'));
+    }
+
+    // Chat replies: strip [emotion]/<anim:...> tags and hand them to onChunk with their sentence
+    const tagParser = !customMessages && APP_STATE.settings.enableAvatarTags
+        ? new AvatarTagParser(getAvatarTagVocabulary().entries)
+        : null;
+    const noTags = (text) => ({ text, tags: [] });
+    const replyTags = []; // Non-streaming: tags for the whole reply (offsets into fullResponse)
+    
+    let fullResponse = '';
+    let segmenter = null; // Streaming: cuts the reply into chunks for onChunk
+
+    // Reasoning models: <think> blocks and reasoning deltas never reach the reply (so never spoken or saved)
+    const reasoningParser = new ReasoningParser();
+    let reasoning = '';
+    const addReasoning = (text) => {
+        reasoning += text;
+        if (customMessages) return;
+        if (streaming && !fullResponse.trim()) setThinking(true);
+        showThoughts(reasoning);
+    };
+    if (!customMessages) showThoughts('');
+
+    // Usage & Costs: one record per request, estimated from the text when the API doesn't report tokens
+    let usage = null;
+    let roundContent = '';
+    let reasoningAtRoundStart = 0;
+    let roundBilled = false; // Request accepted, usage not recorded yet
+    const recordRoundUsage = () => {
+        if (!roundBilled) return;
+        roundBilled = false;
+        recordLLMUsage(providerName, modelName, usage, requestBody, roundContent + reasoning.slice(reasoningAtRoundStart));
+    };
+
+    // Latency telemetry (chat replies only): time to the first answer token and to the whole reply
+    const requestStartedAt = performance.now();
+    let firstTokenRecorded = false;
+    const recordFirstToken = () => {
+        if (customMessages || firstTokenRecorded) return;
+        firstTokenRecorded = true;
+        telemetry.record('ttft', performance.now() - requestStartedAt, { provider: providerName, model: modelName });
+    };
+
+    try {
+        // One request per round - keep going while the model asks for tools
+        for (let round = 0; ; round++) {
+            // Last round: withhold tools so the model has to answer in plain text
+            if (useTools && round === MAX_TOOL_ROUNDS) {
+                delete requestBody.tools;
+            }
+
+            // Retries 429/5xx with backoff (honors Retry-After); adapters without HTTP (in-browser model) send it themselves
+            const response = adapter.send ? await adapter.send(request, signal) : await fetchWithRetry(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(requestBody),
+                signal: signal
+            }, provider.name);
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                const apiError = new Error(`${provider.name} API error (${response.status}): ${errorText}`);
+                apiError.status = response.status;
+                throw apiError;
+            }
+
+            // Keep text from separate rounds from running together
+            if (fullResponse && !/\s$/.test(fullResponse)) {
+                fullResponse += ' ';
+            }
+
+            roundContent = '';
+            usage = null;
+            reasoningAtRoundStart = reasoning.length;
+            roundBilled = true;
+            let toolCalls = [];
+            
+            // STREAMING RESPONSE
+            if (streaming) {
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+
+                // Speakable chunks: whole sentences (not "Dr." or "3.14"), short ones merged, long ones split
+                segmenter = onChunk ? new SentenceSegmenter({
+                    onSegment: onChunk,
+                    minLength: APP_STATE.settings.ttsMinChunkLength,
+                    maxLength: APP_STATE.settings.ttsMaxChunkLength,
+                    flushAfterMs: APP_STATE.settings.ttsChunkFlushMs
+                }) : null;
+                
+                while (true) {
+                    const {done, value} = await reader.read();
+                    if (done) break;
+                    
+                    buffer += decoder.decode(value, {stream: true});
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop() || '';
+                    
+                    for (const line of lines) {
+                        const trimmed = line.trim();
+                        
+                        // Skip empty lines, SSE comments (lines starting with :), and [DONE] marker
+                        if (!trimmed || trimmed.startsWith(':') || trimmed === 'data: [DONE]') continue;
+                        
+                        // Only process lines that start with "data: "
+                        if (!trimmed.startsWith('data: ')) {
+                            // Skip non-data lines (keep-alive, etc.)
+                            continue;
+                        }
+                        
+                        // Extract JSON from "data: {...}" format
+                        const jsonStr = trimmed.replace(/^data: /, '').trim();
+                        if (!jsonStr) continue;
+                        
+                        try {
+                            // The adapter pulls text, separate reasoning, tool call fragments and token counts out of the event
+                            const event = adapter.parseStreamEvent(JSON.parse(jsonStr));
+
+                            // Token counts: last chunk (OpenAI-style), message_start + message_delta (Anthropic)
+                            usage = UsageTracker.readApiUsage(event.usage, usage);
+
+                            // Tool calls stream in as fragments - stitch them together by index
+                            if (event.toolCallDeltas) {
+                                ToolRegistry.accumulateDeltas(toolCalls, event.toolCallDeltas);
+                            }
+
+                            // Reasoning sent apart from the text (reasoning_content, reasoning, Anthropic thinking)
+                            if (event.reasoning) {
+                                addReasoning(event.reasoning);
+                            }
+
+                            const content = event.text || '';
+                            
+                            if (content) {
+                                roundContent += content;
+
+                                // <think> blocks come out first, then avatar tags - before display and TTS
+                                const split = reasoningParser.feed(content);
+                                if (split.reasoning) addReasoning(split.reasoning);
+                                if (split.answer.trim() && !customMessages) {
+                                    setThinking(false);
+                                    recordFirstToken();
+                                }
+
+                                const parsed = tagParser ? tagParser.feed(split.answer) : noTags(split.answer);
+                                fullResponse += parsed.text;
+                                
+                                // Update display in real-time
+                                displayAIResponse(fullResponse);
+                                
+                                // Complete chunks go straight to onChunk (with the tags inside them)
+                                segmenter?.push(parsed.text, parsed.tags);
+                            }
+                        } catch (parseError) {
+                            if (!(parseError instanceof SyntaxError)) throw parseError;
+
+                            // Only log if it's not a comment line (comments are already filtered above)
+                            if (!trimmed.startsWith(':')) {
+                                console.warn('Failed to parse streaming chunk:', parseError, 'Line:', trimmed.substring(0, 50));
+                            }
+                        }
+                    }
+                }
+                
+                // Release half-finished tags as text, then send any remaining text
+                const tail = reasoningParser.flush();
+                if (tail.reasoning) addReasoning(tail.reasoning);
+                const rest = tagParser ? tagParser.feed(tail.answer, true) : noTags(tail.answer);
+                fullResponse += rest.text;
+                segmenter?.push(rest.text, rest.tags);
+                segmenter?.flush();
+            }
+            // NON-STREAMING RESPONSE
+            else {
+                const reply = adapter.parseResponse(await response.json());
+                usage = UsageTracker.readApiUsage(reply.usage);
+                roundContent = reply.text || '';
+
+                const split = ReasoningParser.split(roundContent);
+                const apiReasoning = reply.reasoning || '';
+                if (apiReasoning || split.reasoning) {
+                    addReasoning([apiReasoning, split.reasoning].filter(Boolean).join('\n'));
+                }
+
+                const parsed = tagParser ? tagParser.strip(split.answer) : noTags(split.answer);
+                if (parsed.text.trim()) recordFirstToken();
+                replyTags.push(...parsed.tags.map(tag => ({ ...tag, at: fullResponse.length + tag.at })));
+                fullResponse += parsed.text;
+                toolCalls = reply.toolCalls || [];
+            }
+
+            recordRoundUsage();
+
+            toolCalls = toolCalls.filter(call => call?.function?.name);
+            if (!useTools || toolCalls.length === 0) {
+                // Non-streaming: the whole reply is one chunk
+                if (!streaming && onChunk) {
+                    const leadingSpace = fullResponse.length - fullResponse.trimStart().length;
+                    onChunk(fullResponse.trim(), replyTags.map(tag => ({ ...tag, at: Math.max(0, tag.at - leadingSpace) })));
+                }
+                if (!customMessages) {
+                    telemetry.record('llm', performance.now() - requestStartedAt, { provider: providerName, model: modelName, streaming });
+                }
+                return fullResponse.trim();
+            }
+
+            // Feed tool results back into the conversation, then ask again for the answer
+            toolCalls.forEach((call, i) => {
+                if (!call.id) call.id = `call_${round}_${i}`;
+            });
+            requestBody.messages.push({ role: 'assistant', content: ReasoningParser.split(roundContent).answer.trim() || null, tool_calls: toolCalls });
+
+            for (const call of toolCalls) {
+                showStatus(`🔧 Using ${call.function.name}...`, 'loading');
+                const result = await llmTools.execute(call.function.name, call.function.arguments);
+                requestBody.messages.push({ role: 'tool', tool_call_id: call.id, content: result });
+            }
+        }
+    } catch (error) {
+        // Nothing more gets spoken after a failure
+        segmenter?.cancel();
+
+        // Tokens generated before Stop or a dropped stream are billed too
+        recordRoundUsage();
+
+        // Hand back whatever was generated before the failure (Stop button, failover)
+        error.partialResponse = fullResponse.trim();
+        if (error.name !== 'AbortError') {
+            console.error(`${provider.name} API error:`, error);
+        }
+        throw error;
+    } finally {
+        if (!customMessages) setThinking(false);
+    }
+}
+
+// =============================================
+// LLM Retry & Failover
+// =============================================
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504, 529]); // 529 = Anthropic overloaded
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with a little jitter: ~1s, 2s, 4s...
+function getBackoffDelay(attempt) {
+    return 1000 * 2 ** attempt + Math.random() * 250;
+}
 
-        // Add character personality
-        if (APP_STATE.settings.characterPersonality) {
-            systemMessage += `\n\n${APP_STATE.settings.characterPersonality}`;
+// Abortable sleep (Stop button cancels pending retries too)
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
         }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+// fetch() that retries network errors, 429 and 5xx up to llmMaxRetries times.
+// Returns the last response (possibly still an error) so callers keep their own error handling.
+async function fetchWithRetry(url, options, providerLabel) {
+    const maxRetries = APP_STATE.settings.llmMaxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (error.name === 'AbortError' || attempt >= maxRetries) throw error;
 
-        // Inject character name if available
-        if (APP_STATE.settings.characterName) {
-            systemMessage += `\n\n[Your character name is: ${APP_STATE.settings.characterName}]`;
+            const delay = getBackoffDelay(attempt);
+            console.warn(`⏳ ${providerLabel} unreachable (${error.message}) - retry ${attempt + 1}/${maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+            await sleep(delay, options.signal);
+            continue;
         }
 
-        // Inject user name if available
-        if (APP_STATE.settings.userName) {
-            systemMessage += `\n\n[The user's name is ${APP_STATE.settings.userName}]`;
+        if (response.ok || !RETRYABLE_STATUS_CODES.has(response.status) || attempt >= maxRetries) {
+            return response;
         }
 
-        // Append memory context
-        if (memoryContext) {
-            systemMessage += memoryContext;
+        const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        const delay = Math.min(retryAfter ?? getBackoffDelay(attempt), MAX_RETRY_DELAY_MS);
+        console.warn(`⏳ ${providerLabel} returned ${response.status} - retry ${attempt + 1}/${maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+        showStatus(`⏳ ${providerLabel} busy (${response.status}) - retrying in ${Math.ceil(delay / 1000)}s...`, 'loading');
+        await sleep(delay, options.signal);
+    }
+}
+
+// Chat provider first, then each fallback provider+model in order
+function getProviderCandidates() {
+    const candidates = [
+        { provider: APP_STATE.settings.llmProvider, model: APP_STATE.settings.llmModel },
+        ...SettingsManager.getFallbackChain().map(entry => ({
+            provider: entry.provider,
+            model: entry.model || SettingsManager.getProviderModel(entry.provider, false)
+        }))
+    ];
+
+    const seen = new Set();
+    return candidates.filter(candidate => {
+        const key = `${candidate.provider}|${candidate.model}`;
+        if (!LLM_PROVIDERS[candidate.provider] || !candidate.model || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// callLLM with failover: when a provider still fails after its retries, move to the next one
+async function callLLMWithFailover(message, streaming, onChunk, memoryContext, signal, images = null) {
+    const candidates = getProviderCandidates();
+    if (candidates.length === 0) {
+        const provider = LLM_PROVIDERS[APP_STATE.settings.llmProvider];
+        throw new Error(`No model selected for ${provider?.name || APP_STATE.settings.llmProvider}`);
+    }
+
+    let lastError;
+    for (let i = 0; i < candidates.length; i++) {
+        const { provider, model } = candidates[i];
+        try {
+            const response = await callLLM(message, streaming, onChunk, memoryContext, provider, model, null, signal, images);
+            return { response, provider, model, isFallback: i > 0 };
+        } catch (error) {
+            // Never fail over after Stop, or once part of the reply was already shown/spoken
+            if (error.name === 'AbortError' || error.partialResponse) throw error;
+            lastError = error;
+
+            const next = candidates[i + 1];
+            if (next) {
+                console.warn(`🛟 ${LLM_PROVIDERS[provider].name} failed - failing over to ${LLM_PROVIDERS[next.provider].name} (${next.model})`);
+                showStatus(`🛟 ${LLM_PROVIDERS[provider].name} failed - trying ${LLM_PROVIDERS[next.provider].name}...`, 'loading');
+            }
         }
+    }
+    throw lastError;
+}
 
-        messages = [
-            { role: 'system', content: systemMessage },
-            ...APP_STATE.conversationHistory,
-            { role: 'user', content: message }
-        ];
+// Show which provider/model produced the current reply
+function updateAnsweredBy(result) {
+    if (!DOM.answeredBy) return;
+    if (!result) {
+        DOM.answeredBy.textContent = '';
+        return;
     }
+    const name = LLM_PROVIDERS[result.provider]?.name || result.provider;
+    DOM.answeredBy.textContent = `${result.isFallback ? '🛟 Fallback: ' : ''}${name} · ${result.model}`;
+}
 
-    // Build request body (OpenAI-compatible format)
-    const requestBody = {
-        model: modelName,
-        messages: messages,
-        temperature: APP_STATE.settings.llmTemperature,
-        max_tokens: APP_STATE.settings.llmMaxTokens,
-        stream: streaming
+// =============================================
+// Local LLM (in-browser) - Transformers.js text generation in a Web Worker
+// =============================================
+let localLLMWorker = null;
+let localLLMRequestId = 0;
+const localLLMRequests = new Map(); // id -> { onToken, resolve, reject }
+
+function getLocalLLMWorker() {
+    if (localLLMWorker) return localLLMWorker;
+
+    localLLMWorker = new Worker('./js/local-llm-worker.js', { type: 'module' });
+
+    localLLMWorker.onmessage = (event) => {
+        const { type, id } = event.data;
+        const request = localLLMRequests.get(id);
+
+        if (type === 'load-progress') {
+            showStatus(`🧠 Loading ${event.data.model}... ${event.data.progress}%`, 'loading');
+            updateLocalLLMStatus(`⏳ Downloading ${event.data.file || 'model'}: ${event.data.progress}%`);
+        } else if (type === 'model-ready') {
+            console.log(`✅ Local LLM ready: ${event.data.model} (${event.data.source})`);
+            updateLocalLLMStatus(`✅ ${event.data.model} loaded (${event.data.source === 'local' ? '/public/models' : 'downloaded, cached by the browser'})`);
+        } else if (type === 'model-error') {
+            console.error('❌ Local LLM failed to load:', event.data.error);
+            updateLocalLLMStatus(`❌ ${event.data.error}`);
+            showStatus('❌ Local model failed to load: ' + event.data.error, 'error');
+        } else if (type === 'token') {
+            request?.onToken(event.data.text);
+        } else if (type === 'generate-result') {
+            localLLMRequests.delete(id);
+            request?.resolve(event.data.result);
+        } else if (type === 'generate-error') {
+            localLLMRequests.delete(id);
+            updateLocalLLMStatus(`❌ ${event.data.error}`);
+            request?.reject(new Error(`Local model error: ${event.data.error}`));
+        }
     };
-    
-    // *** OLLAMA PERFORMANCE OPTIMIZATION ***
-    // Add Ollama-specific parameters for faster inference
-    if (providerName === 'ollama') {
-        requestBody.options = {
-            // KV Cache - keeps context in memory for faster subsequent requests
-            num_keep: -1,  // Keep all context in cache (-1 = keep everything)
-            
-            // Flash Attention - uses optimized attention mechanism (automatic in newer Ollama)
-            // Note: Flash Attention is automatically enabled in Ollama 0.1.26+ if GPU supports it
-            
-            // Batch size - process multiple tokens at once
-            num_batch: 512,  // Increased from default 128 for faster processing
-            
-            // Thread optimization
-            num_thread: 0,  // 0 = auto-detect optimal thread count
-            
-            // GPU layers - offload to GPU for speed (if available)
-            num_gpu: 999,  // Use all available GPU layers (auto-limited by model)
-            
-            // Context window (don't change this - it affects output quality)
-            // num_ctx: 2048,  // Commented out - let model use its default
-            
-            // Prediction settings (already set via max_tokens)
-            // num_predict: max_tokens,  // Already handled by max_tokens above
-            
-            // Performance tweaks
-            repeat_penalty: 1.1,  // Slight penalty to reduce repetition
-            top_k: 40,  // Limit sampling to top 40 tokens for speed
-            top_p: 0.9,  // Nucleus sampling for quality
-            
-            // Low VRAM mode (disable for max speed if you have enough VRAM)
-            low_vram: false,  // Set to true if running out of VRAM
-            
-            // F16 KV cache (faster on modern GPUs)
-            f16_kv: true,  // Use half-precision for KV cache (2x faster, minimal quality loss)
-            
-            // Mirostat sampling (optional - can improve quality)
-            // mirostat: 2,  // Disabled by default for max speed
-            // mirostat_tau: 5.0,
-            // mirostat_eta: 0.1,
+
+    localLLMWorker.onerror = (error) => {
+        console.error('❌ Local LLM worker failed:', error);
+        localLLMRequests.forEach(request => request.reject(new Error('Local model worker crashed')));
+        localLLMRequests.clear();
+        localLLMWorker = null;
+    };
+
+    return localLLMWorker;
+}
+
+function updateLocalLLMStatus(text) {
+    const status = document.getElementById('localLlmStatus');
+    if (status) status.textContent = text;
+}
+
+// Download/load a model ahead of the first message
+function preloadLocalLLM(model) {
+    updateLocalLLMStatus(`⏳ Loading ${model}...`);
+    getLocalLLMWorker().postMessage({ type: 'load', data: { model } });
+}
+
+// Run a chat request in the worker and return it as an OpenAI-style fetch Response (SSE when streaming),
+// so callLLM's streaming, reasoning, tag and sentence handling works the same as for HTTP providers
+function fetchLocalLLM(model, requestBody, signal) {
+    if (signal?.aborted) {
+        return Promise.reject(new DOMException('Aborted', 'AbortError'));
+    }
+
+    const worker = getLocalLLMWorker();
+    const id = ++localLLMRequestId;
+    const encoder = new TextEncoder();
+    const sse = (data) => encoder.encode(`data: ${JSON.stringify(data)}\n\n`);
+
+    let onToken = () => {};
+    const result = new Promise((resolve, reject) => {
+        localLLMRequests.set(id, { onToken: (text) => onToken(text), resolve, reject });
+    });
+
+    const onAbort = () => {
+        worker.postMessage({ type: 'abort', id });
+        const request = localLLMRequests.get(id);
+        localLLMRequests.delete(id);
+        request?.reject(new DOMException('Aborted', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    result.finally(() => signal?.removeEventListener('abort', onAbort)).catch(() => {});
+
+    worker.postMessage({
+        type: 'generate',
+        id,
+        data: {
+            model,
+            messages: requestBody.messages,
+            options: {
+                max_new_tokens: requestBody.max_tokens,
+                temperature: requestBody.temperature
+            }
+        }
+    });
+
+    if (!requestBody.stream) {
+        return result.then(({ text, usage }) => new Response(JSON.stringify({
+            choices: [{ message: { role: 'assistant', content: text } }],
+            usage
+        }), { headers: { 'Content-Type': 'application/json' } }));
+    }
+
+    const body = new ReadableStream({
+        start(controller) {
+            onToken = (text) => controller.enqueue(sse({ choices: [{ delta: { content: text } }] }));
+            result.then(({ usage }) => {
+                controller.enqueue(sse({ choices: [], usage }));
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                controller.close();
+            }, (error) => controller.error(error));
+        },
+        cancel() {
+            onAbort();
+        }
+    });
+    return Promise.resolve(new Response(body, { headers: { 'Content-Type': 'text/event-stream' } }));
+}
+
+// OpenAI-style request and replies, sent to the worker instead of over HTTP
+llmAdapters.register('local', {
+    ...openAIAdapter,
+    capabilities: { tools: false, vision: false, streamUsage: true },
+    send: (request, signal) => fetchLocalLLM(request.body.model, request.body, signal),
+    listModels: async ({ provider }) => provider.models.map(id => ({ id }))
+});
+
+// =============================================
+// Usage & Costs - tokens, TTS characters and estimated spend
+// =============================================
+const usageTracker = new UsageTracker({ onChange: () => renderUsageDashboard() });
+
+// Name shown for a provider key (LLM, TTS or custom endpoint)
+function getUsageProviderName(provider) {
+    return LLM_PROVIDERS[provider]?.name || TTS_PROVIDERS[provider]?.name || provider;
+}
+
+// Error for a request that would go over a monthly cap (null while there's room)
+function getBudgetError(provider, label) {
+    const exceeded = usageTracker.getExceededBudget(provider);
+    if (!exceeded) return null;
+
+    const scope = exceeded.scope === 'total' ? 'Total' : label;
+    const error = new Error(`💰 ${scope} monthly budget reached ($${exceeded.spent.toFixed(2)} of $${exceeded.cap.toFixed(2)}) - raise it under Usage & Costs`);
+    console.warn(error.message);
+    return error;
+}
+
+// Record one LLM request - counts the API didn't report are estimated from the text
+function recordLLMUsage(provider, model, usage, requestBody, output) {
+    const promptMessages = requestBody.system
+        ? [{ role: 'system', content: requestBody.system }, ...requestBody.messages]
+        : requestBody.messages;
+
+    usageTracker.record({
+        provider,
+        model,
+        promptTokens: usage ? usage.promptTokens : promptMessages.reduce((sum, msg) => sum + TokenBudget.estimateMessageTokens(msg), 0),
+        completionTokens: usage ? usage.completionTokens : TokenBudget.estimateTokens(output),
+        estimated: !usage
+    });
+}
+
+// First day (inclusive) of a dashboard period
+function getUsagePeriodStart(period) {
+    const today = UsageTracker.dayKey();
+    if (period === 'today') return today;
+    if (period === '30days') return UsageTracker.dayKey(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+    if (period === 'all') return '';
+    return `${today.slice(0, 7)}-01`; // This month
+}
+
+function formatUsageCount(count) {
+    if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+    if (count >= 1e4) return `${Math.round(count / 1e3)}k`;
+    if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+    return String(count);
+}
+
+function formatUsageCost(cost) {
+    if (cost === null) return '—';
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+function renderUsageDashboard() {
+    const container = document.getElementById('usageTable');
+    if (!container) return;
+
+    const period = document.getElementById('usagePeriod')?.value || 'month';
+    const { rows, total } = usageTracker.summarize(getUsagePeriodStart(period));
+
+    container.innerHTML = '';
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="range-hint">No usage recorded for this period</div>';
+    } else {
+        const table = document.createElement('table');
+        table.className = 'usage-table';
+
+        const addRow = (cells, tag = 'td', className = '') => {
+            const tr = document.createElement('tr');
+            if (className) tr.className = className;
+            cells.forEach(({ text, title }) => {
+                const cell = document.createElement(tag);
+                cell.textContent = text;
+                if (title) cell.title = title;
+                tr.appendChild(cell);
+            });
+            table.appendChild(tr);
         };
-        
-        console.log('⚡ Ollama performance optimizations enabled:', {
-            kv_cache: 'full',
-            batch_size: 512,
-            gpu_layers: 'max',
-            f16_kv: true
+
+        addRow(['Model', 'Req', 'In', 'Out', 'Chars', 'Cost'].map(text => ({ text })), 'th');
+        rows.forEach(row => {
+            // ~ = some requests were estimated (provider didn't report tokens)
+            const approx = row.estimatedRequests > 0 ? '~' : '';
+            addRow([
+                { text: row.model, title: getUsageProviderName(row.provider) },
+                { text: String(row.requests) },
+                { text: row.promptTokens ? approx + formatUsageCount(row.promptTokens) : '', title: approx && `${row.estimatedRequests} of ${row.requests} requests estimated` },
+                { text: row.completionTokens ? approx + formatUsageCount(row.completionTokens) : '' },
+                { text: row.characters ? formatUsageCount(row.characters) : '' },
+                { text: formatUsageCost(row.cost), title: row.cost === null ? 'No price for this model in the price table' : '' }
+            ]);
+        });
+        addRow([
+            { text: 'Total' },
+            { text: String(total.requests) },
+            { text: formatUsageCount(total.promptTokens) },
+            { text: formatUsageCount(total.completionTokens) },
+            { text: formatUsageCount(total.characters) },
+            { text: formatUsageCost(total.cost), title: total.unpriced ? `${total.unpriced} model(s) without a price not included` : '' }
+        ], 'td', 'usage-total');
+
+        container.appendChild(table);
+    }
+
+    // Spend against each monthly cap
+    const budgetStatus = document.getElementById('usageBudgetStatus');
+    if (budgetStatus) {
+        budgetStatus.textContent = Object.entries(usageTracker.budgets).map(([scope, cap]) => {
+            const spent = usageTracker.monthCost(scope === 'total' ? null : scope);
+            const name = scope === 'total' ? 'Total' : getUsageProviderName(scope);
+            return `${spent >= cap ? '⛔' : '✅'} ${name}: $${spent.toFixed(2)} / $${cap.toFixed(2)}`;
+        }).join(' · ');
+    }
+}
+
+function setupUsageControls() {
+    const period = document.getElementById('usagePeriod');
+    const priceTable = document.getElementById('usagePriceTable');
+    const priceErrors = document.getElementById('usagePriceErrors');
+    const budgets = document.getElementById('usageBudgets');
+    const budgetErrors = document.getElementById('usageBudgetErrors');
+
+    const showErrors = (element, errors) => {
+        if (element) element.textContent = errors.map(error => `⚠️ ${error}`).join(' · ');
+    };
+    const applyPriceTable = () => {
+        showErrors(priceErrors, usageTracker.setPriceTable(APP_STATE.settings.usagePriceTable));
+    };
+    const applyBudgets = () => {
+        const errors = usageTracker.setBudgets(APP_STATE.settings.usageBudgets);
+        Object.keys(usageTracker.budgets)
+            .filter(scope => scope !== 'total' && !LLM_PROVIDERS[scope] && !TTS_PROVIDERS[scope])
+            .forEach(scope => errors.push(`"${scope}" is not a provider - use a key like openai, fish or total`));
+        showErrors(budgetErrors, errors);
+    };
+
+    applyPriceTable();
+    applyBudgets();
+
+    if (period) {
+        period.addEventListener('change', renderUsageDashboard);
+    }
+
+    if (priceTable) {
+        priceTable.value = APP_STATE.settings.usagePriceTable;
+        priceTable.addEventListener('change', (e) => {
+            saveSetting('usagePriceTable', e.target.value);
+            applyPriceTable();
+        });
+    }
+
+    if (budgets) {
+        budgets.value = APP_STATE.settings.usageBudgets;
+        budgets.addEventListener('change', (e) => {
+            saveSetting('usageBudgets', e.target.value);
+            applyBudgets();
+        });
+    }
+
+    const resetPrices = document.getElementById('resetUsagePricesBtn');
+    if (resetPrices) {
+        resetPrices.addEventListener('click', () => {
+            if (confirm('⚠️ Reset the price table to the default prices?')) {
+                if (priceTable) priceTable.value = DEFAULT_PRICE_TABLE;
+                saveSetting('usagePriceTable', DEFAULT_PRICE_TABLE);
+                applyPriceTable();
+                showStatus('✅ Price table reset to defaults!', 'success');
+            }
+        });
+    }
+
+    const clearUsage = document.getElementById('clearUsageBtn');
+    if (clearUsage) {
+        clearUsage.addEventListener('click', async () => {
+            if (!confirm('⚠️ Delete all recorded usage? Monthly budgets start again from $0.')) return;
+            try {
+                await usageTracker.clear();
+                showStatus('🗑️ Usage history cleared', 'success');
+            } catch (error) {
+                console.error('❌ Failed to clear usage:', error);
+                showStatus('❌ Failed to clear usage: ' + error.message, 'error');
+            }
+        });
+    }
+}
+
+// =============================================
+// Latency Telemetry - per-turn timings and the performance overlay
+// =============================================
+const telemetry = new LatencyTelemetry();
+const PERF_OVERLAY_REFRESH_MS = 500;
+let perfOverlayTimer = null;
+
+function formatLatency(ms) {
+    if (ms === null) return '—';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms}ms`;
+}
+
+// FPS plus last/p50/p90/p95 of each metric over the recent window
+function renderPerfOverlay() {
+    const overlay = document.getElementById('perfOverlay');
+    if (!overlay) return;
+
+    const table = document.createElement('table');
+    const addRow = (cells, tag = 'td') => {
+        const tr = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            tr.appendChild(cell);
+        });
+        table.appendChild(tr);
+    };
+
+    addRow(['', 'last', 'p50', 'p90', 'p95', 'n'], 'th');
+    Object.entries(LATENCY_METRICS).forEach(([name, label]) => {
+        const stats = telemetry.stats(name);
+        addRow([label, formatLatency(stats.last), formatLatency(stats.p50), formatLatency(stats.p90), formatLatency(stats.p95), String(stats.count)]);
+    });
+
+    const fps = document.createElement('div');
+    fps.className = 'perf-overlay-fps';
+    fps.textContent = `🎞️ ${telemetry.fps} FPS`;
+    overlay.replaceChildren(fps, table);
+}
+
+function setPerfOverlayVisible(visible) {
+    const overlay = document.getElementById('perfOverlay');
+    if (!overlay) return;
+
+    overlay.classList.toggle('hidden', !visible);
+    clearInterval(perfOverlayTimer);
+    perfOverlayTimer = null;
+    if (visible) {
+        renderPerfOverlay();
+        perfOverlayTimer = setInterval(renderPerfOverlay, PERF_OVERLAY_REFRESH_MS);
+    }
+}
+
+// Session timings as JSON (load several exports side by side to compare providers)
+function exportLatencyTimings() {
+    if (telemetry.turns.length === 0) {
+        showStatus('⚠️ No timings recorded yet - send a message first', 'warning');
+        return;
+    }
+    const blob = new Blob([JSON.stringify(telemetry, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `timings_${Date.now()}.json`);
+    showStatus('📤 Timings exported', 'success');
+}
+
+// =============================================
+// LLM Tools (Function Calling)
+// =============================================
+const VRM_EMOTION_EXPRESSIONS = ['happy', 'angry', 'sad', 'relaxed', 'surprised'];
+
+// Only one emotion at a time - 'neutral' just clears them
+function setVRMEmotion(expression, intensity = 1) {
+    const manager = APP_STATE.vrm?.expressionManager;
+    if (!manager) return;
+
+    VRM_EMOTION_EXPRESSIONS.forEach(name => manager.setValue(name, 0));
+    if (expression !== 'neutral') {
+        manager.setValue(expression, Math.max(0, Math.min(1, intensity)));
+    }
+}
+
+// Built-in app actions the model can call. Other modules can add more via llmTools.register()
+function registerBuiltInTools() {
+    llmTools.register('set_expression', {
+        description: 'Change your facial expression (VRM avatars only). Use "neutral" to clear it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', enum: [...VRM_EMOTION_EXPRESSIONS, 'neutral'] },
+                intensity: { type: 'number', description: 'Strength from 0 to 1 (default 1)' }
+            },
+            required: ['expression']
+        },
+        handler: ({ expression, intensity = 1 }) => {
+            const manager = APP_STATE.vrm?.expressionManager;
+            if (APP_STATE.settings.avatarType !== 'vrm' || !manager) {
+                return 'Expressions are only available with a VRM avatar';
+            }
+            if (expression !== 'neutral' && !VRM_EMOTION_EXPRESSIONS.includes(expression)) {
+                return `Unknown expression "${expression}"`;
+            }
+
+            APP_STATE.mood = expression;
+            setVRMEmotion(expression, intensity);
+            return `Expression set to ${expression}`;
+        }
+    });
+
+    llmTools.register('play_animation', {
+        description: 'Play a body animation on your avatar (VRM only).',
+        parameters: {
+            type: 'object',
+            properties: {
+                animation: { type: 'string', enum: ['idle', 'talking'] }
+            },
+            required: ['animation']
+        },
+        handler: ({ animation }) => {
+            if (APP_STATE.settings.avatarType !== 'vrm' || !APP_STATE.mixer) {
+                return 'Animations are only available with a VRM avatar';
+            }
+            playAnimation(animation);
+            return `Playing ${animation} animation`;
+        }
+    });
+
+    llmTools.register('set_background', {
+        description: 'Change the background image behind your avatar (Live2D only). Pass an empty url to clear it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', description: 'Image URL' }
+            },
+            required: ['url']
+        },
+        handler: ({ url }) => {
+            if (!live2DManager || !live2DManager.isActive) {
+                return 'Backgrounds can only be changed with a Live2D avatar';
+            }
+            if (!url) {
+                live2DManager.clearBackground();
+                return 'Background cleared';
+            }
+            live2DManager.setBackground(url);
+            return 'Background changed';
+        }
+    });
+
+    llmTools.register('search_memory', {
+        description: 'Search long-term memory of past conversations with the user.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'What to look for' },
+                limit: { type: 'integer', description: 'Max results (default 3)' }
+            },
+            required: ['query']
+        },
+        handler: async ({ query, limit = 3 }) => {
+            if (!APP_STATE.modelsLoaded || !APP_STATE.memoryDB) {
+                return 'Long-term memory is not initialized';
+            }
+            const character = getCharacterCast().get(APP_STATE.activeCharacterId);
+            const memories = await retrieveRelevantMemories(query, Math.max(1, Math.min(10, limit)), getMemoryScopeId(character));
+            if (memories.length === 0) return 'No relevant memories found';
+            return memories.map(m => ({
+                role: m.role,
+                text: m.text,
+                date: new Date(m.timestamp).toLocaleString()
+            }));
+        }
+    });
+
+    llmTools.register('set_reminder', {
+        description: 'Remind the user about something, or start a timer, after a number of minutes. You will be told when it is due.',
+        parameters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'What to remind them about (leave out for a plain timer)' },
+                minutes: { type: 'number', description: 'Minutes from now' }
+            },
+            required: ['minutes']
+        },
+        handler: ({ text, minutes }) => {
+            if (!(minutes > 0)) return { error: 'minutes must be greater than 0' };
+            const reminder = scheduleReminder(text
+                ? { text, kind: 'reminder', dueAt: Date.now() + minutes * 60000 }
+                : { text: ReminderList.timerLabel(Math.round(minutes * 60) * 1000), kind: 'timer', dueAt: Date.now() + minutes * 60000 });
+            return { scheduled: true, dueAt: new Date(reminder.dueAt).toLocaleString() };
+        }
+    });
+
+    llmTools.register('get_current_time', {
+        description: 'Get the user\'s current local date and time.',
+        parameters: { type: 'object', properties: {} },
+        handler: () => {
+            const now = new Date();
+            return {
+                local: now.toLocaleString(),
+                iso: now.toISOString(),
+                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            };
+        }
+    });
+}
+
+// =============================================
+// Avatar Tags - inline [emotion] / <anim:...> markup in replies
+// =============================================
+let avatarTagVocabulary = { text: null, entries: [], errors: [] };
+
+// Parsed tag vocabulary (re-parsed only when the setting changes)
+function getAvatarTagVocabulary() {
+    const text = APP_STATE.settings.avatarTagVocabulary;
+    if (avatarTagVocabulary.text !== text) {
+        avatarTagVocabulary = { text, ...AvatarTagParser.parseVocabulary(text) };
+    }
+    return avatarTagVocabulary;
+}
+
+// Prompt line listing the tags (empty when tags are off)
+function getAvatarTagPrompt() {
+    if (!APP_STATE.settings.enableAvatarTags) return '';
+    return AvatarTagParser.describeForPrompt(getAvatarTagVocabulary().entries);
+}
+
+// Built-in clips are played by name, anything else is a Mixamo file
+function isTagAnimationFile(animation) {
+    return animation !== 'idle' && animation !== 'talking';
+}
+
+// Load tag clips ahead of time so they start on cue
+function preloadTagAnimations() {
+    if (!APP_STATE.settings.enableAvatarTags) return;
+    getAvatarTagVocabulary().entries.forEach(entry => {
+        if (entry.animation && isTagAnimationFile(entry.animation)) {
+            loadTagAnimation(entry.animation, entry.name);
+        }
+    });
+}
+
+// Act out one tag on whichever avatar is showing
+function applyAvatarTag(entry) {
+    console.log(`🎭 Avatar tag ${entry.tag}`);
+    if (entry.expression) {
+        APP_STATE.mood = entry.expression;
+    }
+
+    if (APP_STATE.settings.avatarType === 'live2d') {
+        if (entry.motion && live2DManager?.isActive) {
+            live2DManager.playMotion(entry.motion);
+        }
+        return;
+    }
+
+    if (entry.expression) {
+        setVRMEmotion(entry.expression);
+    }
+    if (entry.animation) {
+        if (!isTagAnimationFile(entry.animation) || APP_STATE.tagAnimations[entry.animation]) {
+            playAnimation(entry.animation);
+        } else {
+            // Not preloaded (vocabulary just changed) - play as soon as it's in
+            loadTagAnimation(entry.animation, entry.name).then(loaded => {
+                if (loaded) playAnimation(entry.animation);
+            });
+        }
+    }
+}
+
+function applyAvatarTags(tags) {
+    tags.forEach(tag => applyAvatarTag(tag.entry));
+}
+
+// Fire each tag when playback reaches it - estimated from its position in the text
+function scheduleAvatarTags(audio, text, tags) {
+    const epoch = speechEpoch;
+    tags.forEach(tag => {
+        const delay = (audio.duration * tag.at / Math.max(1, text.length) - audio.currentTime) * 1000;
+        if (!(delay > 0)) {
+            applyAvatarTag(tag.entry);
+            return;
+        }
+        setTimeout(() => {
+            if (epoch === speechEpoch) applyAvatarTag(tag.entry); // Not after Stop
+        }, delay);
+    });
+}
+
+// Tags with no words of their own (a reply ending in "[happy]") - act them out after the speech before them
+function queueAvatarTags(tags) {
+    const last = APP_STATE.speechQueue[APP_STATE.speechQueue.length - 1];
+    const audio = APP_STATE.currentAudio;
+
+    if (last) {
+        last.tags = [...(last.tags || []), ...tags.map(tag => ({ ...tag, at: last.text.length }))];
+    } else if (APP_STATE.isSpeaking && audio && !audio.ended) {
+        scheduleAvatarTags(audio, '', tags.map(tag => ({ ...tag, at: 1 })));
+    } else {
+        applyAvatarTags(tags);
+    }
+}
+
+// onChunk for chat replies: speak each sentence with its tags, or just act the tags out with TTS off
+function createReplySpeaker(voice, signal) {
+    return (sentence, tags = []) => {
+        if (signal.aborted) return;
+        if (sentence) telemetry.mark('firstSentence');
+        if (APP_STATE.settings.ttsAutoPlay) {
+            speakText(sentence, voice, tags);
+        } else {
+            applyAvatarTags(tags);
+        }
+    };
+}
+
+// =============================================
+// Reasoning - thoughts from reasoning models (<think> blocks, reasoning deltas)
+// =============================================
+
+const THINKING_GAZE_OFFSET = new THREE.Vector3(0.8, 1.2, 0); // Up and to the side of the camera
+
+// Thinking pose setting ("expression=... motion=...") read like an avatar tag line
+function getThinkingPoseEntry() {
+    const { entries } = AvatarTagParser.parseVocabulary(`[thinking] ${APP_STATE.settings.thinkingPose || ''}`);
+    return entries[0] || null;
+}
+
+// Reasoning phase on/off: the avatar looks away and takes the thinking pose, then goes back to its mood
+function setThinking(active) {
+    if (APP_STATE.isThinking === active) return;
+    APP_STATE.isThinking = active;
+
+    if (active) {
+        console.log('💭 Model is thinking...');
+        showStatus('💭 Thinking...', 'loading');
+        const entry = getThinkingPoseEntry();
+        if (entry) {
+            const mood = APP_STATE.mood;
+            applyAvatarTag(entry);
+            APP_STATE.mood = mood; // A pose, not an emotion - {{mood}} stays as it was
+        }
+        return;
+    }
+
+    if (APP_STATE.settings.avatarType === 'vrm' && APP_STATE.vrm) {
+        setVRMEmotion(APP_STATE.mood);
+    }
+    // Eye tracking off: leave the gaze on the viewer, not wherever the thought wandered
+    if (!APP_STATE.settings.enableEyeTracking && eyeTrackingTarget && APP_STATE.camera) {
+        eyeTrackingTarget.position.copy(APP_STATE.camera.position);
+        APP_STATE.scene.remove(eyeTrackingTarget);
+        eyeTrackingTarget = null;
+    }
+}
+
+// Collapsible "thoughts" panel in the speech bubble (empty text hides it)
+function showThoughts(text) {
+    const panel = document.getElementById('thoughtsPanel');
+    if (!panel) return;
+
+    const visible = APP_STATE.settings.showReasoning && Boolean(text.trim());
+    panel.classList.toggle('hidden', !visible);
+    document.getElementById('thoughtsText').textContent = visible ? text.trim() : '';
+
+    if (visible && APP_STATE.settings.showSpeechBubble) {
+        DOM.speechBubble.style.display = 'block';
+    }
+}
+
+// =============================================
+// Prompt Template - {{variables}} in the system message
+// =============================================
+
+// "3 days ago" (empty when there's no timestamp)
+function formatTimeAgo(timestamp) {
+    if (!timestamp) return '';
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+// Template values as seen by the replying character (persona and memories are added at render time)
+function getPromptVariables(character, cast) {
+    const now = new Date();
+    const variables = {
+        char: character.name || '',
+        user: APP_STATE.settings.userName || '',
+        time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        date: now.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+        mood: APP_STATE.mood,
+        last_seen: formatTimeAgo(APP_STATE.previousVisitAt),
+        cast: cast.describeOthers(character.id),
+        profile: userProfile.toPrompt(),
+        avatar_tags: getAvatarTagPrompt()
+    };
+
+    // The system prompt can use the same placeholders
+    variables.system_prompt = PromptTemplate.render(APP_STATE.settings.systemPrompt, variables);
+    return variables;
+}
+
+// Final system message. Persona and memories come separately because the context packer may cut them down
+function renderPromptTemplate(variables, personality, memories) {
+    return PromptTemplate.render(APP_STATE.settings.promptTemplate, {
+        ...variables,
+        persona: PromptTemplate.render(personality, variables),
+        memories
+    });
+}
+
+// Show the system message the next request would send (memories from the last request)
+function updatePromptPreview() {
+    const preview = document.getElementById('promptPreview');
+    if (!preview) return;
+
+    const cast = getCharacterCast();
+    const character = cast.get(APP_STATE.activeCharacterId);
+    const memories = APP_STATE.lastMemoryContext || '- (memories relevant to your next message go here)';
+    const text = renderPromptTemplate(getPromptVariables(character, cast), character.personality, memories);
+
+    preview.textContent = text;
+    const tokens = document.getElementById('promptPreviewTokens');
+    if (tokens) {
+        tokens.textContent = `~${TokenBudget.estimateTokens(text)} tokens`;
+    }
+}
+
+// Unbalanced sections, and a heads-up when memories or persona have nowhere to go
+function showPromptTemplateWarnings() {
+    const warnings = document.getElementById('promptTemplateErrors');
+    if (!warnings) return;
+
+    const template = APP_STATE.settings.promptTemplate;
+    const problems = PromptTemplate.validate(template);
+    ['persona', 'memories', 'profile'].forEach(name => {
+        if (!PromptTemplate.uses(template, name)) problems.push(`{{${name}}} is not used - it won't be sent`);
+    });
+    warnings.textContent = problems.map(problem => `⚠️ ${problem}`).join(' · ');
+}
+
+function setupPromptTemplateControls() {
+    const template = document.getElementById('promptTemplate');
+    const variableList = document.getElementById('promptVariableList');
+
+    if (variableList) {
+        variableList.innerHTML = '';
+        Object.entries(PROMPT_VARIABLES).forEach(([name, description]) => {
+            const code = document.createElement('code');
+            code.textContent = `{{${name}}}`;
+            code.title = description;
+            variableList.append(code, ' ');
+        });
+    }
+
+    if (template) {
+        template.value = APP_STATE.settings.promptTemplate;
+        template.addEventListener('input', (e) => {
+            saveSetting('promptTemplate', e.target.value);
+            showPromptTemplateWarnings();
+            updatePromptPreview();
+        });
+    }
+
+    // Anything the template reads from
+    ['systemPrompt', 'characterName', 'characterPersonality', 'userName'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', () => updatePromptPreview());
+    });
+
+    const resetBtn = document.getElementById('resetPromptTemplateBtn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            if (confirm('⚠️ Reset the prompt template to the default?')) {
+                if (template) template.value = DEFAULT_PROMPT_TEMPLATE;
+                saveSetting('promptTemplate', DEFAULT_PROMPT_TEMPLATE);
+                showPromptTemplateWarnings();
+                updatePromptPreview();
+                showStatus('✅ Prompt template reset to default!', 'success');
+            }
+        });
+    }
+
+    showPromptTemplateWarnings();
+    updatePromptPreview();
+}
+
+// =============================================
+// Character Cast - multiple characters, turn-taking and banter
+// =============================================
+
+// Main character (Character & Personality settings) plus any extra cast members
+function getCharacterCast() {
+    return new CharacterCast({
+        name: APP_STATE.settings.characterName,
+        personality: APP_STATE.settings.characterPersonality
+    }, SettingsManager.getCastMembers());
+}
+
+// Private memory scope = only recall what this character said/heard (null = everything)
+function getMemoryScopeId(character) {
+    return character.memoryScope === 'private' ? character.id : null;
+}
+
+// Avatar from the Avatar settings - used by characters without their own model
+function getMainAvatar() {
+    const type = SettingsManager.get('avatarType', 'vrm');
+    return {
+        type,
+        path: type === 'live2d' ? APP_STATE.settings.currentLive2DPath : APP_STATE.settings.currentVrmPath
+    };
+}
+
+// Put the replying character's avatar on stage (no-op if it's already showing)
+async function focusCharacterAvatar(character) {
+    const main = getMainAvatar();
+    const mainKey = `${main.type}|${main.path}`;
+    const avatar = character.modelPath
+        ? { type: character.avatarType || 'vrm', path: character.modelPath }
+        : main;
+    const key = `${avatar.type}|${avatar.path}`;
+
+    if (!avatar.path || key === (APP_STATE.focusedAvatarKey || mainKey)) return;
+
+    try {
+        console.log(`🎭 Focusing ${character.name}: ${avatar.type} ${avatar.path}`);
+        await switchAvatarType(avatar.type, false);
+        if (avatar.type === 'live2d') {
+            if (!live2DManager) throw new Error('Live2D is not available');
+            await live2DManager.loadModel(avatar.path);
+        } else {
+            await loadVRM(avatar.path);
+        }
+        APP_STATE.focusedAvatarKey = key === mainKey ? null : key;
+    } catch (error) {
+        console.warn(`⚠️ Could not show ${character.name}'s avatar:`, error);
+    }
+}
+
+// Resolves once all queued speech has played (or Stop is pressed)
+async function waitForSpeechToFinish(signal) {
+    while ((APP_STATE.isSpeaking || APP_STATE.speechQueue.length > 0) && !signal.aborted) {
+        try {
+            await sleep(200, signal);
+        } catch (error) {
+            return; // Aborted
+        }
+    }
+}
+
+// Cast members answer each other for up to castBanterTurns lines after a reply.
+// Each speaker waits for the previous one to finish talking; ends early on Stop
+// or as soon as the user sends something (it's queued behind us).
+async function runCastBanter(cast, lastSpeaker, lastLine, signal) {
+    for (let turn = 0; turn < APP_STATE.settings.castBanterTurns; turn++) {
+        await waitForSpeechToFinish(signal);
+        if (signal.aborted || APP_STATE.requestQueue.length > 0) return;
+
+        const speaker = cast.nextSpeaker(lastSpeaker.id, lastLine);
+        APP_STATE.activeCharacterId = speaker.id;
+        await focusCharacterAvatar(speaker);
+        showStatus(`🎭 ${speaker.name} is replying to ${lastSpeaker.name}...`, 'loading');
+
+        // Stage direction instead of a user turn - not recorded in history
+        const cue = `[${lastSpeaker.name} just said that. Reply to them as ${speaker.name}, briefly and in character.]`;
+        const streaming = APP_STATE.settings.llmStreaming;
+        const line = { role: 'assistant', characterId: speaker.id, speaker: speaker.name, saved: false };
+
+        let result;
+        try {
+            const memoryContext = await buildMemoryContext(lastLine, speaker);
+            result = await callLLMWithFailover(cue, streaming, createReplySpeaker(speaker, signal), memoryContext, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (error.partialResponse) {
+                    recordAssistantLine({ ...line, content: `${error.partialResponse} [interrupted by user]`, interrupted: true });
+                }
+                showStatus('⏹️ Stopped', 'success');
+            } else {
+                console.error('Banter error:', error);
+                showStatus(`❌ ${speaker.name} couldn't reply: ${error.message}`, 'error');
+            }
+            return;
+        }
+
+        recordAssistantLine({ ...line, content: result.response });
+        updateAnsweredBy(result);
+        displayAIResponse(`${speaker.name}: ${result.response}`);
+        showStatus(`✅ ${speaker.name} replied`, 'success');
+
+        lastSpeaker = speaker;
+        lastLine = result.response;
+    }
+}
+
+// =============================================
+// Idle Chatter - the character speaks up after a long silence
+// =============================================
+const idleChatter = new IdleChatter({
+    onIdle: () => speakIdleLine(),
+    isBusy: () => APP_STATE.isListening || APP_STATE.isProcessing || APP_STATE.isSpeaking ||
+        APP_STATE.speechQueue.length > 0 || APP_STATE.requestQueue.length > 0
+});
+
+function applyIdleChatterSettings() {
+    idleChatter.configure({
+        enabled: APP_STATE.settings.idleChatterEnabled,
+        idleMinutes: APP_STATE.settings.idleChatterMinutes,
+        maxPerHour: APP_STATE.settings.idleChatterMaxPerHour,
+        quietStart: APP_STATE.settings.idleQuietStart,
+        quietEnd: APP_STATE.settings.idleQuietEnd
+    });
+}
+
+function describePartOfDay(date) {
+    const hour = date.getHours();
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 22) return 'evening';
+    return 'night';
+}
+
+// Hidden prompt for an unprompted line: the time of day, something remembered, or a follow-up question
+async function buildIdleCue(character, lastUserMessage, silentMinutes) {
+    const now = new Date();
+    const userName = APP_STATE.settings.userName || 'The user';
+    const options = [
+        `It's ${now.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} in the ${describePartOfDay(now)}. Say something about the time of day`
+    ];
+
+    if (lastUserMessage) {
+        options.push('Ask them a follow-up question about what you were talking about');
+    }
+
+    const memories = await retrieveRelevantMemories(lastUserMessage?.content || 'things we talked about', 5, getMemoryScopeId(character));
+    if (memories.length > 0) {
+        const memory = memories[Math.floor(Math.random() * memories.length)];
+        options.push(`Bring up something you remember from before: "${memory.text}"`);
+    }
+
+    const pick = options[Math.floor(Math.random() * options.length)];
+    return `[${userName} has been quiet for ${silentMinutes} minutes. ${pick}, briefly and in character.]`;
+}
+
+async function speakIdleLine() {
+    const character = getCharacterCast().get(APP_STATE.activeCharacterId);
+    const lastUserMessage = [...APP_STATE.conversationHistory].reverse().find(m => m.role === 'user');
+    const silentMinutes = Math.round((Date.now() - idleChatter.lastActivityAt) / 60000);
+
+    try {
+        const cue = await buildIdleCue(character, lastUserMessage, silentMinutes);
+        console.log(`💬 Idle chatter: ${cue}`);
+        if (await speakUnpromptedLine(cue, lastUserMessage?.content || cue, `💬 ${character.name} has something to say...`)) {
+            showStatus(`✅ ${character.name} spoke up`, 'success');
+        }
+    } catch (error) {
+        console.error('Idle chatter error:', error);
+        showStatus(`❌ ${character.name} couldn't speak up: ${error.message}`, 'error');
+    }
+}
+
+// Like sendToAI, but the prompt is a stage direction - only the character's line is recorded.
+// Returns the line ('' if stopped or something else is running); other failures are thrown.
+async function speakUnpromptedLine(cue, memoryQuery, statusText) {
+    if (APP_STATE.isProcessing) return '';
+
+    APP_STATE.isProcessing = true;
+    APP_STATE.abortController = new AbortController();
+    const signal = APP_STATE.abortController.signal;
+    updateStopButton();
+    updateRegenerateButton();
+    showStatus(statusText, 'loading');
+
+    const cast = getCharacterCast();
+    const character = cast.get(APP_STATE.activeCharacterId);
+    const line = { role: 'assistant', characterId: character.id, speaker: character.name, saved: false };
+
+    try {
+        const memoryContext = await buildMemoryContext(memoryQuery, character);
+        const result = await callLLMWithFailover(cue, APP_STATE.settings.llmStreaming, createReplySpeaker(character, signal), memoryContext, signal);
+
+        recordAssistantLine({ ...line, content: result.response });
+        updateAnsweredBy(result);
+        displayAIResponse(cast.isEnsemble ? `${character.name}: ${result.response}` : result.response);
+        return result.response;
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+
+        if (error.partialResponse) {
+            recordAssistantLine({ ...line, content: `${error.partialResponse} [interrupted by user]`, interrupted: true });
+        }
+        showStatus('⏹️ Stopped', 'success');
+        return '';
+    } finally {
+        APP_STATE.isProcessing = false;
+        APP_STATE.abortController = null;
+        updateStopButton();
+        updateRegenerateButton();
+
+        if (APP_STATE.requestQueue.length > 0) {
+            const next = APP_STATE.requestQueue.shift();
+            sendToAI(next.message, next.options);
+        }
+    }
+}
+
+function setupIdleChatterControls() {
+    const enabled = document.getElementById('idleChatterEnabled');
+    if (enabled) {
+        enabled.checked = APP_STATE.settings.idleChatterEnabled;
+        enabled.addEventListener('change', (e) => {
+            saveSetting('idleChatterEnabled', e.target.checked);
+            applyIdleChatterSettings();
+            console.log(`💬 Idle chatter ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+    }
+
+    [['idleChatterMinutes', 'idleChatterMinutesValue'], ['idleChatterMaxPerHour', 'idleChatterMaxPerHourValue']].forEach(([key, valueId]) => {
+        const input = document.getElementById(key);
+        if (!input) return;
+        input.value = APP_STATE.settings[key];
+        document.getElementById(valueId).textContent = APP_STATE.settings[key];
+        input.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            document.getElementById(valueId).textContent = value;
+            saveSetting(key, value);
+            applyIdleChatterSettings();
+        });
+    });
+
+    ['idleQuietStart', 'idleQuietEnd'].forEach(key => {
+        const input = document.getElementById(key);
+        if (!input) return;
+        input.value = APP_STATE.settings[key];
+        input.addEventListener('change', (e) => {
+            saveSetting(key, e.target.value);
+            applyIdleChatterSettings();
+        });
+    });
+
+    applyIdleChatterSettings();
+}
+
+// =============================================
+// Reminders & Timers - "remind me in 20 minutes to stretch"
+// =============================================
+const reminders = new ReminderList({ onChange: () => renderReminderList() });
+const REMINDER_CHECK_MS = 5000;
+const REMINDER_LATE_MS = 60000; // Later than this = missed while the tab was closed
+let reminderTimerId = null;
+let announcingReminders = false;
+let reminderParsedThisTurn = false; // The message's reminder is already scheduled - set_reminder is left out so it isn't set twice
+
+function formatReminderTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+}
+
+function scheduleReminder({ text, dueAt, kind }) {
+    const reminder = reminders.add({ text, dueAt, kind });
+    console.log(`⏰ ${kind === 'timer' ? 'Timer' : 'Reminder'} set for ${new Date(dueAt).toLocaleString()}: ${text}`);
+    showStatus(`⏰ ${kind === 'timer' ? `${text} timer` : `Reminder: ${text}`} · ${formatReminderTime(dueAt)}`, 'success');
+    return reminder;
+}
+
+// Note added to the user's message so the model confirms instead of promising something it can't do
+// (takes the parsed reminder - it's scheduled once the reply is in)
+function describeScheduledReminder(reminder) {
+    const what = reminder.kind === 'timer' ? `A ${reminder.text} timer` : `A reminder to "${reminder.text}"`;
+    return `[${what} is now set for ${formatReminderTime(reminder.dueAt)}. You'll be told when it's due - just confirm it.]`;
+}
+
+// Check every few seconds; due reminders wait while the user is recording or a reply is running
+function startReminderTimer() {
+    renderReminderList();
+    if (reminderTimerId) clearInterval(reminderTimerId);
+    reminderTimerId = setInterval(announceDueReminders, REMINDER_CHECK_MS);
+    announceDueReminders(); // Anything missed while the tab was closed
+}
+
+async function announceDueReminders() {
+    if (announcingReminders || APP_STATE.isProcessing || APP_STATE.isListening) return;
+
+    const due = reminders.getDue();
+    if (due.length === 0) return;
+
+    announcingReminders = true;
+    try {
+        for (const reminder of due) {
+            // A reply started in between - keep the rest for the next tick
+            if (!(await announceReminder(reminder))) break;
+            reminders.cancel(reminder.id);
+            await waitForSpeechToFinish(new AbortController().signal);
+        }
+    } finally {
+        announcingReminders = false;
+    }
+}
+
+// The character says it in its own words; if the LLM can't be reached, the plain reminder is spoken.
+// Returns false if a reply is in progress and nothing was said.
+async function announceReminder(reminder) {
+    if (APP_STATE.isProcessing) return false;
+
+    const userName = APP_STATE.settings.userName || 'The user';
+    const late = Date.now() - reminder.dueAt > REMINDER_LATE_MS;
+    const when = late ? ` It was due at ${formatReminderTime(reminder.dueAt)}, but they weren't here - apologize for being late.` : '';
+    const cue = reminder.kind === 'timer'
+        ? `[The ${reminder.text} timer ${userName} asked you to set has finished.${when} Tell them, briefly and in character.]`
+        : `[${userName} asked you to remind them: "${reminder.text}". It's time.${when} Remind them, briefly and in character.]`;
+    const fallback = reminder.kind === 'timer' ? `Your ${reminder.text} timer is done!` : `Reminder: ${reminder.text}`;
+
+    console.log(`⏰ ${late ? 'Missed' : 'Due'}: ${reminder.text}`);
+    try {
+        const line = await speakUnpromptedLine(cue, reminder.text, `⏰ ${reminder.kind === 'timer' ? 'Timer finished' : `Reminder: ${reminder.text}`}`);
+        if (line) showStatus(`⏰ ${fallback}`, 'success');
+    } catch (error) {
+        console.error('Reminder announcement error:', error);
+        displayAIResponse(fallback);
+        speakText(fallback);
+        showStatus(`⏰ ${fallback}`, 'success');
+    }
+    return true; // Said, or stopped by the user
+}
+
+function renderReminderList() {
+    const list = document.getElementById('reminderList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const pending = reminders.list();
+
+    if (pending.length === 0) {
+        list.innerHTML = '<div class="range-hint">No reminders - try "remind me in 20 minutes to stretch" or "set a timer for 10 minutes"</div>';
+        return;
+    }
+
+    pending.forEach(reminder => {
+        const item = document.createElement('div');
+        item.className = 'custom-endpoint-item';
+
+        const info = document.createElement('div');
+        info.className = 'custom-endpoint-info';
+        const text = document.createElement('strong');
+        text.textContent = reminder.kind === 'timer' ? `⏱️ ${reminder.text} timer` : `⏰ ${reminder.text}`;
+        const due = document.createElement('span');
+        due.textContent = formatReminderTime(reminder.dueAt);
+        info.append(text, due);
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'control-btn';
+        cancelBtn.textContent = '✖️';
+        cancelBtn.title = 'Cancel';
+        cancelBtn.addEventListener('click', () => {
+            reminders.cancel(reminder.id);
+            showStatus(`🗑️ Cancelled ${reminder.kind === 'timer' ? 'timer' : `"${reminder.text}"`}`, 'success');
+        });
+
+        item.append(info, cancelBtn);
+        list.appendChild(item);
+    });
+}
+
+// =============================================
+// Knowledge Base - uploaded lore documents searched next to memories (local RAG)
+// =============================================
+const knowledgeBase = new KnowledgeBase({ embed: generateEmbedding, onChange: () => renderKnowledgeBaseList() });
+const KNOWLEDGE_FILE_PATTERN = /\.(md|markdown|txt|pdf)$/i;
+
+// Passages relevant to the message: prompt lines under their own header, plus what to cite in the transcript
+async function retrieveKnowledge(query) {
+    const topK = APP_STATE.settings.knowledgeTopK;
+    if (!APP_STATE.embedderReady || topK === 0 || knowledgeBase.chunks.size === 0) {
+        return { context: '', sources: [] };
+    }
+
+    try {
+        const passages = knowledgeBase.search(await generateEmbedding(query), topK);
+        if (passages.length === 0) return { context: '', sources: [] };
+
+        console.log(`📚 Retrieved ${passages.length} knowledge base passages`);
+        return {
+            context: [
+                '[From the knowledge base - name the [source] when you use it]:',
+                ...passages.map(p => `- [${p.docName} #${p.index + 1}] ${p.text}`)
+            ].join('\n'),
+            sources: passages.map(p => ({ chunkId: p.id, docName: p.docName, index: p.index }))
+        };
+    } catch (error) {
+        console.error('Knowledge base search error:', error);
+        return { context: '', sources: [] };
+    }
+}
+
+async function importKnowledgeFiles(files) {
+    const documents = Array.from(files).filter(file => KNOWLEDGE_FILE_PATTERN.test(file.name));
+    if (documents.length === 0) {
+        showStatus('⚠️ Choose Markdown, TXT or PDF files', 'warning');
+        return;
+    }
+    if (!APP_STATE.memoryDB || !APP_STATE.embedderReady) {
+        showStatus('⚠️ Initialize the memory system first - documents are embedded with its model', 'warning');
+        return;
+    }
+
+    for (const file of documents) {
+        try {
+            showStatus(`📚 Reading ${file.name}...`, 'loading');
+            const doc = await knowledgeBase.addDocument(file, (done, total) => {
+                showStatus(`📚 Embedding ${file.name} (${done}/${total})...`, 'loading');
+            });
+            console.log(`📚 Added ${doc.name} (${doc.chunks} passages)`);
+            showStatus(`✅ Added ${doc.name} (${doc.chunks} passages)`, 'success');
+        } catch (error) {
+            console.error('Knowledge base import error:', error);
+            showStatus(`❌ Couldn't add ${file.name}: ${error.message}`, 'error');
+        }
+    }
+}
+
+function renderKnowledgeBaseList() {
+    const list = document.getElementById('knowledgeDocList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const documents = knowledgeBase.listDocuments();
+
+    if (documents.length === 0) {
+        list.innerHTML = '<div class="range-hint">No documents yet</div>';
+        return;
+    }
+
+    documents.forEach(doc => {
+        const item = document.createElement('div');
+        item.className = 'custom-endpoint-item';
+
+        const info = document.createElement('div');
+        info.className = 'custom-endpoint-info';
+        const name = document.createElement('strong');
+        name.textContent = `📄 ${doc.name}`;
+        const details = document.createElement('span');
+        details.textContent = `${doc.chunks} passage${doc.chunks === 1 ? '' : 's'} · ${(doc.chars / 1000).toFixed(1)}k chars`;
+        info.append(name, details);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'control-btn';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Remove from the knowledge base';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Remove "${doc.name}" from the knowledge base?`)) return;
+            try {
+                await knowledgeBase.removeDocument(doc.id);
+                showStatus(`🗑️ Removed ${doc.name}`, 'success');
+            } catch (error) {
+                console.error('Knowledge base delete error:', error);
+                showStatus(`❌ Couldn't remove ${doc.name}: ${error.message}`, 'error');
+            }
+        });
+
+        item.append(info, deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+// Citation buttons under a reply - each one shows the passage the model was given
+function createSourceCitations(sources) {
+    const container = document.createElement('div');
+    container.className = 'conversation-turn-sources';
+
+    const passage = document.createElement('div');
+    passage.className = 'knowledge-passage hidden';
+
+    sources.forEach(source => {
+        const button = document.createElement('button');
+        button.className = 'knowledge-citation';
+        button.textContent = `📄 ${source.docName} #${source.index + 1}`;
+        button.addEventListener('click', () => {
+            const open = button.classList.contains('active');
+            container.querySelectorAll('.knowledge-citation').forEach(b => b.classList.remove('active'));
+            passage.classList.toggle('hidden', open);
+            if (open) return;
+
+            button.classList.add('active');
+            passage.textContent = knowledgeBase.getChunk(source.chunkId)?.text || '(This document was removed from the knowledge base)';
+        });
+        container.appendChild(button);
+    });
+
+    container.appendChild(passage);
+    return container;
+}
+
+function setupKnowledgeBaseControls() {
+    const uploadBtn = document.getElementById('knowledgeUploadBtn');
+    const fileInput = document.getElementById('knowledgeFileInput');
+    if (uploadBtn && fileInput) {
+        uploadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = ''; // Reset input
+            uploadBtn.disabled = true;
+            await importKnowledgeFiles(files);
+            uploadBtn.disabled = false;
+        });
+    }
+
+    const topK = document.getElementById('knowledgeTopK');
+    if (topK) {
+        topK.value = APP_STATE.settings.knowledgeTopK;
+        document.getElementById('knowledgeTopKValue').textContent = APP_STATE.settings.knowledgeTopK;
+        topK.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            document.getElementById('knowledgeTopKValue').textContent = value;
+            saveSetting('knowledgeTopK', value);
+        });
+    }
+
+    renderKnowledgeBaseList();
+}
+
+// =============================================
+// User Profile - durable facts about the user, extracted by the summarization LLM
+// =============================================
+const userProfile = new UserProfile({ onChange: () => renderUserProfile() });
+const PROFILE_CONTEXT_CHARS = 300; // Of the line the user was answering
+
+// User messages waiting for extraction - ones that arrive during a request go together in the next
+const profileExtraction = { pending: [], running: false };
+
+function queueProfileExtraction(text, context = '') {
+    if (!APP_STATE.settings.userProfileEnabled || !text.trim()) return;
+    profileExtraction.pending.push({ text, context: context.slice(0, PROFILE_CONTEXT_CHARS), at: Date.now() });
+    runProfileExtraction();
+}
+
+async function runProfileExtraction() {
+    if (profileExtraction.running || profileExtraction.pending.length === 0) return;
+
+    if (!APP_STATE.settings.summarizationLlmModel) {
+        console.warn('⚠️ No summarization model configured - skipping profile extraction');
+        profileExtraction.pending = [];
+        return;
+    }
+
+    const batch = profileExtraction.pending.splice(0);
+    profileExtraction.running = true;
+    try {
+        const reply = await callLLM(
+            '', false, null, '',
+            APP_STATE.settings.summarizationLlmProvider,
+            APP_STATE.settings.summarizationLlmModel,
+            UserProfile.buildExtractionMessages(batch, userProfile.list())
+        );
+        const { added, replaced } = userProfile.merge(UserProfile.parseExtraction(reply), batch);
+        if (added.length > 0 || replaced.length > 0) {
+            console.log(`👤 Profile: +${added.length} fact(s), ${replaced.length} replaced`, added.map(fact => `${fact.type}: ${fact.value}`));
+        }
+    } catch (error) {
+        console.warn('⚠️ Profile extraction failed:', error.message);
+    } finally {
+        profileExtraction.running = false;
+        runProfileExtraction();
+    }
+}
+
+function renderUserProfile() {
+    const list = document.getElementById('userProfileList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const facts = userProfile.list();
+
+    if (facts.length === 0) {
+        list.innerHTML = '<div class="range-hint">Nothing known yet - facts appear here as you talk</div>';
+        return;
+    }
+
+    facts.forEach(fact => {
+        const item = document.createElement('div');
+        item.className = 'custom-endpoint-item';
+
+        const info = document.createElement('div');
+        info.className = 'custom-endpoint-info';
+        const value = document.createElement('strong');
+        value.textContent = `${PROFILE_FACT_TYPES[fact.type]}: ${fact.value}`;
+        const details = document.createElement('span');
+        const origin = fact.edited ? 'set by you' : `${Math.round(fact.confidence * 100)}% sure · from "${fact.source.text}"`;
+        details.textContent = `${origin} · ${new Date(fact.updatedAt).toLocaleDateString()}`;
+        details.title = fact.source.text;
+        info.append(value, details);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'control-btn';
+        editBtn.textContent = '✏️';
+        editBtn.title = 'Correct this fact';
+        editBtn.addEventListener('click', () => {
+            // Enter saves, Escape cancels; saving it empty forgets the fact
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = fact.value;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') renderUserProfile();
+                if (e.key !== 'Enter') return;
+                const corrected = input.value.trim();
+                if (!corrected) userProfile.remove(fact.id);
+                else if (corrected !== fact.value) userProfile.update(fact.id, { value: corrected });
+                else renderUserProfile();
+            });
+            input.addEventListener('blur', () => renderUserProfile());
+            value.replaceWith(input);
+            input.focus();
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'control-btn';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Forget this fact';
+        deleteBtn.addEventListener('click', () => userProfile.remove(fact.id));
+
+        item.append(info, editBtn, deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+function setupUserProfileControls() {
+    const enabled = document.getElementById('userProfileEnabled');
+    if (enabled) {
+        enabled.checked = APP_STATE.settings.userProfileEnabled;
+        enabled.addEventListener('change', (e) => {
+            saveSetting('userProfileEnabled', e.target.checked);
+            console.log(`👤 Profile extraction ${e.target.checked ? 'enabled' : 'disabled'}`);
         });
     }
-    
-    // Build headers
-    const headers = {
-        'Content-Type': 'application/json'
-    };
 
-    // Add API key if required (all providers use OpenAI-compatible format)
-    const apiKey = SettingsManager.getProviderApiKey(providerName);
-    if (provider.apiKeyRequired && apiKey) {
-        headers['Authorization'] = `Bearer ${apiKey}`;
-    }
+    const typeSelect = document.getElementById('userProfileFactType');
+    const valueInput = document.getElementById('userProfileFactValue');
+    if (typeSelect && valueInput) {
+        Object.entries(PROFILE_FACT_TYPES).forEach(([type, label]) => typeSelect.add(new Option(label, type)));
 
-    // OpenRouter specific headers
-    if (providerName === 'openrouter') {
-        headers['HTTP-Referer'] = window.location.href;
-        headers['X-Title'] = 'WEBWAIFU';
-    }
-    
-    const endpoint = `${provider.baseUrl}/chat/completions`;
-    
-    try {
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(requestBody)
+        const addFact = () => {
+            const value = valueInput.value.trim();
+            if (!value) return;
+            userProfile.add(typeSelect.value, value);
+            valueInput.value = '';
+            showStatus('👤 Added to your profile', 'success');
+        };
+        document.getElementById('userProfileAddBtn')?.addEventListener('click', addFact);
+        valueInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addFact();
         });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`${provider.name} API error (${response.status}): ${errorText}`);
-        }
-        
-        // STREAMING RESPONSE
-        if (streaming) {
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
-            let fullResponse = '';
-            let currentSentence = '';
-            
-            while (true) {
-                const {done, value} = await reader.read();
-                if (done) break;
-                
-                buffer += decoder.decode(value, {stream: true});
-                const lines = buffer.split('\n');
-                buffer = lines.pop() || '';
-                
-                for (const line of lines) {
-                    const trimmed = line.trim();
-                    
-                    // Skip empty lines, SSE comments (lines starting with :), and [DONE] marker
-                    if (!trimmed || trimmed.startsWith(':') || trimmed === 'data: [DONE]') continue;
-                    
-                    // Only process lines that start with "data: "
-                    if (!trimmed.startsWith('data: ')) {
-                        // Skip non-data lines (keep-alive, etc.)
-                        continue;
-                    }
-                    
-                    // Extract JSON from "data: {...}" format
-                    const jsonStr = trimmed.replace(/^data: /, '').trim();
-                    if (!jsonStr) continue;
-                    
-                    try {
-                        const data = JSON.parse(jsonStr);
-                        const content = data.choices?.[0]?.delta?.content || '';
-                        
-                        if (content) {
-                            fullResponse += content;
-                            currentSentence += content;
-                            
-                            // Update display in real-time
-                            displayAIResponse(fullResponse);
-                            
-                            // Sentence boundary detection
-                            const sentenceEnders = /[.!?]\s/g;
-                            let match;
-                            let lastIndex = 0;
-                            
-                            while ((match = sentenceEnders.exec(currentSentence)) !== null) {
-                                const sentence = currentSentence.substring(lastIndex, match.index + 1).trim();
-                                if (sentence && onChunk) {
-                                    onChunk(sentence);
-                                }
-                                lastIndex = match.index + match[0].length;
-                            }
-                            
-                            currentSentence = currentSentence.substring(lastIndex);
-                        }
-                    } catch (parseError) {
-                        // Only log if it's not a comment line (comments are already filtered above)
-                        if (!trimmed.startsWith(':')) {
-                            console.warn('Failed to parse streaming chunk:', parseError, 'Line:', trimmed.substring(0, 50));
-                        }
-                    }
-                }
-            }
-            
-            // Send any remaining text
-            if (currentSentence.trim() && onChunk) {
-                onChunk(currentSentence.trim());
-            }
-            
-            return fullResponse.trim();
-        }
-        // NON-STREAMING RESPONSE
-        else {
-            const data = await response.json();
-            const content = data.choices?.[0]?.message?.content || '';
-            return content.trim();
-        }
-    } catch (error) {
-        console.error(`${provider.name} API error:`, error);
-        throw error;
     }
+
+    document.getElementById('clearUserProfileBtn')?.addEventListener('click', () => {
+        if (!confirm('Forget everything in your profile?')) return;
+        userProfile.clear();
+        showStatus('🗑️ Profile cleared', 'success');
+    });
+
+    renderUserProfile();
 }
 
 // =============================================
 // AI Chat Handler
 // =============================================
-async function sendToAI(message) {
+// Relevant long-term memories for the prompt ({{memories}}), as seen by the replying character.
+// Pinned memories come first and are always included.
+async function buildMemoryContext(query, character) {
+    const scopeId = getMemoryScopeId(character);
+    const pinnedMemories = await getPinnedMemories(scopeId);
+    const pinnedIds = new Set(pinnedMemories.map(m => m.id));
+    const relevantMemories = APP_STATE.modelsLoaded
+        ? (await retrieveRelevantMemories(query, 3, scopeId)).filter(m => !pinnedIds.has(m.id))
+        : [];
+    if (pinnedMemories.length === 0 && relevantMemories.length === 0) return '';
+
+    const cast = getCharacterCast();
+    const describeSpeaker = (m) => {
+        if (m.role === 'user') return m.userName || 'User';
+        return (m.characterId || PRIMARY_CHARACTER_ID) === character.id ? 'You' : m.speaker || cast.get(m.characterId).name;
+    };
+
+    console.log(`🧠 Retrieved ${relevantMemories.length} relevant memories (+${pinnedMemories.length} pinned)`);
+    return [
+        ...pinnedMemories.map(m => `- ${describeSpeaker(m)}: "${m.text}" (pinned)`),
+        ...relevantMemories.map(m =>
+            `- ${describeSpeaker(m)}: "${m.text}" (${(m.similarity * 100).toFixed(0)}% relevant, importance: ${m.importance}/10)`
+        )
+    ].join('\n');
+}
+
+// options.userNodeId: re-answer an existing user turn (regenerate) instead of adding a new one
+// options.restoreLeafId: branch to go back to if the request fails
+// options.characterId: cast member who must answer (regenerate keeps the original speaker)
+// options.images: attached images ({ dataUrl, name, width, height })
+async function sendToAI(message, options = {}) {
     if (APP_STATE.isProcessing) {
-        APP_STATE.requestQueue.push(message);
+        APP_STATE.requestQueue.push({ message, options });
         showStatus('⏳ Request queued...', 'loading');
         return;
     }
 
     APP_STATE.isProcessing = true;
+    APP_STATE.abortController = new AbortController();
+    const signal = APP_STATE.abortController.signal;
+    SettingsManager.set('lastSeenAt', Date.now()); // {{last_seen}} next session
+    idleChatter.noteActivity();
+    updateStopButton();
+    updateRegenerateButton();
     showStatus('🤖 AI is thinking...', 'loading');
+    telemetry.beginTurn({
+        provider: APP_STATE.settings.llmProvider,
+        model: APP_STATE.settings.llmModel,
+        streaming: APP_STATE.settings.llmStreaming,
+        ttsProvider: APP_STATE.settings.ttsProvider
+    });
+
+    // Who answers: a cast member named in the message, else whoever spoke last
+    const cast = getCharacterCast();
+    const character = cast.get(options.characterId || cast.findAddressed(message)?.id || APP_STATE.activeCharacterId);
+    APP_STATE.activeCharacterId = character.id;
 
     try {
         // Note: Messages will be saved via saveConversationToMemory() to avoid duplicates
         // Individual saves removed to prevent duplicate entries in IndexedDB
 
-        // Retrieve relevant memories using semantic search
-        let memoryContext = '';
-        if (APP_STATE.modelsLoaded) {
-            const relevantMemories = await retrieveRelevantMemories(message, 3);
-            if (relevantMemories.length > 0) {
-                memoryContext = '\n\n[Relevant memories from past conversations]:\n' +
-                    relevantMemories.map(m =>
-                        `- ${m.role === 'user' ? m.userName || 'User' : 'You'}: "${m.text}" (${(m.similarity * 100).toFixed(0)}% relevant, importance: ${m.importance}/10)`
-                    ).join('\n') + '\n';
-                console.log(`🧠 Retrieved ${relevantMemories.length} relevant memories`);
-            }
+        if (cast.isEnsemble) {
+            await focusCharacterAvatar(character);
         }
 
-        let response;
+        // Retrieve relevant memories and knowledge base passages using semantic search
+        const [memoryContext, knowledge] = await telemetry.time('memory', () => Promise.all([
+            buildMemoryContext(message, character),
+            retrieveKnowledge(message)
+        ]));
+        const context = [memoryContext, knowledge.context].filter(Boolean).join('\n');
 
-        if (APP_STATE.settings.llmStreaming) {
-            // Streaming with sentence-by-sentence TTS
-            response = await callLLM(message, true, (sentence) => {
-                if (APP_STATE.settings.ttsAutoPlay) {
-                    speakText(sentence);
-                }
-            }, memoryContext);
-        } else {
-            // Non-streaming
-            response = await callLLM(message, false, null, memoryContext);
-        }
+        // "Remind me in 20 minutes to..." is parsed here - the model only has to confirm it, and it's
+        // scheduled once the reply is in (a failed or stopped turn sets nothing)
+        const reminder = options.userNodeId ? null : ReminderList.parse(message);
+        const prompt = reminder ? `${message}\n${describeScheduledReminder(reminder)}` : message;
+        reminderParsedThisTurn = Boolean(reminder);
+        const previousLine = APP_STATE.conversationHistory[APP_STATE.conversationHistory.length - 1];
+
+        let result;
+        updateAnsweredBy(null);
+
+        // Streaming speaks sentence by sentence as they arrive; non-streaming speaks the whole reply when it's in
+        result = await callLLMWithFailover(prompt, APP_STATE.settings.llmStreaming, createReplySpeaker(character, signal), context, signal, options.images);
+
+        const response = result.response;
+        telemetry.endTurn({ status: 'ok', answeredBy: { provider: result.provider, model: result.model, isFallback: result.isFallback } });
+        APP_STATE.lastAnsweredBy = { provider: result.provider, model: result.model };
+        updateAnsweredBy(result);
 
         // Note: Response will be saved via saveConversationToMemory() to avoid duplicates
 
-        // Add to conversation history
-        APP_STATE.conversationHistory.push(
-            { role: 'user', content: message, saved: false },
-            { role: 'assistant', content: response, saved: false }
-        );
+        // Add to conversation history (and the branch tree), citing the knowledge base passages it was given
+        const reply = {
+            role: 'assistant',
+            content: response,
+            characterId: character.id,
+            speaker: character.name,
+            saved: false
+        };
+        if (knowledge.sources.length > 0) reply.sources = knowledge.sources;
+        const userMessage = recordTurn(message, reply, options.userNodeId, options.images);
+
+        // An edited message replaces the reminder the original set; the id on the turn finds it next time
+        if (options.replacedReminderId) reminders.cancel(options.replacedReminderId);
+        if (reminder) userMessage.reminderId = scheduleReminder(reminder).id;
+
+        // Learn durable facts about the user in the background (regenerating says nothing new)
+        if (!options.userNodeId) {
+            queueProfileExtraction(message, previousLine?.role === 'assistant' ? previousLine.content : '');
+        }
 
         // Handle conversation history based on memory mode (prune or summarize)
         if (APP_STATE.settings.memoryMode === 'auto-summarize') {
@@ -3231,28 +5882,426 @@ async function sendToAI(message) {
         }
 
         // Display response
-        displayAIResponse(response);
+        displayAIResponse(cast.isEnsemble ? `${character.name}: ${response}` : response);
 
-        // Speak response if auto-play enabled and not streaming
-        if (APP_STATE.settings.ttsAutoPlay && !APP_STATE.settings.llmStreaming) {
-            await speakText(response);
-        }
+        showStatus(`✅ Response ready! (${LLM_PROVIDERS[result.provider]?.name || result.provider})`, 'success');
 
-        showStatus('✅ Response ready!', 'success');
+        // Let the rest of the cast chime in
+        if (cast.isEnsemble && APP_STATE.settings.castBanterTurns > 0) {
+            await runCastBanter(cast, character, response, signal);
+        }
 
     } catch (error) {
+        telemetry.endTurn({ status: error.name === 'AbortError' ? 'stopped' : 'error' });
+        if (error.name === 'AbortError') {
+            // Stopped by the user - keep the partial reply so the model knows it was cut off
+            const partial = error.partialResponse || '';
+            recordTurn(message, {
+                role: 'assistant',
+                content: partial ? `${partial} [interrupted by user]` : '[interrupted by user]',
+                characterId: character.id,
+                speaker: character.name,
+                interrupted: true,
+                saved: false
+            }, options.userNodeId, options.images);
+            console.log(`⏹️ Generation stopped (${partial.length} chars kept)`);
+            showStatus('⏹️ Stopped', 'success');
+            return;
+        }
         console.error('AI error:', error);
         showStatus('❌ AI error: ' + error.message, 'error');
         displayAIResponse('Sorry, I encountered an error. Please check your settings and try again.');
+
+        // Failed regenerate/edit - go back to the branch we started from
+        if (options.restoreLeafId !== undefined) {
+            APP_STATE.conversationTree.setActiveLeaf(options.restoreLeafId);
+            rebuildHistoryFromTree();
+            renderConversationTree();
+        }
     } finally {
         APP_STATE.isProcessing = false;
+        APP_STATE.abortController = null;
+        reminderParsedThisTurn = false;
+        updateStopButton();
+        updateRegenerateButton();
+        updatePromptPreview();
 
         // Process queue immediately (no delay needed - pre-buffering handles TTS timing)
         if (APP_STATE.requestQueue.length > 0) {
-            const nextMessage = APP_STATE.requestQueue.shift();
-            sendToAI(nextMessage);
+            const next = APP_STATE.requestQueue.shift();
+            sendToAI(next.message, next.options);
+        }
+    }
+}
+
+// =============================================
+// Conversation Branches (Regenerate / Edit)
+// =============================================
+
+// Append a finished turn to the active branch and the context window (returns the user message)
+// userNodeId: existing user turn being re-answered (regenerate) - reused instead of duplicated
+function recordTurn(message, assistantMessage, userNodeId = null, images = null) {
+    const tree = APP_STATE.conversationTree;
+    let userMessage;
+
+    if (userNodeId && tree.get(userNodeId)) {
+        tree.setActiveLeaf(userNodeId);
+        userMessage = tree.get(userNodeId).message;
+    } else {
+        userMessage = { role: 'user', content: message, characterId: assistantMessage.characterId, saved: false };
+        if (images?.length) userMessage.images = images;
+        tree.append(userMessage);
+    }
+    tree.append(assistantMessage);
+
+    APP_STATE.conversationHistory.push(userMessage, assistantMessage);
+    renderConversationTree();
+    return userMessage;
+}
+
+// Append a reply that has no user turn of its own (cast banter, card greetings)
+function recordAssistantLine(assistantMessage) {
+    APP_STATE.conversationTree.append(assistantMessage);
+    APP_STATE.conversationHistory.push(assistantMessage);
+    renderConversationTree();
+}
+
+// Reset the context window to the active branch (older summaries are dropped with it)
+function rebuildHistoryFromTree() {
+    const messages = APP_STATE.conversationTree.getActivePath().map(node => node.message);
+    APP_STATE.conversationHistory = messages.slice(-APP_STATE.settings.maxConversationHistory);
+    updateMemoryStats();
+}
+
+// Ask for a new answer to the last user message - the old reply stays as a sibling branch
+function regenerateLastReply() {
+    if (APP_STATE.isProcessing) {
+        showStatus('⏳ Wait for the current reply to finish', 'error');
+        return;
+    }
+
+    const tree = APP_STATE.conversationTree;
+    const path = tree.getActivePath();
+    const lastNode = path[path.length - 1];
+    const userNode = lastNode ? tree.get(lastNode.parentId) : null;
+
+    if (!lastNode || lastNode.message.role !== 'assistant' || userNode?.message?.role !== 'user') {
+        showStatus('⚠️ No reply to regenerate', 'error');
+        return;
+    }
+
+    stopSpeech();
+    tree.setActiveLeaf(tree.getParentId(userNode.id));
+    rebuildHistoryFromTree();
+    sendToAI(userNode.message.content, {
+        userNodeId: userNode.id,
+        images: userNode.message.images,
+        restoreLeafId: lastNode.id,
+        characterId: lastNode.message.characterId
+    });
+}
+
+// Re-run the conversation from an edited user message - the original turn stays as a sibling branch
+function editUserMessage(nodeId, text) {
+    if (APP_STATE.isProcessing) {
+        showStatus('⏳ Wait for the current reply to finish', 'error');
+        return;
+    }
+
+    const tree = APP_STATE.conversationTree;
+    const node = tree.get(nodeId);
+    const newText = text.trim();
+    if (!node || node.message?.role !== 'user' || !newText) return;
+
+    const restoreLeafId = tree.activeLeafId;
+    stopSpeech();
+    tree.setActiveLeaf(tree.getParentId(nodeId));
+    rebuildHistoryFromTree();
+    sendToAI(newText, { restoreLeafId, images: node.message.images, replacedReminderId: node.message.reminderId });
+}
+
+// Show the previous/next alternative of a turn
+function switchConversationBranch(nodeId, offset) {
+    if (APP_STATE.isProcessing) {
+        showStatus('⏳ Wait for the current reply to finish', 'error');
+        return;
+    }
+
+    if (!APP_STATE.conversationTree.switchSibling(nodeId, offset)) return;
+
+    stopSpeech();
+    rebuildHistoryFromTree();
+    renderConversationTree();
+
+    const path = APP_STATE.conversationTree.getActivePath();
+    const lastMessage = path[path.length - 1]?.message;
+    if (lastMessage?.role === 'assistant') {
+        displayAIResponse(lastMessage.content);
+    }
+}
+
+// Regenerate is only offered when the branch ends in a reply and nothing is running
+function updateRegenerateButton() {
+    if (!DOM.regenerateBtn) return;
+    const path = APP_STATE.conversationTree.getActivePath();
+    const endsWithReply = path[path.length - 1]?.message.role === 'assistant';
+    DOM.regenerateBtn.classList.toggle('hidden', APP_STATE.isProcessing || !endsWithReply);
+}
+
+// Render the active branch with edit buttons and ◀ n/m ▶ switchers
+function renderConversationTree() {
+    updateRegenerateButton();
+
+    const list = document.getElementById('conversationTreeList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const tree = APP_STATE.conversationTree;
+    const path = tree.getActivePath();
+
+    if (path.length === 0) {
+        list.innerHTML = '<div class="range-hint">No messages yet</div>';
+        return;
+    }
+
+    const makeButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'control-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    path.forEach(node => {
+        const { role, content } = node.message;
+        const item = document.createElement('div');
+        item.className = `conversation-turn ${role}`;
+
+        const header = document.createElement('div');
+        header.className = 'conversation-turn-header';
+
+        const label = document.createElement('span');
+        label.className = 'conversation-turn-role';
+        label.textContent = role === 'user' ? APP_STATE.settings.userName || 'You'
+            : role === 'assistant' ? node.message.speaker || APP_STATE.settings.characterName : 'System';
+        header.appendChild(label);
+
+        const { index, total } = tree.getSiblingInfo(node.id);
+        if (total > 1) {
+            const switcher = document.createElement('span');
+            switcher.className = 'branch-switcher';
+
+            const prevBtn = makeButton('◀', 'Previous version', () => switchConversationBranch(node.id, -1));
+            prevBtn.disabled = index === 0;
+            const position = document.createElement('span');
+            position.textContent = `${index + 1}/${total}`;
+            const nextBtn = makeButton('▶', 'Next version', () => switchConversationBranch(node.id, 1));
+            nextBtn.disabled = index === total - 1;
+
+            switcher.append(prevBtn, position, nextBtn);
+            header.appendChild(switcher);
+        }
+
+        const text = document.createElement('div');
+        text.className = 'conversation-turn-text';
+        text.textContent = content;
+
+        if (role === 'user') {
+            header.appendChild(makeButton('✏️', 'Edit and re-run from here', () => {
+                const editor = document.createElement('textarea');
+                editor.value = content;
+                editor.rows = 3;
+
+                const actions = document.createElement('div');
+                actions.className = 'background-controls';
+                actions.append(
+                    makeButton('💾 Save & Re-run', 'Send the edited message as a new branch', () => editUserMessage(node.id, editor.value)),
+                    makeButton('Cancel', 'Discard changes', renderConversationTree)
+                );
+
+                text.replaceWith(editor);
+                item.appendChild(actions);
+                editor.focus();
+            }));
+        }
+
+        item.append(header, text);
+
+        if (node.message.images?.length) {
+            const images = document.createElement('div');
+            images.className = 'conversation-turn-images';
+            node.message.images.forEach(image => {
+                const img = document.createElement('img');
+                img.src = image.dataUrl;
+                img.alt = image.name || 'Attached image';
+                img.title = image.name || '';
+                images.appendChild(img);
+            });
+            item.appendChild(images);
+        }
+
+        if (node.message.sources?.length) {
+            item.appendChild(createSourceCitations(node.message.sources));
+        }
+
+        list.appendChild(item);
+    });
+
+    list.scrollTop = list.scrollHeight;
+}
+
+function setupConversationControls() {
+    if (DOM.regenerateBtn) {
+        DOM.regenerateBtn.addEventListener('click', regenerateLastReply);
+    }
+
+    const regenerateTurnBtn = document.getElementById('regenerateTurnBtn');
+    if (regenerateTurnBtn) {
+        regenerateTurnBtn.addEventListener('click', regenerateLastReply);
+    }
+
+    renderConversationTree();
+}
+
+// =============================================
+// Image Attachments - paste, drop, pick or capture images for vision models
+// =============================================
+
+const MAX_PENDING_IMAGES = 4;
+
+// Add picked/pasted/dropped files to the next message
+async function addImageAttachments(files) {
+    const imageFiles = Array.from(files).filter(file => file.type.startsWith('image/'));
+    if (imageFiles.length === 0) return;
+
+    for (const file of imageFiles) {
+        if (APP_STATE.pendingImages.length >= MAX_PENDING_IMAGES) {
+            showStatus(`⚠️ Up to ${MAX_PENDING_IMAGES} images per message`, 'warning');
+            break;
+        }
+        try {
+            APP_STATE.pendingImages.push(await ImageAttachments.fromFile(file));
+        } catch (error) {
+            console.error('Image attach error:', error);
+            showStatus(`❌ Couldn't read ${file.name || 'image'}: ${error.message}`, 'error');
         }
     }
+    renderAttachmentStrip();
+    warnIfModelIsBlind();
+}
+
+// Grab a frame from a screen/window the user picks
+async function captureScreenAttachment() {
+    if (APP_STATE.pendingImages.length >= MAX_PENDING_IMAGES) {
+        showStatus(`⚠️ Up to ${MAX_PENDING_IMAGES} images per message`, 'warning');
+        return;
+    }
+
+    try {
+        APP_STATE.pendingImages.push(await ImageAttachments.captureScreen());
+        renderAttachmentStrip();
+        showStatus('🖥️ Screenshot attached', 'success');
+        warnIfModelIsBlind();
+    } catch (error) {
+        if (error.name === 'NotAllowedError') return; // Picker cancelled
+        console.error('Screen capture error:', error);
+        showStatus(`❌ Screen capture failed: ${error.message}`, 'error');
+    }
+}
+
+// Heads-up before sending: the chat model would only get a note instead of the image
+function warnIfModelIsBlind() {
+    const { llmProvider, llmModel } = APP_STATE.settings;
+    if (APP_STATE.pendingImages.length > 0 && llmModel && !supportsVision(llmProvider, llmModel)) {
+        showStatus(`⚠️ ${llmModel} may not support images - pick a vision model`, 'warning');
+    }
+}
+
+// Thumbnails above the chat box, each with a remove button
+function renderAttachmentStrip() {
+    const strip = document.getElementById('attachmentStrip');
+    if (!strip) return;
+
+    strip.innerHTML = '';
+    strip.classList.toggle('hidden', APP_STATE.pendingImages.length === 0);
+
+    APP_STATE.pendingImages.forEach((image, i) => {
+        const thumb = document.createElement('div');
+        thumb.className = 'attachment-thumb';
+        thumb.title = `${image.name} (${image.width}×${image.height})`;
+
+        const img = document.createElement('img');
+        img.src = image.dataUrl;
+        img.alt = image.name;
+
+        const remove = document.createElement('button');
+        remove.className = 'attachment-remove';
+        remove.textContent = '✕';
+        remove.title = 'Remove';
+        remove.addEventListener('click', () => {
+            APP_STATE.pendingImages.splice(i, 1);
+            renderAttachmentStrip();
+        });
+
+        thumb.append(img, remove);
+        strip.appendChild(thumb);
+    });
+}
+
+// Hand the attachments to the message being sent and clear the strip
+function takePendingImages() {
+    const images = APP_STATE.pendingImages;
+    APP_STATE.pendingImages = [];
+    renderAttachmentStrip();
+    return images;
+}
+
+function setupImageAttachmentControls() {
+    const fileInput = document.getElementById('attachImageInput');
+    const attachBtn = document.getElementById('attachImageBtn');
+    const captureBtn = document.getElementById('captureScreenBtn');
+    const chat = document.querySelector('.floating-chat');
+
+    if (attachBtn && fileInput) {
+        attachBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async (e) => {
+            await addImageAttachments(e.target.files);
+            e.target.value = ''; // Same file can be picked again
+        });
+    }
+
+    if (captureBtn) {
+        captureBtn.addEventListener('click', captureScreenAttachment);
+    }
+
+    // Paste an image (e.g. a screenshot from the clipboard) into the chat box
+    if (DOM.chatInput) {
+        DOM.chatInput.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData?.files || []);
+            if (files.some(file => file.type.startsWith('image/'))) {
+                e.preventDefault();
+                addImageAttachments(files);
+            }
+        });
+    }
+
+    // Drop images anywhere on the page
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+    document.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        chat?.classList.add('drag-over');
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) chat?.classList.remove('drag-over');
+    });
+    document.addEventListener('drop', (e) => {
+        chat?.classList.remove('drag-over');
+        if (!hasFiles(e) || e.target.closest?.('input[type="file"]')) return;
+        e.preventDefault();
+        addImageAttachments(e.dataTransfer.files);
+    });
 }
 
 // =============================================
@@ -3681,8 +6730,9 @@ function initializeUI() {
     if (sendBtn && chatInput) {
         sendBtn.addEventListener('click', () => {
             const message = chatInput.value.trim();
-            if (message) {
-                sendToAI(message);
+            if (message || APP_STATE.pendingImages.length > 0) {
+                const images = takePendingImages();
+                sendToAI(message || '[Sent an image]', { images });
                 chatInput.value = '';
             }
         });
@@ -3693,8 +6743,23 @@ function initializeUI() {
                 sendBtn.click();
             }
         });
+
+        // Typing counts as activity - don't interrupt a message being written
+        chatInput.addEventListener('input', () => idleChatter.noteActivity());
     }
 
+    // Stop button + Escape hotkey - cancel generation and speech
+    if (DOM.stopBtn) {
+        DOM.stopBtn.addEventListener('click', stopGeneration);
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && (APP_STATE.isProcessing || APP_STATE.isSpeaking)) {
+            e.preventDefault();
+            stopGeneration();
+        }
+    });
+
     // Voice button - Using Whisper AI - using DOM cache
     const voiceBtn = DOM.voiceBtn;
 
@@ -3808,11 +6873,23 @@ function initializeUI() {
 
     // Setup all controls first
     setupLLMControls();
+    setupCustomEndpointControls();
+    setupFallbackControls();
+    setupUsageControls();
+    setupConversationControls();
+    setupIdleChatterControls();
+    setupCastControls();
+    setupCharacterCardControls();
+    setupPromptTemplateControls();
+    setupImageAttachmentControls();
     setupTTSControls();
     setupAvatarControls();
     setupAnimationControls();
     setupDisplayControls();
     setupMemoryControls();
+    setupMemoryBrowserControls();
+    setupKnowledgeBaseControls();
+    setupUserProfileControls();
     setupSummarizationLLMControls();
     setupPasswordToggles();
 
@@ -3837,35 +6914,9 @@ function initializeUI() {
             APP_STATE.settings.llmModel = savedModel;
             console.log(`🔄 Loaded saved model for ${e.target.value}:`, savedModel || '(none)');
 
-            // Fetch models dynamically from provider APIs
-            if (e.target.value === 'ollama') {
-                console.log('🔄 Fetching Ollama models from /api/tags...');
-                await fetchOllamaModels();
-            } else if (e.target.value === 'openai') {
-                if (apiKey) {
-                    console.log('🔄 Fetching OpenAI models...');
-                    await fetchOpenAIModels(apiKey);
-                } else {
-                    console.warn('⚠️ OpenAI API key required');
-                    updateLLMModelOptions();
-                }
-            } else if (e.target.value === 'openrouter') {
-                if (apiKey) {
-                    console.log('🔄 Fetching OpenRouter models...');
-                    await fetchOpenRouterModels(apiKey);
-                } else {
-                    console.warn('⚠️ OpenRouter API key required');
-                    updateLLMModelOptions();
-                }
-            } else if (e.target.value === 'gemini') {
-                if (apiKey) {
-                    console.log('🔄 Loading Gemini models...');
-                    await fetchGeminiModels(apiKey);
-                } else {
-                    console.warn('⚠️ Gemini API key required');
-                    updateLLMModelOptions();
-                }
-            }
+            // Fetch models dynamically through the provider's adapter
+            console.log(`🔄 Fetching ${LLM_PROVIDERS[e.target.value]?.name || e.target.value} models...`);
+            await refreshProviderModels(e.target.value, apiKey);
             
             // Show/hide provider configs
             document.querySelectorAll('.provider-config').forEach(config => {
@@ -3874,7 +6925,9 @@ function initializeUI() {
             
             const configId = e.target.value === 'gemini' ? 'geminiConfig' :
                             e.target.value === 'openai' ? 'openaiConfig' :
-                            e.target.value === 'openrouter' ? 'openrouterConfig' : 'ollamaConfig';
+                            e.target.value === 'openrouter' ? 'openrouterConfig' :
+                            e.target.value === 'anthropic' ? 'anthropicConfig' :
+                            e.target.value === 'local' ? 'localConfig' : 'ollamaConfig';
             const configEl = document.getElementById(configId);
             if (configEl) {
                 configEl.classList.remove('hidden');
@@ -3886,47 +6939,21 @@ function initializeUI() {
     }
 
     // Auto-fetch models when API keys are entered (blur or Enter key)
-    const openaiApiKeyInput = document.getElementById('openaiApiKey');
-    if (openaiApiKeyInput) {
-        const fetchOpenAI = async (apiKey) => {
-            if (apiKey && APP_STATE.settings.llmProvider === 'openai') {
-                console.log('🔑 OpenAI API key entered - fetching models...');
-                await fetchOpenAIModels(apiKey);
-            }
-        };
-        openaiApiKeyInput.addEventListener('blur', (e) => fetchOpenAI(e.target.value.trim()));
-        openaiApiKeyInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') fetchOpenAI(e.target.value.trim());
-        });
-    }
-
-    const geminiApiKeyInput = document.getElementById('geminiApiKey');
-    if (geminiApiKeyInput) {
-        const fetchGemini = async (apiKey) => {
-            if (apiKey && APP_STATE.settings.llmProvider === 'gemini') {
-                console.log('🔑 Gemini API key entered - fetching models...');
-                await fetchGeminiModels(apiKey);
-            }
-        };
-        geminiApiKeyInput.addEventListener('blur', (e) => fetchGemini(e.target.value.trim()));
-        geminiApiKeyInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') fetchGemini(e.target.value.trim());
-        });
-    }
-
-    const openrouterApiKeyInput = document.getElementById('openrouterApiKey');
-    if (openrouterApiKeyInput) {
-        const fetchOpenRouter = async (apiKey) => {
-            if (apiKey && APP_STATE.settings.llmProvider === 'openrouter') {
-                console.log('🔑 OpenRouter API key entered - fetching models...');
-                await fetchOpenRouterModels(apiKey);
+    ['gemini', 'openai', 'openrouter', 'anthropic'].forEach(providerName => {
+        const apiKeyInput = document.getElementById(`${providerName}ApiKey`);
+        if (!apiKeyInput) return;
+
+        const fetchModels = async (apiKey) => {
+            if (apiKey && APP_STATE.settings.llmProvider === providerName) {
+                console.log(`🔑 ${LLM_PROVIDERS[providerName].name} API key entered - fetching models...`);
+                await refreshProviderModels(providerName, apiKey);
             }
         };
-        openrouterApiKeyInput.addEventListener('blur', (e) => fetchOpenRouter(e.target.value.trim()));
-        openrouterApiKeyInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') fetchOpenRouter(e.target.value.trim());
+        apiKeyInput.addEventListener('blur', (e) => fetchModels(e.target.value.trim()));
+        apiKeyInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') fetchModels(e.target.value.trim());
         });
-    }
+    });
 
     // Auto-fetch Fish Audio voices when API key is entered
     const fishApiKeyInput = document.getElementById('fishApiKey');
@@ -3996,6 +7023,26 @@ function updateLLMModelOptions() {
         saveSetting('llmModel', provider.models[0]);
         modelSelect.value = provider.models[0];
     }
+
+    updateContextLengthInput();
+}
+
+// Show the context length for the selected chat model (manual value, or auto-detected as placeholder)
+async function updateContextLengthInput() {
+    const input = document.getElementById('modelContextLength');
+    if (!input) return;
+
+    const provider = APP_STATE.settings.llmProvider;
+    const model = APP_STATE.settings.llmModel;
+
+    if (model) {
+        await describeProviderModel(provider, model);
+    }
+
+    const manual = SettingsManager.getModelContextLength(provider, model);
+    const detected = MODEL_CONTEXT_METADATA[`${provider}|${model}`];
+    input.value = manual || '';
+    input.placeholder = detected ? `Auto: ${detected}` : 'Unknown - no trimming';
 }
 
 function updateSummarizationModelOptions() {
@@ -4059,6 +7106,9 @@ function setupLLMControls() {
         const option = document.createElement('option');
         option.value = key;
         option.textContent = LLM_PROVIDERS[key].name;
+        if (LLM_PROVIDERS[key].custom) {
+            option.dataset.custom = 'true';
+        }
         if (key === APP_STATE.settings.llmProvider) {
             option.selected = true;
         }
@@ -4080,6 +7130,17 @@ function setupLLMControls() {
             SettingsManager.setProviderModel(currentProvider, modelValue, false);
 
             console.log(`💾 Saved ${currentProvider} model:`, modelValue);
+            updateContextLengthInput();
+        });
+    }
+
+    // Per-model context length (blank = use provider metadata)
+    const contextLengthInput = document.getElementById('modelContextLength');
+    if (contextLengthInput) {
+        contextLengthInput.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value) || 0;
+            SettingsManager.setModelContextLength(APP_STATE.settings.llmProvider, APP_STATE.settings.llmModel, value);
+            console.log(`📏 Context length for ${APP_STATE.settings.llmModel}:`, value || 'auto');
         });
     }
     
@@ -4088,6 +7149,7 @@ function setupLLMControls() {
         'geminiApiKey': 'llmApiKey',
         'openaiApiKey': 'llmApiKey',
         'openrouterApiKey': 'llmApiKey',
+        'anthropicApiKey': 'llmApiKey',
         'ollamaUrl': 'ollamaUrl'
     };
     
@@ -4239,6 +7301,71 @@ function setupLLMControls() {
             saveSetting('llmStreaming', e.target.checked);
         });
     }
+
+    // How streamed replies are cut into chunks for TTS (see SentenceSegmenter)
+    const chunkSliders = {
+        ttsMinChunkLength: (value) => value,
+        ttsMaxChunkLength: (value) => value,
+        ttsChunkFlushMs: (value) => value === 0 ? 'Off' : `${(value / 1000).toFixed(1)}s`
+    };
+    Object.entries(chunkSliders).forEach(([key, format]) => {
+        const slider = document.getElementById(key);
+        const label = document.getElementById(`${key}Value`);
+        if (!slider) return;
+
+        slider.value = APP_STATE.settings[key];
+        if (label) label.textContent = format(APP_STATE.settings[key]);
+        slider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (label) label.textContent = format(value);
+            saveSetting(key, value);
+        });
+    });
+
+    // Tool calling (function calling)
+    const toolCalling = document.getElementById('enableToolCalling');
+    if (toolCalling) {
+        toolCalling.checked = APP_STATE.settings.enableToolCalling;
+        toolCalling.addEventListener('change', (e) => {
+            saveSetting('enableToolCalling', e.target.checked);
+            console.log(`🔧 Tool calling ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+    }
+
+    // Reasoning models: thoughts panel and thinking pose
+    const showReasoning = document.getElementById('showReasoning');
+    if (showReasoning) {
+        showReasoning.checked = APP_STATE.settings.showReasoning;
+        showReasoning.addEventListener('change', (e) => {
+            saveSetting('showReasoning', e.target.checked);
+            if (!e.target.checked) showThoughts('');
+        });
+    }
+
+    const thinkingPose = document.getElementById('thinkingPose');
+    if (thinkingPose) {
+        thinkingPose.value = APP_STATE.settings.thinkingPose;
+        thinkingPose.addEventListener('change', (e) => {
+            const value = e.target.value.trim();
+            const { errors } = AvatarTagParser.parseVocabulary(`[thinking] ${value}`);
+            if (value && errors.length) {
+                showStatus(`❌ Thinking pose: ${errors[0].replace(/^Line 1: /, '')}`, 'error');
+                return;
+            }
+            saveSetting('thinkingPose', value);
+        });
+    }
+
+    // Local (in-browser) model - download ahead of the first message
+    const loadLocalLlm = document.getElementById('loadLocalLlmBtn');
+    if (loadLocalLlm) {
+        loadLocalLlm.addEventListener('click', () => {
+            const model = APP_STATE.settings.llmProvider === 'local' && APP_STATE.settings.llmModel
+                ? APP_STATE.settings.llmModel
+                : LLM_PROVIDERS.local.models[0];
+            preloadLocalLLM(model);
+        });
+    }
 }
 
 function setupTTSControls() {
@@ -4530,6 +7657,24 @@ function setupDisplayControls() {
             console.log(`⏱️ Subtitle duration set to ${value}s`);
         });
     }
+
+    // Performance overlay + timing export
+    const perfOverlayToggle = document.getElementById('showPerfOverlay');
+    if (perfOverlayToggle) {
+        perfOverlayToggle.checked = APP_STATE.settings.showPerfOverlay;
+        perfOverlayToggle.addEventListener('change', (e) => {
+            saveSetting('showPerfOverlay', e.target.checked);
+            setPerfOverlayVisible(e.target.checked);
+        });
+    }
+    setPerfOverlayVisible(APP_STATE.settings.showPerfOverlay);
+
+    document.getElementById('exportTimingsBtn')?.addEventListener('click', exportLatencyTimings);
+    document.getElementById('clearTimingsBtn')?.addEventListener('click', () => {
+        telemetry.clear();
+        renderPerfOverlay();
+        showStatus('🗑️ Timings cleared', 'success');
+    });
 }
 
 function setupMemoryControls() {
@@ -4564,6 +7709,16 @@ function setupMemoryControls() {
         });
     }
 
+    // Keep attached images with their memory entries
+    const saveImagesToMemory = document.getElementById('saveImagesToMemory');
+    if (saveImagesToMemory) {
+        saveImagesToMemory.checked = APP_STATE.settings.saveImagesToMemory;
+        saveImagesToMemory.addEventListener('change', (e) => {
+            saveSetting('saveImagesToMemory', e.target.checked);
+            console.log(`🖼️ Images in memory ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+    }
+
     // Auto-save Interval selector
     if (DOM.autoSaveInterval) {
         DOM.autoSaveInterval.value = APP_STATE.settings.autoSaveInterval;
@@ -4678,6 +7833,16 @@ function setupMemoryControls() {
         });
     }
 
+    // Rebuild Memory Index Button
+    const rebuildMemoryIndexBtn = document.getElementById('rebuildMemoryIndexBtn');
+    if (rebuildMemoryIndexBtn) {
+        rebuildMemoryIndexBtn.addEventListener('click', async () => {
+            rebuildMemoryIndexBtn.disabled = true;
+            await rebuildMemoryIndex();
+            rebuildMemoryIndexBtn.disabled = false;
+        });
+    }
+
     // Update stats when settings panel opens
     if (DOM.settingsBtn) {
         DOM.settingsBtn.addEventListener('click', () => {
@@ -4689,6 +7854,8 @@ function setupMemoryControls() {
 function setupSummarizationLLMControls() {
     // Summarization LLM Provider
     if (DOM.summarizationLlmProvider) {
+        // Built-in providers are in the HTML, custom endpoints are appended here
+        populateCustomProviderOptions(DOM.summarizationLlmProvider);
         DOM.summarizationLlmProvider.value = APP_STATE.settings.summarizationLlmProvider;
 
         DOM.summarizationLlmProvider.addEventListener('change', async (e) => {
@@ -4700,49 +7867,15 @@ function setupSummarizationLLMControls() {
             APP_STATE.settings.summarizationLlmModel = savedModel;
             console.log(`🔄 Loaded saved summarization model for ${e.target.value}:`, savedModel || '(none)');
 
-            // Fetch models from API (reuse existing fetch functions)
-            const apiKey = SettingsManager.getProviderApiKey(e.target.value);
-
-            if (e.target.value === 'ollama') {
-                console.log('🔄 Fetching Ollama models for summarization...');
-                await fetchOllamaModels();
-                updateSummarizationModelOptions();
-            } else if (e.target.value === 'openai') {
-                if (apiKey) {
-                    console.log('🔄 Fetching OpenAI models for summarization...');
-                    await fetchOpenAIModels(apiKey);
-                    updateSummarizationModelOptions();
-                } else {
-                    console.warn('⚠️ OpenAI API key required');
-                    updateSummarizationModelOptions();
-                }
-            } else if (e.target.value === 'openrouter') {
-                if (apiKey) {
-                    console.log('🔄 Fetching OpenRouter models for summarization...');
-                    await fetchOpenRouterModels(apiKey);
-                    updateSummarizationModelOptions();
-                } else {
-                    console.warn('⚠️ OpenRouter API key required');
-                    updateSummarizationModelOptions();
-                }
-            } else if (e.target.value === 'gemini') {
-                console.log('📝 Using Gemini static models for summarization');
-                updateSummarizationModelOptions();
-            }
+            // Fetch models through the provider's adapter (same lists as the chat dropdown)
+            console.log(`🔄 Fetching ${LLM_PROVIDERS[e.target.value]?.name || e.target.value} models for summarization...`);
+            await refreshProviderModels(e.target.value);
+            updateSummarizationModelOptions();
         });
 
         // Load initial models for default provider
         (async () => {
-            const provider = APP_STATE.settings.summarizationLlmProvider;
-            const apiKey = SettingsManager.getProviderApiKey(provider);
-
-            if (provider === 'ollama') {
-                await fetchOllamaModels();
-            } else if (provider === 'openai' && apiKey) {
-                await fetchOpenAIModels(apiKey);
-            } else if (provider === 'openrouter' && apiKey) {
-                await fetchOpenRouterModels(apiKey);
-            }
+            await refreshProviderModels(APP_STATE.settings.summarizationLlmProvider);
             updateSummarizationModelOptions();
         })();
     }
@@ -5004,11 +8137,15 @@ function setupAvatarControls() {
                 document.getElementById('characterName').value = 'AI Companion';
                 document.getElementById('characterPersonality').value = defaultPersonality;
                 document.getElementById('userName').value = '';
+                document.getElementById('characterFirstMessage').value = '';
 
                 // Save defaults
                 saveSetting('characterName', 'AI Companion');
                 saveSetting('characterPersonality', defaultPersonality);
                 saveSetting('userName', '');
+                saveSetting('characterFirstMessage', '');
+                SettingsManager.setCharacterCardData(null);
+                updatePromptPreview();
 
                 showStatus('✅ Character settings reset to defaults!', 'success');
                 console.log('🔄 Character settings reset to defaults');
@@ -5036,6 +8173,7 @@ function setupAvatarControls() {
                 saveSetting('llmTemperature', 0.7);
                 saveSetting('llmMaxTokens', 2048);
                 saveSetting('llmStreaming', true);
+                updatePromptPreview();
 
                 showStatus('✅ LLM settings reset to defaults!', 'success');
                 console.log('🔄 LLM settings reset to defaults');
@@ -5106,6 +8244,49 @@ function setupAnimationControls() {
             saveSetting('animationTransitionTime', value);
         });
     }
+
+    // Avatar tags
+    const enableTags = document.getElementById('enableAvatarTags');
+    const vocabulary = document.getElementById('avatarTagVocabulary');
+    const vocabularyErrors = document.getElementById('avatarTagErrors');
+
+    const showVocabularyErrors = () => {
+        if (vocabularyErrors) {
+            vocabularyErrors.textContent = getAvatarTagVocabulary().errors.map(error => `⚠️ ${error}`).join(' · ');
+        }
+    };
+
+    if (enableTags) {
+        enableTags.checked = APP_STATE.settings.enableAvatarTags;
+        enableTags.addEventListener('change', (e) => {
+            saveSetting('enableAvatarTags', e.target.checked);
+            if (e.target.checked) preloadTagAnimations();
+            console.log(`🎭 Avatar tags ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+    }
+
+    if (vocabulary) {
+        vocabulary.value = APP_STATE.settings.avatarTagVocabulary;
+        showVocabularyErrors();
+        vocabulary.addEventListener('change', (e) => {
+            saveSetting('avatarTagVocabulary', e.target.value);
+            showVocabularyErrors();
+            preloadTagAnimations();
+        });
+    }
+
+    const resetTags = document.getElementById('resetAvatarTagsBtn');
+    if (resetTags) {
+        resetTags.addEventListener('click', () => {
+            if (confirm('⚠️ Reset the tag vocabulary to the default tags?')) {
+                if (vocabulary) vocabulary.value = DEFAULT_AVATAR_TAG_VOCABULARY;
+                saveSetting('avatarTagVocabulary', DEFAULT_AVATAR_TAG_VOCABULARY);
+                showVocabularyErrors();
+                preloadTagAnimations();
+                showStatus('✅ Tag vocabulary reset to defaults!', 'success');
+            }
+        });
+    }
 }
 
 function setupPasswordToggles() {
@@ -5353,7 +8534,12 @@ function autoScaleRoom() {
 // =============================================
 // Avatar Type Switching Functions
 // =============================================
-async function switchAvatarType(newType) {
+// persist = false: temporary switch (cast avatar focus) that leaves the saved avatar alone
+async function switchAvatarType(newType, persist = true) {
+    if (persist) {
+        APP_STATE.focusedAvatarKey = null; // Manual change - the main avatar is on stage again
+    }
+
     if (newType === APP_STATE.settings.avatarType) {
         console.log('✅ Already in', newType, 'mode');
         return;
@@ -5398,6 +8584,7 @@ async function switchAvatarType(newType) {
     
     // Update state and save
     APP_STATE.settings.avatarType = newType;
+    if (!persist) return;
     saveSetting('avatarType', newType);
     
     // Update dropdown selector to match
@@ -5630,13 +8817,26 @@ async function init() {
     try {
         await initMemoryDB();
         console.log('✅ Memory DB ready');
+        startMemoryIndex();
 
         // Load last 10 messages from IndexedDB to restore context
         await loadRecentConversationHistory();
+        showCharacterGreeting();
+
+        await usageTracker.attach(APP_STATE.memoryDB);
+        await reminders.attach(APP_STATE.memoryDB);
+        await knowledgeBase.attach(APP_STATE.memoryDB);
+        await userProfile.attach(APP_STATE.memoryDB);
     } catch (error) {
         console.error('⚠️ Memory DB initialization failed:', error);
     }
 
+    // Register built-in LLM tools (function calling)
+    registerBuiltInTools();
+
+    // Add user-defined OpenAI-compatible endpoints to LLM_PROVIDERS
+    registerCustomProviders();
+
     // Initialize UI
     initializeUI();
 
@@ -5660,6 +8860,9 @@ async function init() {
         }
     }
 
+    // Announce due reminders (including any missed while the tab was closed)
+    startReminderTimer();
+
     // Load default VRM (non-blocking - don't wait for it)
     console.log('⏳ Attempting to load default VRM in background...');
     
@@ -5728,105 +8931,698 @@ init();
 // =============================================
 // Dynamic Model Loading from Providers
 // =============================================
-async function fetchOllamaModels() {
+// Ask the provider's adapter for its models, keeping any context/vision/price metadata it reports
+async function refreshProviderModels(providerName, apiKey = SettingsManager.getProviderApiKey(providerName)) {
+    const provider = LLM_PROVIDERS[providerName];
+    if (!provider) return [];
+
+    if (provider.apiKeyRequired && !apiKey) {
+        console.warn(`⚠️ ${provider.name} API key required`);
+        updateLLMModelOptions();
+        return [];
+    }
+
     try {
-        const baseUrl = APP_STATE.settings.ollamaUrl || 'http://localhost:11434';
-        const response = await fetch(`${baseUrl}/api/tags`);
-        const data = await response.json();
-        
-        if (data.models && Array.isArray(data.models)) {
-            const modelNames = data.models.map(m => m.name || m.model);
-            console.log('🤖 Ollama models loaded:', modelNames);
-            
-            // Update LLM_PROVIDERS
-            LLM_PROVIDERS.ollama.models = modelNames;
-            
-            // Update UI dropdown
-            updateLLMModelOptions();
-            return modelNames;
-        }
+        const models = await getProviderAdapter(providerName).listModels({ provider, apiKey });
+        models.forEach(m => {
+            const key = `${providerName}|${m.id}`;
+            if (m.contextLength) MODEL_CONTEXT_METADATA[key] = m.contextLength;
+            if (m.vision !== undefined) MODEL_VISION_METADATA[key] = m.vision;
+            // Listed prices, used for cost when the price table has no entry
+            if (m.pricing) usageTracker.setListedPrice(providerName, m.id, m.pricing);
+        });
+
+        provider.models = models.map(m => m.id);
+        console.log(`🤖 ${provider.name} models loaded:`, provider.models);
     } catch (error) {
-        console.error('❌ Failed to fetch Ollama models:', error);
-        showStatus(`❌ Ollama server not reachable at ${APP_STATE.settings.ollamaUrl || 'http://localhost:11434'}. Is it running?`, 'error');
-        // Show empty dropdown with helpful message
-        LLM_PROVIDERS.ollama.models = [];
-        updateLLMModelOptions();
+        console.error(`❌ Failed to fetch ${provider.name} models:`, error);
+        if (provider.fallbackModels) {
+            console.log(`⚠️ Using fallback ${provider.name} models:`, provider.fallbackModels);
+            provider.models = [...provider.fallbackModels];
+        } else if (!provider.apiKeyRequired) {
+            // Servers on this machine/network - show an empty dropdown with a hint
+            showStatus(`❌ Could not load models from ${provider.name}. Is it running (and allowing CORS)?`, 'error');
+            provider.models = [];
+        }
+    }
+
+    updateLLMModelOptions();
+    return provider.models;
+}
+
+// =============================================
+// Custom OpenAI-Compatible Endpoints (LM Studio, llama.cpp, vLLM...)
+// =============================================
+let editingCustomEndpointId = null; // Set while the form is editing an existing endpoint
+
+// Mirror saved custom endpoints (and providers brought by runtime adapters) into LLM_PROVIDERS
+// so every provider code path sees them
+function registerCustomProviders() {
+    const previousModels = {};
+    Object.keys(LLM_PROVIDERS).forEach(key => {
+        if (LLM_PROVIDERS[key].custom) {
+            previousModels[key] = LLM_PROVIDERS[key].models;
+            delete LLM_PROVIDERS[key];
+        }
+    });
+
+    SettingsManager.getCustomEndpoints().forEach(endpoint => {
+        LLM_PROVIDERS[endpoint.id] = {
+            name: `🔌 ${endpoint.name}`,
+            baseUrl: endpoint.baseUrl.replace(/\/+$/, ''),
+            apiKeyRequired: false,
+            custom: true,
+            adapter: 'openai',
+            capabilities: { streamUsage: false }, // Not every server accepts stream_options
+            headers: endpoint.headers || {},
+            modelsEndpoint: endpoint.modelsEndpoint || '',
+            models: previousModels[endpoint.id] || [] // Will be fetched from modelsEndpoint
+        };
+    });
+
+    // Adapters registered with a `provider` entry become a provider of the same name
+    llmAdapters.names.forEach(name => {
+        const adapter = llmAdapters.get(name);
+        if (!adapter.provider || LLM_PROVIDERS[name]) return;
+        LLM_PROVIDERS[name] = {
+            apiKeyRequired: false,
+            ...adapter.provider,
+            custom: true,
+            adapter: name,
+            models: previousModels[name] || adapter.provider.models || []
+        };
+    });
+}
+
+// Third-party adapters can be registered at any time - refresh the provider dropdowns when they are
+llmAdapters.onChange = (name, adapter) => {
+    if (adapter?.provider || LLM_PROVIDERS[name]?.custom) {
+        onCustomEndpointsChanged();
+    }
+};
+
+// Replace the custom endpoint (and adapter-provided) options in a provider <select>
+function populateCustomProviderOptions(select) {
+    if (!select) return;
+
+    select.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+
+    Object.entries(LLM_PROVIDERS).forEach(([key, provider]) => {
+        if (!provider.custom) return;
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = provider.name;
+        option.dataset.custom = 'true';
+        select.appendChild(option);
+    });
+}
+
+// Parse "Header-Name: value" lines into a headers object
+function parseHeaderLines(text) {
+    const headers = {};
+    text.split('\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator <= 0) return;
+        const name = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        if (name) headers[name] = value;
+    });
+    return headers;
+}
+
+function formatHeaderLines(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+function resetCustomEndpointForm() {
+    editingCustomEndpointId = null;
+    ['customEndpointName', 'customEndpointUrl', 'customEndpointApiKey', 'customEndpointHeaders', 'customEndpointModels'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    const saveBtn = document.getElementById('saveCustomEndpointBtn');
+    if (saveBtn) saveBtn.textContent = '➕ Add Endpoint';
+}
+
+function renderCustomEndpointList() {
+    const list = document.getElementById('customEndpointList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const endpoints = SettingsManager.getCustomEndpoints();
+
+    if (endpoints.length === 0) {
+        list.innerHTML = '<div class="range-hint">No custom endpoints yet</div>';
+        return;
+    }
+
+    endpoints.forEach(endpoint => {
+        const item = document.createElement('div');
+        item.className = 'custom-endpoint-item';
+
+        const info = document.createElement('div');
+        info.className = 'custom-endpoint-info';
+        const name = document.createElement('strong');
+        name.textContent = endpoint.name;
+        const url = document.createElement('span');
+        url.textContent = endpoint.baseUrl;
+        info.append(name, url);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'control-btn';
+        editBtn.textContent = '✏️';
+        editBtn.title = 'Edit';
+        editBtn.addEventListener('click', () => {
+            editingCustomEndpointId = endpoint.id;
+            document.getElementById('customEndpointName').value = endpoint.name;
+            document.getElementById('customEndpointUrl').value = endpoint.baseUrl;
+            document.getElementById('customEndpointApiKey').value = endpoint.apiKey || '';
+            document.getElementById('customEndpointHeaders').value = formatHeaderLines(endpoint.headers);
+            document.getElementById('customEndpointModels').value = endpoint.modelsEndpoint || '';
+            document.getElementById('saveCustomEndpointBtn').textContent = '💾 Save Changes';
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'control-btn';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Delete custom endpoint "${endpoint.name}"?`)) return;
+            SettingsManager.setCustomEndpoints(SettingsManager.getCustomEndpoints().filter(e => e.id !== endpoint.id));
+            SettingsManager.remove(`${endpoint.id.charAt(0).toUpperCase()}${endpoint.id.slice(1)}Model`);
+            SettingsManager.remove(`summarization${endpoint.id.charAt(0).toUpperCase()}${endpoint.id.slice(1)}Model`);
+            if (editingCustomEndpointId === endpoint.id) resetCustomEndpointForm();
+            onCustomEndpointsChanged();
+            showStatus(`🗑️ Removed ${endpoint.name}`, 'success');
+        });
+
+        item.append(info, editBtn, deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+// Re-sync LLM_PROVIDERS, both provider dropdowns, and the endpoint list
+function onCustomEndpointsChanged() {
+    registerCustomProviders();
+    renderCustomEndpointList();
+    renderFallbackChain();
+
+    const llmProvider = document.getElementById('llmProvider');
+    populateCustomProviderOptions(llmProvider);
+    populateCustomProviderOptions(DOM.summarizationLlmProvider);
+
+    // Fall back to a built-in provider if the selected endpoint was deleted
+    if (llmProvider) {
+        if (!LLM_PROVIDERS[APP_STATE.settings.llmProvider]) {
+            llmProvider.value = 'gemini';
+        } else {
+            llmProvider.value = APP_STATE.settings.llmProvider;
+        }
+        llmProvider.dispatchEvent(new Event('change'));
+    }
+
+    if (DOM.summarizationLlmProvider) {
+        if (!LLM_PROVIDERS[APP_STATE.settings.summarizationLlmProvider]) {
+            DOM.summarizationLlmProvider.value = 'ollama';
+        } else {
+            DOM.summarizationLlmProvider.value = APP_STATE.settings.summarizationLlmProvider;
+        }
+        DOM.summarizationLlmProvider.dispatchEvent(new Event('change'));
+    }
+}
+
+function setupCustomEndpointControls() {
+    const saveBtn = document.getElementById('saveCustomEndpointBtn');
+    const cancelBtn = document.getElementById('cancelCustomEndpointBtn');
+    if (!saveBtn) return;
+
+    renderCustomEndpointList();
+
+    saveBtn.addEventListener('click', () => {
+        const name = document.getElementById('customEndpointName').value.trim();
+        const baseUrl = document.getElementById('customEndpointUrl').value.trim().replace(/\/+$/, '');
+
+        if (!name || !baseUrl) {
+            showStatus('⚠️ Name and base URL are required', 'error');
+            return;
+        }
+        if (!/^https?:\/\//.test(baseUrl)) {
+            showStatus('⚠️ Base URL must start with http:// or https://', 'error');
+            return;
+        }
+
+        const endpoint = {
+            id: editingCustomEndpointId || `custom_${Date.now().toString(36)}`,
+            name,
+            baseUrl,
+            apiKey: document.getElementById('customEndpointApiKey').value.trim(),
+            headers: parseHeaderLines(document.getElementById('customEndpointHeaders').value),
+            modelsEndpoint: document.getElementById('customEndpointModels').value.trim()
+        };
+
+        const endpoints = SettingsManager.getCustomEndpoints();
+        const index = endpoints.findIndex(e => e.id === endpoint.id);
+        if (index >= 0) {
+            endpoints[index] = endpoint;
+        } else {
+            endpoints.push(endpoint);
+        }
+        SettingsManager.setCustomEndpoints(endpoints);
+
+        console.log(`🔌 Saved custom endpoint ${name} (${baseUrl})`);
+        showStatus(`✅ ${index >= 0 ? 'Updated' : 'Added'} ${name}`, 'success');
+        resetCustomEndpointForm();
+        onCustomEndpointsChanged();
+    });
+
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', resetCustomEndpointForm);
     }
-    return [];
 }
 
-async function fetchOpenAIModels(apiKey) {
+// =============================================
+// Fallback Chain Settings UI
+// =============================================
+function renderFallbackChain() {
+    const list = document.getElementById('fallbackChainList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const chain = SettingsManager.getFallbackChain();
+
+    if (chain.length === 0) {
+        list.innerHTML = '<div class="range-hint">No fallbacks - errors are shown after retries</div>';
+        return;
+    }
+
+    chain.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'fallback-chain-item';
+
+        const order = document.createElement('span');
+        order.className = 'fallback-chain-order';
+        order.textContent = `${index + 1}.`;
+
+        const providerSelect = document.createElement('select');
+        Object.entries(LLM_PROVIDERS).forEach(([key, provider]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = provider.name;
+            providerSelect.appendChild(option);
+        });
+        providerSelect.value = LLM_PROVIDERS[entry.provider] ? entry.provider : Object.keys(LLM_PROVIDERS)[0];
+
+        const modelInput = document.createElement('input');
+        modelInput.type = 'text';
+        modelInput.value = entry.model || '';
+        modelInput.placeholder = SettingsManager.getProviderModel(providerSelect.value, false) || 'model id';
+
+        const save = () => {
+            const updated = SettingsManager.getFallbackChain();
+            updated[index] = { provider: providerSelect.value, model: modelInput.value.trim() };
+            SettingsManager.setFallbackChain(updated);
+        };
+        providerSelect.addEventListener('change', () => {
+            modelInput.placeholder = SettingsManager.getProviderModel(providerSelect.value, false) || 'model id';
+            save();
+        });
+        modelInput.addEventListener('change', save);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'control-btn';
+        removeBtn.textContent = '🗑️';
+        removeBtn.title = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            const updated = SettingsManager.getFallbackChain();
+            updated.splice(index, 1);
+            SettingsManager.setFallbackChain(updated);
+            renderFallbackChain();
+        });
+
+        row.append(order, providerSelect, modelInput, removeBtn);
+        list.appendChild(row);
+    });
+}
+
+function setupFallbackControls() {
+    renderFallbackChain();
+
+    const addFallbackBtn = document.getElementById('addFallbackBtn');
+    if (addFallbackBtn) {
+        addFallbackBtn.addEventListener('click', () => {
+            const chain = SettingsManager.getFallbackChain();
+            // Default to a provider that isn't the main one
+            const provider = Object.keys(LLM_PROVIDERS).find(key => key !== APP_STATE.settings.llmProvider) || APP_STATE.settings.llmProvider;
+            chain.push({ provider, model: '' });
+            SettingsManager.setFallbackChain(chain);
+            renderFallbackChain();
+        });
+    }
+
+    const maxRetries = document.getElementById('llmMaxRetries');
+    if (maxRetries) {
+        maxRetries.value = APP_STATE.settings.llmMaxRetries;
+        document.getElementById('llmMaxRetriesValue').textContent = APP_STATE.settings.llmMaxRetries;
+        maxRetries.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            document.getElementById('llmMaxRetriesValue').textContent = value;
+            saveSetting('llmMaxRetries', value);
+        });
+    }
+}
+
+// =============================================
+// Character Cards (Tavern / SillyTavern)
+// =============================================
+
+// Trigger a browser download for a generated file
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Open the conversation with the character's first message (only when nothing has been said yet)
+function showCharacterGreeting() {
+    if (!APP_STATE.settings.characterFirstMessage || APP_STATE.conversationTree.size > 0) return;
+
+    // Card greetings keep {{char}}/{{user}} so they follow the current names
+    const greeting = PromptTemplate.render(APP_STATE.settings.characterFirstMessage, {
+        char: APP_STATE.settings.characterName,
+        user: APP_STATE.settings.userName || 'User'
+    });
+
+    recordAssistantLine({
+        role: 'assistant',
+        content: greeting,
+        characterId: PRIMARY_CHARACTER_ID,
+        speaker: APP_STATE.settings.characterName,
+        saved: false
+    });
+    displayAIResponse(greeting);
+}
+
+// Replace the main character with a card (.png or .json)
+async function importCharacterCard(file) {
     try {
-        const response = await fetch('https://api.openai.com/v1/models', {
-            headers: { 'Authorization': `Bearer ${apiKey}` }
+        const card = await CharacterCard.fromFile(file);
+        if (!confirm(`Replace the current character with "${card.name}"?`)) return;
+
+        const mapped = CharacterCard.toSettings(card, {
+            systemPrompt: APP_STATE.settings.systemPrompt
         });
-        const data = await response.json();
-        
-        if (data.data && Array.isArray(data.data)) {
-            const gptModels = data.data
-                .filter(m => m.id.includes('gpt'))
-                .map(m => m.id);
-            console.log('🤖 OpenAI models loaded:', gptModels);
-            LLM_PROVIDERS.openai.models = gptModels;
-            updateLLMModelOptions();
-            return gptModels;
+        Object.entries(mapped).forEach(([key, value]) => {
+            saveSetting(key, value);
+            const input = document.getElementById(key);
+            if (input) input.value = value;
+        });
+
+        try {
+            SettingsManager.setCharacterCardData(card.data);
+        } catch (error) {
+            console.warn('⚠️ Card too large to keep for re-export (extra fields will be dropped):', error);
         }
+
+        updatePromptPreview();
+
+        console.log(`🃏 Imported character card: ${card.name}`);
+        showStatus(`🃏 Imported ${card.name}`, 'success');
+        showCharacterGreeting();
     } catch (error) {
-        console.error('❌ Failed to fetch OpenAI models:', error);
+        console.error('Card import error:', error);
+        showStatus('❌ Card import failed: ' + error.message, 'error');
     }
-    return [];
 }
 
-async function fetchOpenRouterModels(apiKey) {
+// Snapshot of the avatar on stage, used as the PNG card image
+async function captureAvatarImage() {
+    let canvas = null;
     try {
-        const response = await fetch('https://openrouter.ai/api/v1/models', {
-            headers: { 'Authorization': `Bearer ${apiKey}` }
-        });
-        const data = await response.json();
-        
-        if (data.data && Array.isArray(data.data)) {
-            const models = data.data.map(m => m.id);
-            console.log('🤖 OpenRouter models loaded:', models);
-            LLM_PROVIDERS.openrouter.models = models;
-            updateLLMModelOptions();
-            return models;
+        if (APP_STATE.settings.avatarType === 'live2d' && live2DManager?.pixiApp) {
+            canvas = live2DManager.pixiApp.renderer.extract.canvas(live2DManager.pixiApp.stage);
+        } else if (APP_STATE.renderer) {
+            // WebGL clears the drawing buffer after each frame - render right before reading it
+            APP_STATE.renderer.render(APP_STATE.scene, APP_STATE.camera);
+            canvas = APP_STATE.renderer.domElement;
         }
     } catch (error) {
-        console.error('❌ Failed to fetch OpenRouter models:', error);
+        console.warn('⚠️ Avatar snapshot failed, using a plain card image:', error);
+    }
+
+    if (!canvas) {
+        canvas = document.createElement('canvas');
+        canvas.width = 400;
+        canvas.height = 600;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#14141f';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 32px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(APP_STATE.settings.characterName, canvas.width / 2, canvas.height / 2);
     }
-    return [];
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create card image')), 'image/png');
+    });
 }
 
-async function fetchGeminiModels(apiKey) {
+// Write the main character out as a V2 card (format: 'json' or 'png')
+async function exportCharacterCard(format) {
     try {
-        // Gemini now supports OpenAI-compatible /models endpoint
-        const response = await fetch('https://generativelanguage.googleapis.com/v1beta/openai/models', {
-            headers: { 'Authorization': `Bearer ${apiKey}` }
+        const card = CharacterCard.toV2({
+            name: APP_STATE.settings.characterName,
+            personality: APP_STATE.settings.characterPersonality,
+            systemPrompt: APP_STATE.settings.systemPrompt,
+            firstMessage: APP_STATE.settings.characterFirstMessage
+        }, SettingsManager.getCharacterCardData() || {});
+
+        const baseName = APP_STATE.settings.characterName.replace(/[^\w\- ]+/g, '').trim() || 'character';
+
+        if (format === 'png') {
+            const image = new Uint8Array(await (await captureAvatarImage()).arrayBuffer());
+            const png = CharacterCard.embedInPng(image, card);
+            downloadBlob(new Blob([png], { type: 'image/png' }), `${baseName}.png`);
+        } else {
+            downloadBlob(new Blob([JSON.stringify(card, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+        }
+
+        console.log(`🃏 Exported ${card.data.name} as ${format.toUpperCase()} card`);
+        showStatus(`🃏 Exported ${card.data.name}`, 'success');
+    } catch (error) {
+        console.error('Card export error:', error);
+        showStatus('❌ Card export failed: ' + error.message, 'error');
+    }
+}
+
+function setupCharacterCardControls() {
+    const firstMessage = document.getElementById('characterFirstMessage');
+    if (firstMessage) {
+        firstMessage.value = APP_STATE.settings.characterFirstMessage;
+        firstMessage.addEventListener('change', (e) => {
+            saveSetting('characterFirstMessage', e.target.value.trim());
         });
-        const data = await response.json();
+    }
 
-        if (data.data && Array.isArray(data.data)) {
-            const models = data.data.map(m => m.id);
-            console.log('🤖 Gemini models loaded:', models);
-            LLM_PROVIDERS.gemini.models = models;
-            updateLLMModelOptions();
-            return models;
+    const importBtn = document.getElementById('importCardBtn');
+    const importFile = document.getElementById('importCardFile');
+    if (importBtn && importFile) {
+        importBtn.addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                importCharacterCard(file);
+                e.target.value = ''; // Reset input
+            }
+        });
+    }
+
+    const exportJsonBtn = document.getElementById('exportCardJsonBtn');
+    if (exportJsonBtn) {
+        exportJsonBtn.addEventListener('click', () => exportCharacterCard('json'));
+    }
+
+    const exportPngBtn = document.getElementById('exportCardPngBtn');
+    if (exportPngBtn) {
+        exportPngBtn.addEventListener('click', () => exportCharacterCard('png'));
+    }
+}
+
+// =============================================
+// Character Cast Settings UI
+// =============================================
+let editingCastMemberId = null; // Set while the form is editing an existing cast member
+
+function resetCastMemberForm() {
+    editingCastMemberId = null;
+    ['castMemberName', 'castMemberPersonality', 'castMemberVoice', 'castMemberModelPath'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+    ['castMemberTtsProvider', 'castMemberAvatarType'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.value = '';
+    });
+    const scopeSelect = document.getElementById('castMemberMemoryScope');
+    if (scopeSelect) scopeSelect.value = 'shared';
+    const saveBtn = document.getElementById('saveCastMemberBtn');
+    if (saveBtn) saveBtn.textContent = '➕ Add Character';
+}
+
+function renderCastMemberList() {
+    const list = document.getElementById('castMemberList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const members = SettingsManager.getCastMembers();
+
+    if (members.length === 0) {
+        list.innerHTML = '<div class="range-hint">No extra characters - just the one above</div>';
+        return;
+    }
+
+    members.forEach(member => {
+        const item = document.createElement('div');
+        item.className = 'custom-endpoint-item';
+
+        const info = document.createElement('div');
+        info.className = 'custom-endpoint-info';
+        const name = document.createElement('strong');
+        name.textContent = member.name;
+        const details = document.createElement('span');
+        const voice = member.ttsVoice || member.fishVoiceId || 'default voice';
+        const avatar = member.modelPath ? member.modelPath.split('/').pop() : 'main avatar';
+        details.textContent = `${voice} · ${avatar} · ${member.memoryScope === 'private' ? 'private' : 'shared'} memory`;
+        info.append(name, details);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'control-btn';
+        editBtn.textContent = '✏️';
+        editBtn.title = 'Edit';
+        editBtn.addEventListener('click', () => {
+            editingCastMemberId = member.id;
+            document.getElementById('castMemberName').value = member.name;
+            document.getElementById('castMemberPersonality').value = member.personality || '';
+            document.getElementById('castMemberTtsProvider').value = member.ttsProvider || '';
+            document.getElementById('castMemberVoice').value = member.ttsVoice || member.fishVoiceId || '';
+            document.getElementById('castMemberAvatarType').value = member.avatarType || '';
+            document.getElementById('castMemberModelPath').value = member.modelPath || '';
+            document.getElementById('castMemberMemoryScope').value = member.memoryScope || 'shared';
+            document.getElementById('saveCastMemberBtn').textContent = '💾 Save Changes';
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'control-btn';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Remove ${member.name} from the cast? (Their memories are kept)`)) return;
+            SettingsManager.setCastMembers(SettingsManager.getCastMembers().filter(m => m.id !== member.id));
+            if (editingCastMemberId === member.id) resetCastMemberForm();
+            if (APP_STATE.activeCharacterId === member.id) APP_STATE.activeCharacterId = PRIMARY_CHARACTER_ID;
+            renderCastMemberList();
+            showStatus(`🗑️ Removed ${member.name}`, 'success');
+        });
+
+        item.append(info, editBtn, deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+// Suggest Edge voices in the cast voice field once TTS has loaded them
+function populateCastVoiceOptions() {
+    const datalist = document.getElementById('castVoiceOptions');
+    if (!datalist || datalist.options.length > 0 || APP_STATE.voices.length === 0) return;
+
+    APP_STATE.voices.forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.ShortName;
+        option.label = `${voice.FriendlyName} (${voice.Gender})`;
+        datalist.appendChild(option);
+    });
+}
+
+function setupCastControls() {
+    const saveBtn = document.getElementById('saveCastMemberBtn');
+    const cancelBtn = document.getElementById('cancelCastMemberBtn');
+    if (!saveBtn) return;
+
+    renderCastMemberList();
+
+    const voiceInput = document.getElementById('castMemberVoice');
+    if (voiceInput) {
+        voiceInput.addEventListener('focus', populateCastVoiceOptions);
+    }
+
+    saveBtn.addEventListener('click', () => {
+        const name = document.getElementById('castMemberName').value.trim();
+        const ttsProvider = document.getElementById('castMemberTtsProvider').value;
+        const voice = document.getElementById('castMemberVoice').value.trim();
+        const avatarType = document.getElementById('castMemberAvatarType').value;
+        const modelPath = document.getElementById('castMemberModelPath').value.trim();
+
+        if (!name) {
+            showStatus('⚠️ Character name is required', 'error');
+            return;
         }
-    } catch (error) {
-        console.error('❌ Failed to fetch Gemini models:', error);
-        // Fallback to known models
-        const geminiModels = [
-            'gemini-2.0-flash-exp',
-            'gemini-1.5-pro',
-            'gemini-1.5-flash',
-            'gemini-1.5-flash-8b'
-        ];
-        console.log('⚠️ Using fallback Gemini models:', geminiModels);
-        LLM_PROVIDERS.gemini.models = geminiModels;
-        updateLLMModelOptions();
-        return geminiModels;
+        const members = SettingsManager.getCastMembers();
+        const takenNames = [APP_STATE.settings.characterName, ...members.filter(m => m.id !== editingCastMemberId).map(m => m.name)];
+        if (takenNames.some(taken => taken && taken.toLowerCase() === name.toLowerCase())) {
+            showStatus(`⚠️ There's already a character called ${name}`, 'error');
+            return;
+        }
+        if (avatarType && !modelPath) {
+            showStatus('⚠️ Enter a model path for the avatar', 'error');
+            return;
+        }
+
+        // The voice field means an Edge voice or a Fish model ID depending on the provider
+        const isFish = (ttsProvider || APP_STATE.settings.ttsProvider) === 'fish';
+        const member = {
+            id: editingCastMemberId || `char_${Date.now().toString(36)}`,
+            name,
+            personality: document.getElementById('castMemberPersonality').value.trim(),
+            ttsProvider,
+            ttsVoice: isFish ? '' : voice,
+            fishVoiceId: isFish ? voice : '',
+            avatarType,
+            modelPath: avatarType ? modelPath : '',
+            memoryScope: document.getElementById('castMemberMemoryScope').value
+        };
+
+        const index = members.findIndex(m => m.id === member.id);
+        if (index >= 0) {
+            members[index] = member;
+        } else {
+            members.push(member);
+        }
+        SettingsManager.setCastMembers(members);
+
+        console.log(`🎭 Saved cast member ${name}`);
+        showStatus(`✅ ${index >= 0 ? 'Updated' : 'Added'} ${name}`, 'success');
+        resetCastMemberForm();
+        renderCastMemberList();
+    });
+
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', resetCastMemberForm);
+    }
+
+    const banterTurns = document.getElementById('castBanterTurns');
+    if (banterTurns) {
+        banterTurns.value = APP_STATE.settings.castBanterTurns;
+        document.getElementById('castBanterTurnsValue').textContent = APP_STATE.settings.castBanterTurns;
+        banterTurns.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            document.getElementById('castBanterTurnsValue').textContent = value;
+            saveSetting('castBanterTurns', value);
+        });
     }
-    return [];
 }
 
 // =============================================
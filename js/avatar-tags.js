@@ -0,0 +1,187 @@
+/**
+ * AvatarTagParser
+ * Inline emotion/action markup in LLM replies ("[happy]", "<anim:wave>"): parses the
+ * configurable tag vocabulary and strips tags from streamed text, remembering where each one was
+ */
+
+// One tag per line: the tag as the model writes it, then what it does
+export const DEFAULT_AVATAR_TAG_VOCABULARY = `[happy] expression=happy motion=Tap
+[sad] expression=sad motion=FlickDown
+[angry] expression=angry motion=Flick
+[surprised] expression=surprised motion=FlickUp
+[relaxed] expression=relaxed
+[neutral] expression=neutral
+<anim:cheer> animation=assets/animations/Happy Idle.fbx motion=Tap@Body`;
+
+const ACTION_KEYS = ['expression', 'motion', 'animation'];
+
+// Longest tag the streaming parser holds back while waiting for the closing bracket
+const MAX_TAG_LENGTH = 48;
+
+// "<anim:something>" the vocabulary doesn't know - still markup, never spoken
+const UNKNOWN_MARKUP = /^<[a-z]+:[^<>\n]*>$/i;
+const UNKNOWN_MARKUP_PREFIX = /^<[a-z]*(:[^<>\n]*)?$/i;
+
+// Tags are matched case- and space-insensitively ("[ Happy ]" = "[happy]")
+function normalizeTag(tag) {
+    return tag.toLowerCase().replace(/\s+/g, '');
+}
+
+export class AvatarTagParser {
+    /**
+     * Parse vocabulary text: `<tag> key=value ...` per line, # for comments
+     * Keys: expression (VRM preset), motion (Live2D motion group),
+     * animation (VRM clip: idle, talking, or a Mixamo .fbx path)
+     * @param {string} text - Vocabulary text
+     * @returns {{ entries: Array, errors: Array<string> }} - entries: [{ tag, name, expression, motion, animation }]
+     */
+    static parseVocabulary(text) {
+        const entries = [];
+        const errors = [];
+
+        (text || '').split('\n').forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const match = /^(\[[^\]\s][^\]]*\]|<[^>\s][^>]*>)\s*(.*)$/.exec(line);
+            if (!match) {
+                errors.push(`Line ${i + 1}: expected a tag like [happy] or <anim:wave>`);
+                return;
+            }
+
+            const entry = { tag: match[1], name: match[1].slice(1, -1).replace(/^\w+:/, '').trim() };
+            // Values may contain spaces (file paths), so each one runs until the next key=
+            const pairs = match[2].matchAll(/(\w+)=(.*?)(?=\s+\w+=|$)/g);
+            for (const [, key, value] of pairs) {
+                if (ACTION_KEYS.includes(key)) {
+                    entry[key] = value.trim();
+                } else {
+                    errors.push(`Line ${i + 1}: unknown key "${key}"`);
+                }
+            }
+
+            if (!ACTION_KEYS.some(key => entry[key])) {
+                errors.push(`Line ${i + 1}: ${entry.tag} has no expression, motion or animation`);
+                return;
+            }
+            entries.push(entry);
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * System prompt line listing the tags the model may use
+     * @param {Array} entries - Vocabulary entries
+     * @returns {string} - Empty when there are no tags
+     */
+    static describeForPrompt(entries) {
+        if (!entries.length) return '';
+        const tags = entries.map(entry => entry.tag).join(' ');
+        return `[You can show emotions and gestures by writing these tags inline, right where they happen: ${tags}. ` +
+            'They are acted out by your avatar, never read aloud. Use them sparingly and no other markup.]';
+    }
+
+    /**
+     * @param {Array} entries - Vocabulary entries from parseVocabulary()
+     */
+    constructor(entries = []) {
+        this.tags = new Map(entries.map(entry => [normalizeTag(entry.tag), entry]));
+        this.pending = '';
+        this.endsWithSpace = true; // Last character released so far was whitespace (or nothing yet)
+        this.dropSpace = false; // A tag was just removed between two spaces
+    }
+
+    /**
+     * Could this unfinished text still become a tag once more chunks arrive?
+     * @private
+     */
+    isTagPrefix(text) {
+        if (text.length >= MAX_TAG_LENGTH || text.includes('\n')) return false;
+        const normalized = normalizeTag(text);
+        for (const tag of this.tags.keys()) {
+            if (tag.startsWith(normalized)) return true;
+        }
+        return text.startsWith('<') && UNKNOWN_MARKUP_PREFIX.test(text);
+    }
+
+    /**
+     * Strip tags from the next streamed chunk. A tag split across chunks is held back until it completes.
+     * @param {string} chunk - New text from the model
+     * @param {boolean} final - No more text is coming (release anything held back)
+     * @returns {{ text: string, tags: Array }} - Clean text, and tags as { at, entry } with `at` an offset into that text
+     */
+    feed(chunk, final = false) {
+        const input = this.pending + chunk;
+        const tags = [];
+        let text = '';
+        let i = 0;
+
+        this.pending = '';
+
+        while (i < input.length) {
+            // "Hi [happy] there" → "Hi there", even when the tag ended a chunk
+            if (this.dropSpace) {
+                this.dropSpace = false;
+                if (/\s/.test(input[i])) {
+                    i++;
+                    continue;
+                }
+            }
+
+            const open = input.slice(i).search(/[[<]/);
+            if (open === -1) {
+                text += input.slice(i);
+                break;
+            }
+            text += input.slice(i, i + open);
+            i += open;
+
+            const closeChar = input[i] === '[' ? ']' : '>';
+            const close = input.indexOf(closeChar, i + 1);
+            const candidate = close === -1 ? input.slice(i) : input.slice(i, close + 1);
+
+            if (close === -1 || close - i >= MAX_TAG_LENGTH) {
+                // Maybe the rest of the tag is in the next chunk
+                if (!final && close === -1 && this.isTagPrefix(candidate)) {
+                    this.pending = candidate;
+                    break;
+                }
+                text += input[i++];
+                continue;
+            }
+
+            const entry = this.tags.get(normalizeTag(candidate));
+            if (entry || UNKNOWN_MARKUP.test(candidate)) {
+                if (entry) tags.push({ at: text.length, entry });
+                i = close + 1;
+                this.dropSpace = text ? /\s$/.test(text) : this.endsWithSpace;
+            } else {
+                text += input[i++];
+            }
+        }
+
+        if (text) this.endsWithSpace = /\s$/.test(text);
+        return { text, tags };
+    }
+
+    /**
+     * Release text held back at the end of the stream
+     * @returns {{ text: string, tags: Array }}
+     */
+    flush() {
+        return this.feed('', true);
+    }
+
+    /**
+     * Strip tags from a complete reply
+     * @param {string} text - Whole reply
+     * @returns {{ text: string, tags: Array }}
+     */
+    strip(text) {
+        this.pending = '';
+        this.endsWithSpace = true;
+        this.dropSpace = false;
+        return this.feed(text, true);
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * CharacterCard Utility
+ * Read and write Tavern / SillyTavern character cards: V1 and V2 JSON, and PNG
+ * images carrying the card as base64 JSON in a tEXt `chara` chunk
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Card fields a V2 reader expects even when empty
+const V2_DEFAULTS = {
+    creator_notes: '',
+    post_history_instructions: '',
+    alternate_greetings: [],
+    tags: [],
+    creator: '',
+    character_version: '',
+    extensions: {}
+};
+
+let crcTable = null;
+
+// CRC-32 over chunk type + data (PNG chunk checksum)
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// tEXt chunks are Latin-1; the card inside is base64 so this is plain ASCII in practice
+function bytesToLatin1(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+        text += String.fromCharCode(...bytes.subarray(i, i + 8192));
+    }
+    return text;
+}
+
+function latin1ToBytes(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+}
+
+export class CharacterCard {
+    /**
+     * Read a card from a .json or .png file
+     * @param {File|Blob} file - Card file
+     * @returns {Promise<object>} - Normalized card (see normalize)
+     */
+    static async fromFile(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const json = this.isPng(bytes)
+            ? this.readPngCard(bytes)
+            : new TextDecoder().decode(bytes);
+
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Card data is not valid JSON');
+        }
+        return this.normalize(data);
+    }
+
+    /**
+     * Check the PNG signature
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean}
+     */
+    static isPng(bytes) {
+        return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+    }
+
+    /**
+     * Extract the card JSON from a PNG's tEXt chunk (`chara`, falling back to V3's `ccv3`)
+     * @param {Uint8Array} bytes - PNG file contents
+     * @returns {string} - Card JSON
+     */
+    static readPngCard(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const texts = {};
+        let offset = PNG_SIGNATURE.length;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = bytesToLatin1(bytes.subarray(offset + 4, offset + 8));
+
+            if (type === 'tEXt') {
+                const data = bytes.subarray(offset + 8, offset + 8 + length);
+                const separator = data.indexOf(0);
+                if (separator > 0) {
+                    texts[bytesToLatin1(data.subarray(0, separator))] = bytesToLatin1(data.subarray(separator + 1));
+                }
+            }
+            if (type === 'IEND') break;
+            offset += 12 + length; // length + type + data + crc
+        }
+
+        const base64 = texts.chara || texts.ccv3;
+        if (!base64) {
+            throw new Error('No character data found in this PNG');
+        }
+        return new TextDecoder().decode(latin1ToBytes(atob(base64)));
+    }
+
+    /**
+     * Bring V1 (flat) and V2/V3 (`data` wrapper) cards to one shape
+     * @param {object} raw - Parsed card JSON
+     * @returns {object} - { name, description, personality, scenario, firstMessage, exampleDialogue, systemPrompt, data }
+     */
+    static normalize(raw) {
+        const isWrapped = raw && typeof raw.data === 'object' && raw.data !== null &&
+            (/^chara_card_v[23]$/.test(raw.spec || '') || typeof raw.data.name === 'string');
+        const data = isWrapped ? raw.data : raw;
+
+        if (!data || typeof data.name !== 'string' || !data.name.trim()) {
+            throw new Error('Not a character card (missing name)');
+        }
+
+        return {
+            name: data.name.trim(),
+            description: data.description || '',
+            personality: data.personality || '',
+            scenario: data.scenario || '',
+            firstMessage: data.first_mes || '',
+            exampleDialogue: data.mes_example || '',
+            systemPrompt: data.system_prompt || '',
+            data // Everything else (tags, creator, extensions...) so export can round-trip it
+        };
+    }
+
+    /**
+     * Turn old-style <BOT>/<USER> macros into {{char}}/{{user}} placeholders. Names aren't filled
+     * in here - the prompt template does that per request, so renaming later still applies.
+     * @param {string} text - Card text
+     * @returns {string}
+     */
+    static normalizeMacros(text) {
+        return (text || '')
+            .replace(/\{\{char\}\}|<BOT>/gi, '{{char}}')
+            .replace(/\{\{user\}\}|<USER>/gi, '{{user}}');
+    }
+
+    /**
+     * Map a card onto the app's character settings
+     * description, personality, scenario and example dialogue → characterPersonality;
+     * the card's system prompt (if any) → systemPrompt; first_mes → characterFirstMessage
+     * @param {object} card - Normalized card
+     * @param {object} options
+     * @param {string} options.systemPrompt - Current system prompt (kept when the card has none, or via {{original}})
+     * @returns {{ characterName: string, characterPersonality: string, systemPrompt: string, characterFirstMessage: string }}
+     */
+    static toSettings(card, { systemPrompt = '' } = {}) {
+        const normalize = (text) => this.normalizeMacros(text);
+        const examples = card.exampleDialogue.replace(/<START>/gi, '').trim();
+
+        const personality = [
+            card.description,
+            card.personality && `Personality: ${card.personality}`,
+            card.scenario && `Scenario: ${card.scenario}`,
+            examples && `Example dialogue (for style only, do not repeat):\n${examples}`
+        ].filter(Boolean).join('\n\n');
+
+        const prompt = card.systemPrompt
+            ? card.systemPrompt.replace(/\{\{original\}\}/gi, systemPrompt)
+            : systemPrompt;
+
+        return {
+            characterName: card.name,
+            characterPersonality: normalize(personality).trim(),
+            systemPrompt: normalize(prompt).trim(),
+            characterFirstMessage: normalize(card.firstMessage).trim()
+        };
+    }
+
+    /**
+     * Build a V2 card (with V1 fields mirrored at the top level for older readers)
+     * @param {object} character
+     * @param {string} character.name - Character name
+     * @param {string} character.personality - Becomes the card description
+     * @param {string} character.systemPrompt - Card system prompt
+     * @param {string} character.firstMessage - Greeting
+     * @param {object} base - Card data from the last import, kept for fields the app doesn't edit
+     * @returns {object} - Card JSON
+     */
+    static toV2({ name, personality, systemPrompt, firstMessage }, base = {}) {
+        const data = {
+            ...V2_DEFAULTS,
+            ...base,
+            name,
+            description: personality || '',
+            personality: '', // Folded into the description on import
+            scenario: '',
+            first_mes: firstMessage || '',
+            mes_example: '',
+            system_prompt: systemPrompt || ''
+        };
+
+        return {
+            spec: 'chara_card_v2',
+            spec_version: '2.0',
+            name: data.name,
+            description: data.description,
+            personality: data.personality,
+            scenario: data.scenario,
+            first_mes: data.first_mes,
+            mes_example: data.mes_example,
+            data
+        };
+    }
+
+    /**
+     * Write a card into a PNG as a tEXt `chara` chunk (replacing any existing card chunks)
+     * @param {Uint8Array} pngBytes - Image to carry the card
+     * @param {object} card - Card JSON
+     * @returns {Uint8Array} - New PNG bytes
+     */
+    static embedInPng(pngBytes, card) {
+        if (!this.isPng(pngBytes)) {
+            throw new Error('Card image must be a PNG');
+        }
+
+        const utf8 = new TextEncoder().encode(JSON.stringify(card));
+        const text = latin1ToBytes(`chara\0${btoa(bytesToLatin1(utf8))}`);
+
+        // tEXt chunk: length, type, data, crc(type + data)
+        const chunk = new Uint8Array(12 + text.length);
+        const chunkView = new DataView(chunk.buffer);
+        chunkView.setUint32(0, text.length);
+        chunk.set(latin1ToBytes('tEXt'), 4);
+        chunk.set(text, 8);
+        chunkView.setUint32(8 + text.length, crc32(chunk.subarray(4, 8 + text.length)));
+
+        const view = new DataView(pngBytes.buffer, pngBytes.byteOffset, pngBytes.byteLength);
+        const parts = [pngBytes.subarray(0, PNG_SIGNATURE.length)];
+        let offset = PNG_SIGNATURE.length;
+
+        while (offset + 8 <= pngBytes.length) {
+            const length = view.getUint32(offset);
+            const type = bytesToLatin1(pngBytes.subarray(offset + 4, offset + 8));
+            const whole = pngBytes.subarray(offset, offset + 12 + length);
+
+            if (type === 'IEND') {
+                parts.push(chunk, whole);
+                break;
+            }
+
+            const data = pngBytes.subarray(offset + 8, offset + 8 + length);
+            const keyword = type === 'tEXt' ? bytesToLatin1(data.subarray(0, data.indexOf(0))) : '';
+            if (keyword !== 'chara' && keyword !== 'ccv3') {
+                parts.push(whole);
+            }
+            offset += 12 + length;
+        }
+
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * CharacterCast
+ * Several characters sharing one conversation: who the user is talking to,
+ * who speaks next during banter, and how each character sees the others' lines
+ */
+
+// The character from Character & Personality settings (also owns untagged legacy memories)
+export const PRIMARY_CHARACTER_ID = 'primary';
+
+export class CharacterCast {
+    /**
+     * @param {object} primary - Main character ({ name, personality, ... })
+     * @param {Array} members - Extra cast members from SettingsManager.getCastMembers()
+     */
+    constructor(primary, members = []) {
+        this.characters = [
+            { memoryScope: 'shared', ...primary, id: PRIMARY_CHARACTER_ID },
+            ...members.filter(member => member && member.id && member.name)
+        ];
+    }
+
+    /**
+     * Whether more than one character is on stage
+     * @returns {boolean}
+     */
+    get isEnsemble() {
+        return this.characters.length > 1;
+    }
+
+    /**
+     * Get a character by id (unknown ids fall back to the primary character)
+     * @param {string} id - Character id
+     * @returns {object}
+     */
+    get(id) {
+        return this.characters.find(character => character.id === id) || this.characters[0];
+    }
+
+    /**
+     * Character mentioned by name in a line ("Mika, what do you think?")
+     * The earliest mention wins
+     * @param {string} text - User message or previous reply
+     * @param {string|null} excludeId - Character to ignore (e.g. the one who said it)
+     * @returns {object|null}
+     */
+    findAddressed(text, excludeId = null) {
+        let found = null;
+        let foundAt = Infinity;
+
+        for (const character of this.characters) {
+            if (character.id === excludeId || !character.name) continue;
+
+            const name = character.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = new RegExp(`(^|[^\\p{L}\\p{N}])${name}(?![\\p{L}\\p{N}])`, 'iu').exec(text || '');
+            if (match && match.index < foundAt) {
+                found = character;
+                foundAt = match.index;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Who speaks after `currentId` in banter: whoever they addressed, else the next in cast order
+     * @param {string} currentId - Character who just spoke
+     * @param {string} lastLine - What they said
+     * @returns {object}
+     */
+    nextSpeaker(currentId, lastLine) {
+        const addressed = this.findAddressed(lastLine, currentId);
+        if (addressed) return addressed;
+
+        const index = this.characters.findIndex(character => character.id === currentId);
+        return this.characters[(index + 1) % this.characters.length];
+    }
+
+    /**
+     * History from one character's point of view: its own replies stay `assistant`,
+     * other characters' replies become labelled `user` turns so the model doesn't speak for them
+     * @param {Array} history - Conversation history (assistant messages carry characterId/speaker)
+     * @param {string} characterId - Character about to reply
+     * @returns {Array}
+     */
+    formatHistoryFor(history, characterId) {
+        if (!this.isEnsemble) return history;
+
+        return history.map(message => {
+            if (message.role !== 'assistant') return message;
+
+            const speakerId = message.characterId || PRIMARY_CHARACTER_ID;
+            if (speakerId === characterId) return message;
+
+            const speaker = message.speaker || this.get(speakerId).name;
+            return { role: 'user', content: `[${speaker}]: ${message.content}` };
+        });
+    }
+
+    /**
+     * Prompt line telling a character who else is present
+     * @param {string} characterId - Character about to reply
+     * @returns {string} - Empty when the character is alone
+     */
+    describeOthers(characterId) {
+        if (!this.isEnsemble) return '';
+
+        const self = this.get(characterId);
+        const others = this.characters.filter(character => character.id !== self.id).map(character => character.name);
+        return `[Also in this conversation: ${others.join(', ')}. Their lines appear as "[Name]: ...". Speak only as ${self.name}, never for the others.]`;
+    }
+}
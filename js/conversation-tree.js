@@ -0,0 +1,188 @@
+/**
+ * ConversationTree
+ * Branching chat transcript: regenerating or editing a turn adds a sibling branch
+ * instead of overwriting, and the active path is what gets sent to the LLM
+ */
+
+const ROOT_ID = 'root';
+
+export class ConversationTree {
+    constructor() {
+        this.nodes = new Map();
+        this.nodes.set(ROOT_ID, this.createNode(ROOT_ID, null, null));
+        this.activeLeafId = ROOT_ID;
+        this.nextId = 1;
+    }
+
+    /**
+     * @private
+     */
+    createNode(id, parentId, message) {
+        return {
+            id,
+            parentId,
+            childIds: [],
+            activeChildId: null, // Remembered so switching back to a branch restores its latest turn
+            createdAt: Date.now(),
+            message
+        };
+    }
+
+    /**
+     * Number of messages in the tree (all branches)
+     * @returns {number}
+     */
+    get size() {
+        return this.nodes.size - 1;
+    }
+
+    /**
+     * Get a node by id
+     * @param {string} id - Node id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.nodes.get(id);
+    }
+
+    /**
+     * Add a message after the active leaf and make it the new leaf
+     * The message object is stored by reference and tagged with `nodeId`
+     * @param {object} message - { role, content, ... }
+     * @returns {object} - New node
+     */
+    append(message) {
+        const id = `n${this.nextId++}`;
+        const parent = this.nodes.get(this.activeLeafId);
+        const node = this.createNode(id, parent.id, message);
+
+        message.nodeId = id;
+        this.nodes.set(id, node);
+        parent.childIds.push(id);
+        parent.activeChildId = id;
+        this.activeLeafId = id;
+        return node;
+    }
+
+    /**
+     * Messages from the first turn to the active leaf
+     * @returns {Array} - Nodes in order (root excluded)
+     */
+    getActivePath() {
+        const path = [];
+        let node = this.nodes.get(this.activeLeafId);
+        while (node && node.id !== ROOT_ID) {
+            path.unshift(node);
+            node = this.nodes.get(node.parentId);
+        }
+        return path;
+    }
+
+    /**
+     * Move the active leaf (e.g. back to before a turn that is being regenerated)
+     * @param {string|null} id - Node id, or null for the empty root
+     */
+    setActiveLeaf(id) {
+        const target = id && this.nodes.has(id) ? id : ROOT_ID;
+        this.activeLeafId = target;
+
+        // Point every ancestor at this branch
+        let node = this.nodes.get(target);
+        while (node && node.parentId) {
+            this.nodes.get(node.parentId).activeChildId = node.id;
+            node = this.nodes.get(node.parentId);
+        }
+    }
+
+    /**
+     * Parent id of a node (null when the parent is the root)
+     * @param {string} id - Node id
+     * @returns {string|null}
+     */
+    getParentId(id) {
+        const parentId = this.nodes.get(id)?.parentId;
+        return parentId && parentId !== ROOT_ID ? parentId : null;
+    }
+
+    /**
+     * Position of a node among its alternatives
+     * @param {string} id - Node id
+     * @returns {{index: number, total: number}}
+     */
+    getSiblingInfo(id) {
+        const node = this.nodes.get(id);
+        const parent = node ? this.nodes.get(node.parentId) : null;
+        if (!parent) return { index: 0, total: 1 };
+        return { index: parent.childIds.indexOf(id), total: parent.childIds.length };
+    }
+
+    /**
+     * Switch to a neighbouring branch and follow it down to its latest turn
+     * @param {string} id - Node whose sibling to switch to
+     * @param {number} offset - -1 for previous, +1 for next
+     * @returns {boolean} - Whether the active path changed
+     */
+    switchSibling(id, offset) {
+        const node = this.nodes.get(id);
+        const parent = node ? this.nodes.get(node.parentId) : null;
+        if (!parent) return false;
+
+        const index = parent.childIds.indexOf(id) + offset;
+        if (index < 0 || index >= parent.childIds.length) return false;
+
+        let leaf = this.nodes.get(parent.childIds[index]);
+        while (leaf.activeChildId) {
+            leaf = this.nodes.get(leaf.activeChildId);
+        }
+        this.setActiveLeaf(leaf.id);
+        return true;
+    }
+
+    /**
+     * Serialize for export (messages included)
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            version: 1,
+            nextId: this.nextId,
+            activeLeafId: this.activeLeafId,
+            nodes: Array.from(this.nodes.values())
+        };
+    }
+
+    /**
+     * Rebuild a tree from toJSON() output
+     * @param {object} data - Serialized tree
+     * @returns {ConversationTree}
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.nodes) || !data.nodes.some(node => node.id === ROOT_ID)) {
+            throw new Error('Invalid conversation tree');
+        }
+
+        const tree = new ConversationTree();
+        tree.nodes.clear();
+        data.nodes.forEach(node => {
+            if (node.message) node.message.nodeId = node.id;
+            tree.nodes.set(node.id, {
+                ...node,
+                childIds: Array.isArray(node.childIds) ? node.childIds : []
+            });
+        });
+        tree.nextId = data.nextId || tree.nodes.size;
+        tree.setActiveLeaf(data.activeLeafId);
+        return tree;
+    }
+
+    /**
+     * Build a single-branch tree from a flat message list
+     * @param {Array} messages - Chronological messages
+     * @returns {ConversationTree}
+     */
+    static fromMessages(messages) {
+        const tree = new ConversationTree();
+        messages.forEach(message => tree.append(message));
+        return tree;
+    }
+}
@@ -0,0 +1,319 @@
+/**
+ * HNSWIndex
+ * Approximate nearest-neighbour search over normalized embeddings (Hierarchical Navigable
+ * Small World graph). Insert and delete are incremental; nodes serialize to plain records
+ * so the graph can be kept in IndexedDB instead of being rebuilt on every load.
+ */
+
+// Embeddings are normalized, so the dot product is the cosine similarity
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// Keep a list sorted by similarity (best first) without re-sorting it on every insert
+function insertSorted(list, entry) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (list[mid].similarity > entry.similarity) low = mid + 1;
+        else high = mid;
+    }
+    list.splice(low, 0, entry);
+}
+
+export class HNSWIndex {
+    /**
+     * @param {object} options
+     * @param {number} options.M - Links per node on upper layers (twice as many on layer 0)
+     * @param {number} options.efConstruction - Candidate list size while inserting (higher = better graph, slower inserts)
+     * @param {number} options.efSearch - Default candidate list size while searching
+     */
+    constructor({ M = 16, efConstruction = 100, efSearch = 100 } = {}) {
+        this.M = M;
+        this.efConstruction = efConstruction;
+        this.efSearch = efSearch;
+        this.levelMultiplier = 1 / Math.log(M);
+        this.nodes = new Map(); // id -> { id, vector: Float32Array, level, neighbors: number[][], meta }
+        this.backLinks = new Map(); // id -> Set of node ids linking to it (links are one-way once shrunk)
+        this.entryPoint = null;
+        this.maxLevel = -1;
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    has(id) {
+        return this.nodes.has(id);
+    }
+
+    /**
+     * Insert (or replace) a vector
+     * @param {number|string} id - Record id
+     * @param {Array<number>|Float32Array} vector - Normalized embedding
+     * @param {object} meta - Stored with the node and passed to search filters
+     * @returns {Set} - Ids of nodes whose links changed (to persist)
+     */
+    add(id, vector, meta = {}) {
+        const changed = this.has(id) ? this.remove(id) : new Set();
+        const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+        const node = {
+            id,
+            vector: vector instanceof Float32Array ? vector : Float32Array.from(vector),
+            level,
+            neighbors: Array.from({ length: level + 1 }, () => []),
+            meta
+        };
+        this.nodes.set(id, node);
+        changed.add(id);
+
+        if (this.entryPoint === null) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return changed;
+        }
+
+        // Greedy descent through the layers above the new node's top layer
+        let entries = [this.describe(this.entryPoint, node.vector)];
+        for (let l = this.maxLevel; l > level; l--) {
+            entries = this.searchLayer(node.vector, entries, 1, l);
+        }
+
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const candidates = this.searchLayer(node.vector, entries, this.efConstruction, l);
+            this.setLinks(node, l, this.selectNeighbors(candidates, this.maxLinks(l)));
+
+            for (const neighborId of node.neighbors[l]) {
+                const neighbor = this.nodes.get(neighborId);
+                this.setLinks(neighbor, l, [...neighbor.neighbors[l], id]);
+                if (neighbor.neighbors[l].length > this.maxLinks(l)) {
+                    this.shrinkLinks(neighbor, l);
+                }
+                changed.add(neighborId);
+            }
+            entries = candidates;
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+        }
+        return changed;
+    }
+
+    /**
+     * Delete a vector, reconnecting its neighbours (and every node that linked to it) around the gap
+     * @param {number|string} id - Record id
+     * @returns {Set} - Ids of nodes whose links changed (the deleted id included)
+     */
+    remove(id) {
+        const changed = new Set();
+        const node = this.nodes.get(id);
+        if (!node) return changed;
+
+        this.nodes.delete(id);
+        changed.add(id);
+        node.neighbors.flat().forEach(targetId => this.backLinks.get(targetId)?.delete(id));
+        const linkedFrom = new Set([...node.neighbors.flat(), ...(this.backLinks.get(id) || [])]);
+        this.backLinks.delete(id);
+
+        linkedFrom.forEach(neighborId => {
+            const neighbor = this.nodes.get(neighborId);
+            if (!neighbor) return;
+
+            neighbor.neighbors.forEach((links, l) => {
+                const orphaned = node.neighbors[l] || [];
+                if (!links.includes(id) && !orphaned.includes(neighborId)) return;
+
+                const kept = links.filter(linkId => linkId !== id && this.nodes.has(linkId));
+                const pool = new Set([...kept, ...orphaned.filter(linkId => linkId !== neighborId && this.nodes.has(linkId))]);
+                const candidates = Array.from(pool, linkId => this.describe(linkId, neighbor.vector))
+                    .sort((a, b) => b.similarity - a.similarity);
+                this.setLinks(neighbor, l, this.selectNeighbors(candidates, this.maxLinks(l)));
+                changed.add(neighborId);
+            });
+        });
+
+        if (this.entryPoint === id) {
+            // Highest remaining node becomes the new entry point
+            this.entryPoint = null;
+            this.maxLevel = -1;
+            this.nodes.forEach(other => {
+                if (other.level > this.maxLevel) {
+                    this.entryPoint = other.id;
+                    this.maxLevel = other.level;
+                }
+            });
+        }
+        return changed;
+    }
+
+    /**
+     * Nearest vectors to a query
+     * @param {Array<number>|Float32Array} vector - Normalized query embedding
+     * @param {number} k - How many to return
+     * @param {object} options
+     * @param {number} options.ef - Candidate list size (higher = better recall, slower)
+     * @param {Function} options.filter - (meta) => boolean, only matching nodes are returned
+     * @returns {Array<{ id: number|string, similarity: number }>} - Best first
+     */
+    search(vector, k, { ef = this.efSearch, filter = null } = {}) {
+        if (this.entryPoint === null || k <= 0) return [];
+        const query = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+
+        let entries = [this.describe(this.entryPoint, query)];
+        for (let l = this.maxLevel; l > 0; l--) {
+            entries = this.searchLayer(query, entries, 1, l);
+        }
+
+        const found = this.searchLayer(query, entries, Math.max(ef, k), 0)
+            .filter(entry => !filter || filter(this.nodes.get(entry.id).meta));
+        if (found.length >= k || !filter) {
+            return found.slice(0, k);
+        }
+
+        // A narrow filter (e.g. one character's memories) can leave too few in the candidate
+        // list - those nodes are few by definition, so scan them directly
+        const scanned = [];
+        this.nodes.forEach(node => {
+            if (filter(node.meta)) scanned.push({ id: node.id, similarity: dot(query, node.vector) });
+        });
+        return scanned.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+    }
+
+    /**
+     * Node as a plain record for storage (vector stays a Float32Array)
+     * @param {number|string} id - Record id
+     * @returns {object|null}
+     */
+    toRecord(id) {
+        const node = this.nodes.get(id);
+        return node ? { id: node.id, vector: node.vector, level: node.level, neighbors: node.neighbors, meta: node.meta } : null;
+    }
+
+    /**
+     * Graph-level state for storage
+     * @returns {object}
+     */
+    getState() {
+        return { entryPoint: this.entryPoint, maxLevel: this.maxLevel, M: this.M, efConstruction: this.efConstruction, size: this.size };
+    }
+
+    /**
+     * Restore an index saved with getState() and toRecord()
+     * @param {object} state - From getState()
+     * @param {Array<object>} records - From toRecord()
+     * @param {object} options - Constructor options (efSearch...)
+     * @returns {HNSWIndex}
+     */
+    static fromRecords(state, records, options = {}) {
+        const index = new HNSWIndex({ ...options, M: state.M, efConstruction: state.efConstruction });
+        records.forEach(record => index.nodes.set(record.id, { ...record, neighbors: [], meta: record.meta || {} }));
+        records.forEach(record => {
+            const node = index.nodes.get(record.id);
+            record.neighbors.forEach((links, l) => index.setLinks(node, l, links));
+        });
+        index.entryPoint = index.nodes.has(state.entryPoint) ? state.entryPoint : null;
+        index.maxLevel = index.entryPoint === null ? -1 : state.maxLevel;
+        return index;
+    }
+
+    /**
+     * @private
+     */
+    maxLinks(level) {
+        return level === 0 ? this.M * 2 : this.M;
+    }
+
+    /**
+     * @private
+     */
+    describe(id, query) {
+        return { id, similarity: dot(query, this.nodes.get(id).vector) };
+    }
+
+    /**
+     * Best-first search of one layer
+     * @private
+     */
+    searchLayer(query, entries, ef, level) {
+        const visited = new Set(entries.map(entry => entry.id));
+        const candidates = [...entries].sort((a, b) => b.similarity - a.similarity);
+        const results = [...candidates].slice(0, ef);
+
+        while (candidates.length > 0) {
+            const current = candidates.shift();
+            if (results.length >= ef && current.similarity < results[results.length - 1].similarity) break;
+
+            const node = this.nodes.get(current.id);
+            for (const neighborId of node.neighbors[level] || []) {
+                if (visited.has(neighborId)) continue;
+                visited.add(neighborId);
+                if (!this.nodes.has(neighborId)) continue; // Stale link to a deleted node
+
+                const entry = this.describe(neighborId, query);
+                if (results.length < ef || entry.similarity > results[results.length - 1].similarity) {
+                    insertSorted(candidates, entry);
+                    insertSorted(results, entry);
+                    if (results.length > ef) results.pop();
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Neighbour selection heuristic: skip candidates that are closer to an already chosen
+     * neighbour than to the node, so links spread out instead of all pointing into one cluster
+     * @private
+     */
+    selectNeighbors(candidates, max) {
+        const selected = [];
+        const skipped = [];
+        for (const candidate of candidates) {
+            if (selected.length >= max) break;
+            const vector = this.nodes.get(candidate.id).vector;
+            const redundant = selected.some(chosen => dot(vector, this.nodes.get(chosen.id).vector) > candidate.similarity);
+            (redundant ? skipped : selected).push(candidate);
+        }
+        // Fill up with the closest skipped ones so sparse regions stay connected
+        for (const candidate of skipped) {
+            if (selected.length >= max) break;
+            selected.push(candidate);
+        }
+        return selected.map(candidate => candidate.id);
+    }
+
+    /**
+     * Drop the farthest link of an over-full node (plain distance - the heuristic is too slow
+     * to run for every neighbour of every insert)
+     * @private
+     */
+    shrinkLinks(node, level) {
+        this.setLinks(node, level, node.neighbors[level]
+            .filter(id => this.nodes.has(id))
+            .map(id => this.describe(id, node.vector))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, this.maxLinks(level))
+            .map(entry => entry.id));
+    }
+
+    /**
+     * Replace a node's links on one layer, keeping backLinks in step
+     * @private
+     */
+    setLinks(node, level, ids) {
+        const previous = node.neighbors[level] || [];
+        node.neighbors[level] = ids;
+        previous.forEach(targetId => {
+            if (!node.neighbors.some(links => links.includes(targetId))) this.backLinks.get(targetId)?.delete(node.id);
+        });
+        ids.forEach(targetId => {
+            if (!this.backLinks.has(targetId)) this.backLinks.set(targetId, new Set());
+            this.backLinks.get(targetId).add(node.id);
+        });
+    }
+}
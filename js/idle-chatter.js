@@ -0,0 +1,127 @@
+/**
+ * IdleChatter
+ * Decides when the character should speak up on its own: after the user has been quiet
+ * for a while, outside quiet hours, at most a few times an hour, and never while busy
+ */
+
+const CHECK_INTERVAL_MS = 15000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export class IdleChatter {
+    /**
+     * @param {object} options
+     * @param {Function} options.onIdle - async () => void, generates the line. The next check waits for it.
+     * @param {Function} options.isBusy - () => boolean, true while recording, speaking or generating
+     */
+    constructor({ onIdle, isBusy }) {
+        this.onIdle = onIdle;
+        this.isBusy = isBusy || (() => false);
+        this.enabled = false;
+        this.idleMinutes = 5;
+        this.maxPerHour = 2;
+        this.quietStart = null; // Minutes after midnight, null = no quiet hours
+        this.quietEnd = null;
+        this.lastActivityAt = Date.now();
+        this.firedAt = []; // Timestamps of lines in the last hour
+        this.running = false;
+        this.timerId = null;
+    }
+
+    /**
+     * Apply settings (starts or stops the timer)
+     * @param {object} settings
+     * @param {boolean} settings.enabled
+     * @param {number} settings.idleMinutes - Silence before speaking up
+     * @param {number} settings.maxPerHour - Cap on unprompted lines per hour
+     * @param {string} settings.quietStart - "HH:MM", empty for no quiet hours
+     * @param {string} settings.quietEnd - "HH:MM"
+     */
+    configure({ enabled, idleMinutes, maxPerHour, quietStart, quietEnd }) {
+        this.enabled = enabled;
+        this.idleMinutes = Math.max(1, idleMinutes);
+        this.maxPerHour = Math.max(1, maxPerHour);
+        this.quietStart = IdleChatter.parseTime(quietStart);
+        this.quietEnd = IdleChatter.parseTime(quietEnd);
+
+        if (enabled && !this.timerId) {
+            this.noteActivity();
+            this.timerId = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+        } else if (!enabled && this.timerId) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * The user did something (sent a message, started recording...) - restart the silence clock
+     * @param {number} now - Timestamp
+     */
+    noteActivity(now = Date.now()) {
+        this.lastActivityAt = now;
+    }
+
+    /**
+     * Whether a line is due (ignores isBusy)
+     * @param {Date} now
+     * @returns {boolean}
+     */
+    isDue(now = new Date()) {
+        const time = now.getTime();
+        this.firedAt = this.firedAt.filter(at => at > time - HOUR_MS);
+
+        return this.enabled &&
+            time - this.lastActivityAt >= this.idleMinutes * 60000 &&
+            this.firedAt.length < this.maxPerHour &&
+            !this.isQuietTime(now);
+    }
+
+    /**
+     * Whether a time falls in quiet hours (ranges may wrap past midnight, e.g. 23:00-08:00)
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    isQuietTime(date) {
+        if (this.quietStart === null || this.quietEnd === null || this.quietStart === this.quietEnd) return false;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return this.quietStart < this.quietEnd
+            ? minutes >= this.quietStart && minutes < this.quietEnd
+            : minutes >= this.quietStart || minutes < this.quietEnd;
+    }
+
+    /**
+     * "HH:MM" to minutes after midnight
+     * @param {string} text
+     * @returns {number|null} - null if empty or invalid
+     */
+    static parseTime(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec((text || '').trim());
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    /**
+     * @private
+     */
+    async check() {
+        if (this.running) return;
+
+        // Time spent recording, talking or thinking isn't silence
+        if (this.isBusy()) {
+            this.noteActivity();
+            return;
+        }
+        if (!this.isDue()) return;
+
+        this.running = true;
+        this.firedAt.push(Date.now());
+        try {
+            await this.onIdle();
+        } catch (error) {
+            console.error('❌ Idle chatter failed:', error);
+        } finally {
+            this.running = false;
+            this.noteActivity(); // Another full silence before the next one
+        }
+    }
+}
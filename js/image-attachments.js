@@ -0,0 +1,126 @@
+/**
+ * ImageAttachments Utility
+ * Images for vision models: pasted/dropped/picked files and screen captures, downscaled
+ * to JPEG data URLs, plus conversion to OpenAI and Anthropic message content
+ */
+
+// Long side in pixels - enough for vision models, small enough for IndexedDB and request bodies
+const MAX_IMAGE_SIZE = 1024;
+const JPEG_QUALITY = 0.85;
+
+// Model names that take image input (used when the provider doesn't say)
+const VISION_MODEL_PATTERN = /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|\bo[13](?!-mini)\b|\bo4\b|claude-(3|sonnet-4|opus-4|haiku-4)|gemini|gemma-?3|llava|bakllava|-vl\b|-vision|vision-|pixtral|moondream|minicpm-v|qwen2\.5vl|grok-(2-vision|4)|llama-4|llama4/i;
+
+export class ImageAttachments {
+    /**
+     * Guess from the model name whether it accepts images
+     * @param {string} model - Model id
+     * @returns {boolean}
+     */
+    static looksLikeVisionModel(model) {
+        return VISION_MODEL_PATTERN.test(model || '');
+    }
+
+    /**
+     * Read an image file, downscaled to a JPEG data URL
+     * @param {File|Blob} file - Image file
+     * @returns {Promise<{ dataUrl: string, name: string, width: number, height: number }>}
+     */
+    static async fromFile(file) {
+        if (!file.type.startsWith('image/')) {
+            throw new Error(`${file.name || 'File'} is not an image`);
+        }
+
+        const bitmap = await createImageBitmap(file);
+        try {
+            return this.fromSource(bitmap, bitmap.width, bitmap.height, file.name || 'image');
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Let the user pick a screen, window or tab and grab one frame of it
+     * @returns {Promise<{ dataUrl: string, name: string, width: number, height: number }>}
+     */
+    static async captureScreen() {
+        if (!navigator.mediaDevices?.getDisplayMedia) {
+            throw new Error('Screen capture is not supported in this browser');
+        }
+
+        const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+        const video = document.createElement('video');
+        try {
+            video.srcObject = stream;
+            video.muted = true;
+            await video.play();
+            // First frame can still be black right after the picker closes
+            await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+            return this.fromSource(video, video.videoWidth, video.videoHeight, 'screenshot');
+        } finally {
+            video.pause();
+            video.srcObject = null;
+            stream.getTracks().forEach(track => track.stop());
+        }
+    }
+
+    /**
+     * Draw an image/video/bitmap onto a canvas no larger than MAX_IMAGE_SIZE and encode it
+     * @private
+     */
+    static fromSource(source, width, height, name) {
+        if (!width || !height) {
+            throw new Error('Image has no pixels');
+        }
+
+        const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff'; // JPEG has no alpha - transparent PNGs would turn black
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        return {
+            dataUrl: canvas.toDataURL('image/jpeg', JPEG_QUALITY),
+            name,
+            width: canvas.width,
+            height: canvas.height
+        };
+    }
+
+    /**
+     * OpenAI-style content: text part followed by image_url parts
+     * @param {string} text - Message text
+     * @param {Array} images - Attachments ({ dataUrl })
+     * @returns {Array}
+     */
+    static toContentParts(text, images) {
+        return [
+            { type: 'text', text: text || '' },
+            ...images.map(image => ({ type: 'image_url', image_url: { url: image.dataUrl } }))
+        ];
+    }
+
+    /**
+     * Anthropic content blocks from OpenAI-style content (string or parts)
+     * @param {string|Array} content - Message content
+     * @returns {Array}
+     */
+    static toAnthropicBlocks(content) {
+        if (!Array.isArray(content)) {
+            return [{ type: 'text', text: content || '' }];
+        }
+
+        return content.map(part => {
+            if (part.type !== 'image_url') return part;
+
+            const match = /^data:([^;]+);base64,(.*)$/.exec(part.image_url.url);
+            return match
+                ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+                : { type: 'image', source: { type: 'url', url: part.image_url.url } };
+        });
+    }
+}
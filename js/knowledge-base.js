@@ -0,0 +1,216 @@
+/**
+ * KnowledgeBase
+ * Lore / reference documents (Markdown, TXT, PDF) split into passages, embedded with the
+ * memory embedder and searched next to conversation memories (local RAG)
+ */
+
+export const KNOWLEDGE_STORE_NAME = 'knowledge';
+
+const PDFJS_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/pdf.min.mjs';
+const PDFJS_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/pdf.worker.min.mjs';
+
+const CHUNK_CHARS = 800;
+const CHUNK_OVERLAP_CHARS = 150;
+
+// Embeddings are normalized, so the dot product is the cosine similarity
+function dot(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// Cut at the last sentence or word break before maxChars
+function splitLongText(text, maxChars) {
+    const pieces = [];
+    let rest = text;
+    while (rest.length > maxChars) {
+        const window = rest.slice(0, maxChars);
+        const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+        const cut = sentenceEnd > maxChars / 2 ? sentenceEnd + 1 : window.lastIndexOf(' ') > maxChars / 2 ? window.lastIndexOf(' ') : maxChars;
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+export class KnowledgeBase {
+    /**
+     * @param {object} options
+     * @param {Function} options.embed - async (text) => number[]|null, normalized embedding
+     * @param {Function} options.onChange - Called after documents are added, removed or loaded
+     */
+    constructor({ embed, onChange } = {}) {
+        this.embed = embed;
+        this.onChange = onChange;
+        this.chunks = new Map(); // id -> { id, docId, docName, index, text, embedding, addedAt }
+        this.db = null;
+    }
+
+    /**
+     * Split text into overlapping passages, keeping paragraphs together where they fit
+     * @param {string} text - Document text
+     * @param {number} maxChars - Longest passage
+     * @param {number} overlapChars - Text repeated from the end of the previous passage
+     * @returns {Array<string>}
+     */
+    static chunkText(text, maxChars = CHUNK_CHARS, overlapChars = CHUNK_OVERLAP_CHARS) {
+        const paragraphs = text
+            .replace(/\r\n?/g, '\n')
+            .split(/\n\s*\n/)
+            .map(p => p.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .flatMap(p => splitLongText(p, maxChars));
+
+        const chunks = [];
+        let current = '';
+        for (const paragraph of paragraphs) {
+            if (current && current.length + paragraph.length + 1 > maxChars) {
+                chunks.push(current);
+                // Carry the tail over so a fact split across passages is still found
+                const tail = current.slice(-overlapChars);
+                const wordStart = tail.indexOf(' ');
+                current = wordStart >= 0 && tail.length === overlapChars ? tail.slice(wordStart + 1) : '';
+                if (current.length + paragraph.length + 1 > maxChars) current = '';
+            }
+            current = current ? `${current} ${paragraph}` : paragraph;
+        }
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Plain text of an uploaded file (PDF.js is loaded the first time a PDF is read)
+     * @param {File} file - .md, .markdown, .txt or .pdf
+     * @returns {Promise<string>}
+     */
+    static async extractText(file) {
+        const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+        if (!isPdf) return file.text();
+
+        const pdfjs = await import(PDFJS_URL);
+        pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+        const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            // hasEOL marks the end of a line; a blank line between pages keeps them apart when chunking
+            pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+        }
+        return pages.join('\n\n');
+    }
+
+    /**
+     * Load stored passages
+     * @param {IDBDatabase} db - Database with a KNOWLEDGE_STORE_NAME store
+     * @returns {Promise<void>}
+     */
+    attach(db) {
+        this.db = db;
+        return new Promise((resolve, reject) => {
+            const request = db.transaction([KNOWLEDGE_STORE_NAME], 'readonly').objectStore(KNOWLEDGE_STORE_NAME).getAll();
+            request.onsuccess = () => {
+                request.result.forEach(chunk => this.chunks.set(chunk.id, chunk));
+                this.onChange?.();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Read, chunk, embed and store a document
+     * @param {File} file - Uploaded file
+     * @param {Function} onProgress - (done, total) => void, called after each passage is embedded
+     * @returns {Promise<{ id: string, name: string, chunks: number }>}
+     */
+    async addDocument(file, onProgress = null) {
+        const text = await KnowledgeBase.extractText(file);
+        const passages = KnowledgeBase.chunkText(text);
+        if (passages.length === 0) throw new Error('No text found in the file');
+
+        const docId = `doc_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const addedAt = Date.now();
+        const chunks = [];
+        for (const [index, passage] of passages.entries()) {
+            const embedding = await this.embed(passage);
+            if (!embedding) throw new Error('Embedding model not loaded');
+            chunks.push({ id: `${docId}_${index}`, docId, docName: file.name, index, text: passage, embedding, addedAt });
+            onProgress?.(index + 1, passages.length);
+        }
+
+        await this.write(store => chunks.forEach(chunk => store.put(chunk)));
+        chunks.forEach(chunk => this.chunks.set(chunk.id, chunk));
+        this.onChange?.();
+        return { id: docId, name: file.name, chunks: chunks.length };
+    }
+
+    /**
+     * Delete a document and its passages
+     * @param {string} docId - Document id
+     * @returns {Promise<void>}
+     */
+    async removeDocument(docId) {
+        const ids = Array.from(this.chunks.values()).filter(chunk => chunk.docId === docId).map(chunk => chunk.id);
+        await this.write(store => ids.forEach(id => store.delete(id)));
+        ids.forEach(id => this.chunks.delete(id));
+        this.onChange?.();
+    }
+
+    /**
+     * Stored documents, newest first
+     * @returns {Array<{ id: string, name: string, chunks: number, chars: number, addedAt: number }>}
+     */
+    listDocuments() {
+        const documents = new Map();
+        this.chunks.forEach(chunk => {
+            const doc = documents.get(chunk.docId) || { id: chunk.docId, name: chunk.docName, chunks: 0, chars: 0, addedAt: chunk.addedAt };
+            doc.chunks++;
+            doc.chars += chunk.text.length;
+            documents.set(chunk.docId, doc);
+        });
+        return Array.from(documents.values()).sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    /**
+     * Passage by id
+     * @param {string} id - Chunk id
+     * @returns {object|null}
+     */
+    getChunk(id) {
+        return this.chunks.get(id) || null;
+    }
+
+    /**
+     * Passages most similar to a query embedding
+     * @param {Array<number>} queryEmbedding - Normalized embedding
+     * @param {number} topK - How many to return
+     * @param {number} minSimilarity - Leave out weaker matches
+     * @returns {Array<object>} - Chunks with a similarity field, best first
+     */
+    search(queryEmbedding, topK = 3, minSimilarity = 0.3) {
+        if (!queryEmbedding || this.chunks.size === 0) return [];
+
+        return Array.from(this.chunks.values())
+            .map(chunk => ({ ...chunk, similarity: dot(queryEmbedding, chunk.embedding) }))
+            .filter(chunk => chunk.similarity >= minSimilarity)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, topK);
+    }
+
+    /**
+     * @private
+     */
+    write(apply) {
+        if (!this.db) return Promise.reject(new Error('Knowledge base not loaded'));
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([KNOWLEDGE_STORE_NAME], 'readwrite');
+            apply(transaction.objectStore(KNOWLEDGE_STORE_NAME));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
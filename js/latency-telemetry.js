@@ -0,0 +1,186 @@
+/**
+ * LatencyTelemetry
+ * Timings for each chat turn (memory lookup, first token, first sentence, TTS synthesis,
+ * first audio) with rolling percentiles, render FPS, and a JSON export of the session
+ */
+
+// Metric -> label. "Since send" metrics are measured from the start of the turn, the rest are durations.
+export const LATENCY_METRICS = {
+    memory: 'Memory lookup',
+    ttft: 'LLM first token',
+    llm: 'LLM full reply',
+    firstSentence: 'First sentence (since send)',
+    synthesis: 'TTS synthesis',
+    audioStart: 'First audio (since send)',
+    turn: 'Reply done (since send)'
+};
+
+const MAX_TURNS = 500; // Kept for export
+const FPS_WINDOW_MS = 1000;
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+export class LatencyTelemetry {
+    /**
+     * @param {object} options
+     * @param {number} options.windowSize - Samples per metric used for percentiles
+     */
+    constructor({ windowSize = 50 } = {}) {
+        this.windowSize = windowSize;
+        this.sessionStartedAt = new Date().toISOString();
+        this.samples = {}; // metric -> [{ ms, at, ...meta }]
+        this.turns = [];
+        this.currentTurn = null;
+        this.nextTurnId = 1;
+        this.frameTimes = [];
+    }
+
+    /**
+     * Start timing a turn (a message sent to the AI)
+     * @param {object} meta - Anything worth exporting with the turn (provider, model...)
+     */
+    beginTurn(meta = {}) {
+        this.currentTurn = {
+            id: this.nextTurnId++,
+            startedAt: new Date().toISOString(),
+            start: performance.now(),
+            ...meta,
+            marks: {},
+            spans: []
+        };
+        this.turns.push(this.currentTurn);
+        if (this.turns.length > MAX_TURNS) this.turns.shift();
+    }
+
+    /**
+     * Time since the current turn started, recorded the first time only
+     * Marks keep attaching to the last turn after endTurn() - audio often starts after the reply is in
+     * @param {string} name - Metric name
+     */
+    mark(name) {
+        const turn = this.currentTurn;
+        if (!turn || turn.marks[name] !== undefined) return;
+
+        const ms = performance.now() - turn.start;
+        turn.marks[name] = Math.round(ms);
+        this.addSample(name, ms, { turn: turn.id });
+    }
+
+    /**
+     * Record a duration
+     * @param {string} name - Metric name
+     * @param {number} ms - Duration in milliseconds
+     * @param {object} meta - Extra fields for the export (provider, characters...)
+     */
+    record(name, ms, meta = {}) {
+        const turn = this.currentTurn;
+        turn?.spans.push({ name, ms: Math.round(ms), ...meta });
+        this.addSample(name, ms, { ...meta, turn: turn?.id });
+    }
+
+    /**
+     * Run an async function and record how long it took (failures are not recorded)
+     * @param {string} name - Metric name
+     * @param {Function} fn - Returns a promise
+     * @param {object} meta - Extra fields for the export
+     * @returns {Promise<*>} - fn's result
+     */
+    async time(name, fn, meta = {}) {
+        const start = performance.now();
+        const result = await fn();
+        this.record(name, performance.now() - start, meta);
+        return result;
+    }
+
+    /**
+     * Finish the current turn
+     * @param {object} meta - Outcome (status, provider/model that answered...)
+     */
+    endTurn(meta = {}) {
+        const turn = this.currentTurn;
+        if (!turn || turn.endedAt !== undefined) return;
+
+        Object.assign(turn, meta);
+        turn.endedAt = Math.round(performance.now() - turn.start);
+        this.addSample('turn', turn.endedAt, { turn: turn.id, status: meta.status });
+    }
+
+    /**
+     * Count a rendered frame (call once per requestAnimationFrame)
+     * @param {number} now - performance.now()
+     */
+    frame(now = performance.now()) {
+        this.frameTimes.push(now);
+        while (this.frameTimes.length && this.frameTimes[0] < now - FPS_WINDOW_MS) {
+            this.frameTimes.shift();
+        }
+    }
+
+    /**
+     * Frames rendered in the last second
+     * @returns {number}
+     */
+    get fps() {
+        return this.frameTimes.length;
+    }
+
+    /**
+     * Rolling statistics for a metric over the last windowSize samples
+     * @param {string} name - Metric name
+     * @returns {{ count: number, last: number|null, p50: number|null, p90: number|null, p95: number|null }}
+     */
+    stats(name) {
+        const window = (this.samples[name] || []).slice(-this.windowSize);
+        const sorted = window.map(sample => sample.ms).sort((a, b) => a - b);
+        return {
+            count: window.length,
+            last: window.length ? window[window.length - 1].ms : null,
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p95: percentile(sorted, 95)
+        };
+    }
+
+    /**
+     * Everything recorded this session, for comparing providers offline
+     * @returns {object}
+     */
+    toJSON() {
+        const stats = {};
+        Object.keys(this.samples).forEach(name => {
+            stats[name] = this.stats(name);
+        });
+
+        return {
+            exportedAt: new Date().toISOString(),
+            sessionStartedAt: this.sessionStartedAt,
+            userAgent: navigator.userAgent,
+            fps: this.fps,
+            stats,
+            turns: this.turns.map(({ start, ...turn }) => turn),
+            samples: this.samples
+        };
+    }
+
+    /**
+     * Forget all timings
+     */
+    clear() {
+        this.samples = {};
+        this.turns = [];
+        this.currentTurn = null;
+    }
+
+    /**
+     * @private
+     */
+    addSample(name, ms, meta) {
+        if (!this.samples[name]) this.samples[name] = [];
+        this.samples[name].push({ ms: Math.round(ms), at: new Date().toISOString(), ...meta });
+        if (this.samples[name].length > MAX_TURNS) this.samples[name].shift();
+    }
+}
@@ -465,17 +465,44 @@ export class Live2DManager {
         
         try {
             console.log(`🎬 Playing motion: ${motionName}`);
-            
+
+            const motionManager = this.currentModel.internalModel?.motionManager;
+            let started = null;
             if (this.currentModel.motion) {
-                this.currentModel.motion(motionName);
-            } else if (this.currentModel.internalModel?.motionManager) {
-                this.currentModel.internalModel.motionManager.startMotion(motionName, 0);
+                started = this.currentModel.motion(motionName);
+            } else if (motionManager) {
+                started = motionManager.startMotion(motionName, 0);
+            }
+
+            // Asked for explicitly (e.g. an avatar tag while speaking) - run just this motion
+            if (this._motionsDisabled && motionManager && this._originalMotionUpdate) {
+                Promise.resolve(started).then(ok => {
+                    if (ok && this._motionsDisabled) this.runMotionWhileDisabled(motionManager);
+                });
             }
         } catch (error) {
             console.error('❌ Motion error:', error);
         }
     }
 
+    /**
+     * Let the motion manager update until the current motion finishes, then go back to the
+     * no-op update from disableAnimations() so idle motions don't start during lip-sync
+     * @private
+     */
+    runMotionWhileDisabled(motionManager) {
+        const originalUpdate = this._originalMotionUpdate;
+        // enableAnimations() replaces this with the original update when speech ends
+        motionManager.update = (...args) => {
+            // Checked before updating: a finished update would start an idle motion
+            if (motionManager.isFinished()) {
+                motionManager.update = () => {}; // No-op
+                return false;
+            }
+            return originalUpdate(...args);
+        };
+    }
+
     /**
      * Show Live2D canvas (switch to Live2D mode)
      */
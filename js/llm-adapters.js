@@ -0,0 +1,392 @@
+/**
+ * LLM Provider Adapters
+ * One interface per chat API: build the request, read streamed and whole responses,
+ * list models and report what the API supports. callLLM and the model lists only talk to adapters.
+ * Built in: OpenAI-compatible (Gemini, OpenAI, custom endpoints), OpenRouter, Ollama, Anthropic.
+ * Other modules can add more at runtime with llmAdapters.register()
+ */
+
+import { ImageAttachments } from './image-attachments.js';
+
+export const ANTHROPIC_API_VERSION = '2023-06-01';
+const OLLAMA_CONTEXT_CAP = 8192; // Ollama allocates VRAM for the whole window, so don't auto-fill huge values
+
+/**
+ * An adapter. Every method gets the provider's LLM_PROVIDERS entry; messages are OpenAI-style
+ * ({ role, content }, content may be an array of text/image_url parts).
+ * @typedef {object} LLMAdapter
+ * @property {object} capabilities - { tools, vision, streamUsage }. A provider entry can override them with its own `capabilities`
+ * @property {Function} buildRequest - ({ provider, model, messages, streaming, temperature, maxTokens, apiKey, contextLength, capabilities }) => { url, headers, body }
+ * @property {Function} parseStreamEvent - (data) => { text, reasoning, toolCallDeltas, usage } for one SSE `data:` JSON object. Throw for error events.
+ * @property {Function} parseResponse - (data) => { text, reasoning, toolCalls, usage } for a non-streaming JSON body
+ * @property {Function} listModels - ({ provider, apiKey }) => Promise<Array<{ id, contextLength?, vision?, pricing? }>>, pricing in $ per million tokens
+ * @property {Function} [describeModel] - ({ provider, model }) => Promise<{ contextLength?, vision? }> for details the model list doesn't have
+ * @property {Function} [send] - (request, signal) => Promise<Response>, replaces the HTTP POST (e.g. in-browser models)
+ * @property {object} [provider] - Provider entry (name, baseUrl, apiKeyRequired, models) to add to the provider dropdowns
+ *
+ * `usage` is the API's token counts, OpenAI (prompt_tokens/completion_tokens) or Anthropic (input_tokens/output_tokens) shape.
+ * Tool calls use the OpenAI shape - only adapters with `capabilities.tools` get `tools` and tool messages.
+ */
+
+const REQUIRED_METHODS = ['buildRequest', 'parseStreamEvent', 'parseResponse', 'listModels'];
+
+export class LLMAdapterRegistry {
+    constructor() {
+        this.adapters = new Map();
+        this.onChange = null; // (name, adapter|null) after register/unregister
+    }
+
+    /**
+     * Register an adapter (replaces one with the same name)
+     * @param {string} name - Adapter id, referenced by a provider's `adapter` field
+     * @param {LLMAdapter} adapter - Adapter implementation
+     */
+    register(name, adapter) {
+        const missing = REQUIRED_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`LLM adapter "${name}" needs ${missing.join(', ')}`);
+        }
+
+        const registered = {
+            ...adapter,
+            capabilities: { tools: false, vision: false, streamUsage: false, ...adapter.capabilities }
+        };
+        this.adapters.set(name, registered);
+        console.log(`🔌 Registered LLM adapter: ${name}`);
+        this.onChange?.(name, registered);
+    }
+
+    /**
+     * Remove an adapter from the registry
+     * @param {string} name - Adapter id
+     */
+    unregister(name) {
+        if (!this.adapters.delete(name)) return;
+        this.onChange?.(name, null);
+    }
+
+    /**
+     * Check if an adapter is registered
+     * @param {string} name - Adapter id
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.adapters.has(name);
+    }
+
+    /**
+     * Get an adapter
+     * @param {string} name - Adapter id
+     * @returns {LLMAdapter|undefined}
+     */
+    get(name) {
+        return this.adapters.get(name);
+    }
+
+    /**
+     * Registered adapter ids
+     * @returns {string[]}
+     */
+    get names() {
+        return Array.from(this.adapters.keys());
+    }
+}
+
+// "models" (default), a path relative to the base URL, or a full URL
+function resolveModelsUrl(provider) {
+    const modelsEndpoint = provider.modelsEndpoint || 'models';
+    return /^https?:\/\//.test(modelsEndpoint)
+        ? modelsEndpoint
+        : `${provider.baseUrl}/${modelsEndpoint.replace(/^\/+/, '')}`;
+}
+
+async function fetchJson(url, options, label) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+        throw new Error(`${label} returned HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * OpenAI Chat Completions - also Gemini's OpenAI endpoint, LM Studio, llama.cpp, vLLM...
+ * @type {LLMAdapter}
+ */
+export const openAIAdapter = {
+    capabilities: { tools: true, vision: true, streamUsage: true },
+
+    buildRequest({ provider, model, messages, streaming, temperature, maxTokens, apiKey, capabilities }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        // Custom endpoints can define their own extra headers
+        Object.assign(headers, provider.headers);
+
+        const body = {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: streaming
+        };
+
+        // Ask for token counts at the end of the stream
+        if (streaming && capabilities?.streamUsage) {
+            body.stream_options = { include_usage: true };
+        }
+
+        return { url: `${provider.baseUrl}/chat/completions`, headers, body };
+    },
+
+    parseStreamEvent(data) {
+        const delta = data.choices?.[0]?.delta;
+        return {
+            text: delta?.content || '',
+            // Reasoning sent apart from the text (DeepSeek/vLLM reasoning_content, OpenRouter/Ollama reasoning)
+            reasoning: delta?.reasoning_content || delta?.reasoning || '',
+            toolCallDeltas: delta?.tool_calls,
+            usage: data.usage
+        };
+    },
+
+    parseResponse(data) {
+        const message = data.choices?.[0]?.message;
+        return {
+            text: message?.content || '',
+            reasoning: message?.reasoning_content || message?.reasoning || '',
+            toolCalls: message?.tool_calls || [],
+            usage: data.usage
+        };
+    },
+
+    async listModels({ provider, apiKey }) {
+        const headers = { ...provider.headers };
+        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+        const data = await fetchJson(resolveModelsUrl(provider), { headers }, provider.name);
+
+        // OpenAI-style { data: [...] }, with Ollama-style { models: [...] } as a fallback
+        const list = Array.isArray(data.data) ? data.data :
+                     Array.isArray(data.models) ? data.models : [];
+        return list
+            .map(m => ({ id: typeof m === 'string' ? m : m.id || m.name || m.model }))
+            .filter(m => m.id && (!provider.modelFilter || provider.modelFilter(m.id)));
+    }
+};
+
+/**
+ * OpenRouter - OpenAI-compatible, plus attribution headers and richer model metadata
+ * @type {LLMAdapter}
+ */
+export const openRouterAdapter = {
+    ...openAIAdapter,
+
+    buildRequest(options) {
+        const request = openAIAdapter.buildRequest(options);
+        request.headers['HTTP-Referer'] = window.location.href;
+        request.headers['X-Title'] = 'WEBWAIFU';
+        return request;
+    },
+
+    async listModels({ provider, apiKey }) {
+        const data = await fetchJson(`${provider.baseUrl}/models`, {
+            headers: { 'Authorization': `Bearer ${apiKey}` }
+        }, provider.name);
+
+        return (data.data || []).map(m => ({
+            id: m.id,
+            contextLength: m.context_length || undefined,
+            vision: m.architecture?.input_modalities ? m.architecture.input_modalities.includes('image') : undefined,
+            // Listed per-token prices -> $ per million tokens
+            pricing: Number(m.pricing?.prompt) >= 0 && Number(m.pricing?.completion) >= 0
+                ? { input: Number(m.pricing.prompt) * 1e6, output: Number(m.pricing.completion) * 1e6 }
+                : undefined
+        }));
+    }
+};
+
+/**
+ * Ollama - OpenAI-compatible chat with runtime options; models and their details come from the native API
+ * @type {LLMAdapter}
+ */
+export const ollamaAdapter = {
+    ...openAIAdapter,
+
+    buildRequest(options) {
+        const request = openAIAdapter.buildRequest(options);
+
+        // *** OLLAMA PERFORMANCE OPTIMIZATION ***
+        request.body.options = {
+            // KV Cache - keeps context in memory for faster subsequent requests
+            num_keep: -1,  // Keep all context in cache (-1 = keep everything)
+
+            // Flash Attention is automatically enabled in Ollama 0.1.26+ if the GPU supports it
+
+            // Batch size - process multiple tokens at once
+            num_batch: 512,  // Increased from default 128 for faster processing
+
+            // Thread optimization
+            num_thread: 0,  // 0 = auto-detect optimal thread count
+
+            // GPU layers - offload to GPU for speed (if available)
+            num_gpu: 999,  // Use all available GPU layers (auto-limited by model)
+
+            // Performance tweaks
+            repeat_penalty: 1.1,  // Slight penalty to reduce repetition
+            top_k: 40,  // Limit sampling to top 40 tokens for speed
+            top_p: 0.9,  // Nucleus sampling for quality
+
+            // Low VRAM mode (disable for max speed if you have enough VRAM)
+            low_vram: false,  // Set to true if running out of VRAM
+
+            // F16 KV cache (faster on modern GPUs)
+            f16_kv: true,  // Use half-precision for KV cache (2x faster, minimal quality loss)
+        };
+
+        // Make Ollama actually allocate the window we packed the prompt for
+        if (options.contextLength) {
+            request.body.options.num_ctx = options.contextLength;
+        }
+
+        console.log('⚡ Ollama performance optimizations enabled:', {
+            kv_cache: 'full',
+            batch_size: 512,
+            gpu_layers: 'max',
+            f16_kv: true
+        });
+        return request;
+    },
+
+    async listModels({ provider }) {
+        const data = await fetchJson(`${provider.serverUrl}/api/tags`, {}, provider.name);
+        return (data.models || []).map(m => ({ id: m.name || m.model }));
+    },
+
+    // /api/tags doesn't list context sizes - ask /api/show for the model
+    async describeModel({ provider, model }) {
+        const data = await fetchJson(`${provider.serverUrl}/api/show`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model })
+        }, provider.name);
+
+        // An explicit num_ctx in the Modelfile is what the server really uses
+        const numCtx = data.parameters?.match(/num_ctx\s+(\d+)/);
+        const trained = Object.entries(data.model_info || {})
+            .find(([name]) => name.endsWith('.context_length'))?.[1];
+
+        return {
+            contextLength: numCtx ? parseInt(numCtx[1]) : trained ? Math.min(trained, OLLAMA_CONTEXT_CAP) : 0,
+            // Newer Ollama lists what the model can do ("vision", "tools", ...)
+            vision: Array.isArray(data.capabilities) ? data.capabilities.includes('vision') : undefined
+        };
+    }
+};
+
+// Convert OpenAI-style messages to Anthropic Messages API shape.
+// System messages (prompt, summaries) move to the top-level `system` field and
+// consecutive same-role turns are merged, since Anthropic requires alternation.
+// Image parts become base64 image blocks.
+function toAnthropicMessages(messages) {
+    const systemParts = [];
+    const converted = [];
+
+    for (const msg of messages) {
+        if (msg.role === 'system') {
+            if (msg.content) systemParts.push(msg.content);
+            continue;
+        }
+
+        const content = Array.isArray(msg.content) ? ImageAttachments.toAnthropicBlocks(msg.content) : msg.content;
+        const last = converted[converted.length - 1];
+        if (last && last.role === msg.role) {
+            if (Array.isArray(last.content) || Array.isArray(content)) {
+                last.content = [...ImageAttachments.toAnthropicBlocks(last.content), ...ImageAttachments.toAnthropicBlocks(content)];
+            } else {
+                last.content += `\n\n${content}`;
+            }
+        } else {
+            converted.push({ role: msg.role, content });
+        }
+    }
+
+    // Conversation must open with a user turn
+    if (converted.length === 0 || converted[0].role !== 'user') {
+        converted.unshift({ role: 'user', content: '(continue)' });
+    }
+
+    return {
+        system: systemParts.join('\n\n'),
+        messages: converted
+    };
+}
+
+function anthropicHeaders(apiKey) {
+    return {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_API_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true' // Required for CORS from the browser
+    };
+}
+
+/**
+ * Anthropic Messages API (not OpenAI-compatible)
+ * @type {LLMAdapter}
+ */
+export const anthropicAdapter = {
+    capabilities: { tools: false, vision: true, streamUsage: true }, // Usage is always in the stream
+
+    buildRequest({ provider, model, messages, streaming, temperature, maxTokens, apiKey }) {
+        return {
+            url: `${provider.baseUrl}/messages`,
+            headers: { 'Content-Type': 'application/json', ...anthropicHeaders(apiKey), ...provider.headers },
+            body: {
+                model,
+                ...toAnthropicMessages(messages),
+                temperature: Math.min(temperature, 1), // Anthropic caps temperature at 1
+                max_tokens: maxTokens,
+                stream: streaming
+            }
+        };
+    },
+
+    parseStreamEvent(data) {
+        // Mid-stream failures arrive as an error event
+        if (data.type === 'error') {
+            throw new Error(`Anthropic stream error: ${data.error?.message || 'unknown'}`);
+        }
+
+        return {
+            // Text arrives in content_block_delta events, extended thinking as thinking_delta
+            text: data.type === 'content_block_delta' ? data.delta?.text || '' : '',
+            reasoning: data.delta?.type === 'thinking_delta' ? data.delta.thinking || '' : '',
+            // Input tokens in message_start, output tokens in message_delta
+            usage: data.usage || data.message?.usage
+        };
+    },
+
+    parseResponse(data) {
+        const blocks = data.content || [];
+        return {
+            text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+            reasoning: blocks.filter(block => block.type === 'thinking').map(block => block.thinking).join('\n'),
+            toolCalls: [],
+            usage: data.usage
+        };
+    },
+
+    async listModels({ provider, apiKey }) {
+        const data = await fetchJson(`${provider.baseUrl}/models?limit=1000`, {
+            headers: anthropicHeaders(apiKey)
+        }, provider.name);
+        return (data.data || []).map(m => ({ id: m.id }));
+    }
+};
+
+// Shared registry with the built-in adapters
+export const llmAdapters = new LLMAdapterRegistry();
+llmAdapters.register('openai', openAIAdapter);
+llmAdapters.register('openrouter', openRouterAdapter);
+llmAdapters.register('ollama', ollamaAdapter);
+llmAdapters.register('anthropic', anthropicAdapter);
@@ -0,0 +1,131 @@
+/**
+ * LLM Tool Registry
+ * Lets the model act on the app through OpenAI-style function calling
+ * (`tools` in the request, `tool_calls` in the response)
+ */
+
+export class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool the LLM can call
+     * @param {string} name - Function name exposed to the model (snake_case)
+     * @param {object} tool - Tool definition
+     * @param {string} tool.description - What the tool does (shown to the model)
+     * @param {object} tool.parameters - JSON Schema for the arguments
+     * @param {Function} tool.handler - (args) => result, may be async. Objects are JSON-encoded.
+     */
+    register(name, { description, parameters, handler }) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Tool "${name}" needs a handler function`);
+        }
+
+        this.tools.set(name, {
+            description,
+            parameters: parameters || { type: 'object', properties: {} },
+            handler
+        });
+        console.log(`🔧 Registered LLM tool: ${name}`);
+    }
+
+    /**
+     * Remove a tool from the registry
+     * @param {string} name - Tool name
+     */
+    unregister(name) {
+        this.tools.delete(name);
+    }
+
+    /**
+     * Check if a tool is registered
+     * @param {string} name - Tool name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    /**
+     * Number of registered tools
+     * @returns {number}
+     */
+    get size() {
+        return this.tools.size;
+    }
+
+    /**
+     * Build the `tools` array for an OpenAI-compatible request body
+     * @returns {Array} - Tool definitions
+     */
+    getDefinitions() {
+        return Array.from(this.tools.entries()).map(([name, tool]) => ({
+            type: 'function',
+            function: {
+                name,
+                description: tool.description,
+                parameters: tool.parameters
+            }
+        }));
+    }
+
+    /**
+     * Run a tool call returned by the model
+     * Never throws - failures are reported back to the model as text
+     * @param {string} name - Tool name
+     * @param {string} argsJson - Raw JSON arguments string from the model
+     * @returns {Promise<string>} - Result to send back as the tool message content
+     */
+    async execute(name, argsJson) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return `Error: unknown tool "${name}"`;
+        }
+
+        let args = {};
+        try {
+            args = argsJson ? JSON.parse(argsJson) : {};
+        } catch (error) {
+            return `Error: invalid JSON arguments for "${name}"`;
+        }
+
+        try {
+            console.log(`🔧 Running tool ${name}:`, args);
+            const result = await tool.handler(args);
+            if (result === undefined || result === null) return 'OK';
+            return typeof result === 'string' ? result : JSON.stringify(result);
+        } catch (error) {
+            console.error(`❌ Tool ${name} failed:`, error);
+            return `Error: ${error.message}`;
+        }
+    }
+
+    /**
+     * Merge streamed tool call deltas into complete tool calls
+     * Deltas arrive split by `index`: the first carries id + name, later ones append argument text
+     * @param {Array} accumulated - Tool calls collected so far (mutated)
+     * @param {Array} deltas - `choices[0].delta.tool_calls` from one SSE chunk
+     */
+    static accumulateDeltas(accumulated, deltas) {
+        for (const delta of deltas) {
+            const index = delta.index ?? accumulated.length;
+
+            if (!accumulated[index]) {
+                accumulated[index] = {
+                    id: '',
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                };
+            }
+
+            const call = accumulated[index];
+            if (delta.id) call.id = delta.id;
+            if (delta.function?.name) call.function.name += delta.function.name;
+            if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+        }
+    }
+}
+
+// Shared registry - import this to add tools from other modules
+export const llmTools = new ToolRegistry();
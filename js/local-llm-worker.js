@@ -0,0 +1,187 @@
+// Local LLM Web Worker - runs a small chat model with Transformers.js, fully in the browser
+// Tokens are posted back one by one so the main thread can stream them like an API reply
+
+let pipeline = null;
+let env = null;
+
+// Copy of the package's dist/ folder (library + ONNX Runtime .wasm files) so it works offline
+const LOCAL_TRANSFORMERS_DIR = '/public/lib/transformers/';
+const CDN_TRANSFORMERS_URL = 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2';
+
+// Local copy first (no network needed), then the CDN
+async function loadTransformers() {
+  let module = null;
+  try {
+    module = await import(`${LOCAL_TRANSFORMERS_DIR}transformers.js`);
+    // The ONNX Runtime .wasm files would otherwise be fetched from the CDN too
+    module.env.backends.onnx.wasm.wasmPaths = LOCAL_TRANSFORMERS_DIR;
+    console.log('🔧 [LLM Worker] Transformers.js loaded (local)');
+  } catch (localError) {
+    try {
+      console.warn('⚠️ [LLM Worker] No local Transformers.js, trying CDN...', localError.message);
+      module = await import(CDN_TRANSFORMERS_URL);
+      console.log('🔧 [LLM Worker] Transformers.js loaded (cdn)');
+    } catch (error) {
+      console.error('[LLM Worker] Failed to load Transformers.js:', error);
+      return false;
+    }
+  }
+
+  pipeline = module.pipeline;
+  env = module.env;
+  env.localModelPath = '/public/models/';
+  return true;
+}
+
+let generator = null;
+let generatorModel = null;
+let loading = null; // Promise while a model loads
+let queue = Promise.resolve(); // One generation at a time - the ONNX session isn't re-entrant
+const abortedIds = new Set();
+
+// Load a text-generation model: /public/models/<model> first (offline), then the Hugging Face CDN
+async function loadModel(model) {
+  if (generator && generatorModel === model) return generator;
+  if (loading) await loading.catch(() => {});
+  if (generator && generatorModel === model) return generator;
+
+  loading = (async () => {
+    if (!pipeline && !(await loadTransformers())) {
+      throw new Error('Failed to load Transformers.js library');
+    }
+
+    if (generator) {
+      await generator.dispose();
+      generator = null;
+      generatorModel = null;
+    }
+
+    const progress_callback = (progress) => {
+      if (progress.status === 'progress' && progress.total) {
+        self.postMessage({
+          type: 'load-progress',
+          model: model,
+          file: progress.file,
+          progress: Math.round((progress.loaded / progress.total) * 100)
+        });
+      }
+    };
+
+    let source = 'local';
+    try {
+      console.log(`🔄 [LLM Worker] Trying LOCAL model ${model}...`);
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      generator = await pipeline('text-generation', model, { quantized: true, progress_callback });
+    } catch (localError) {
+      console.warn('⚠️ [LLM Worker] Local model not found, trying CDN...', localError.message);
+      source = 'cdn';
+      env.allowLocalModels = false;
+      env.allowRemoteModels = true;
+      generator = await pipeline('text-generation', model, { quantized: true, progress_callback });
+    }
+
+    generatorModel = model;
+    console.log(`✅ [LLM Worker] ${model} loaded (${source})`);
+    self.postMessage({ type: 'model-ready', model: model, source: source });
+    return generator;
+  })();
+
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+}
+
+// Generate a reply for OpenAI-style messages, posting each new piece of text as it's decoded
+async function generate(id, model, messages, options) {
+  const textGenerator = await loadModel(model);
+  const tokenizer = textGenerator.tokenizer;
+
+  const prompt = tokenizer.apply_chat_template(messages, { tokenize: false, add_generation_prompt: true });
+  const promptIds = tokenizer(prompt).input_ids;
+  const promptLength = promptIds.size;
+
+  let sent = '';
+  let generatedTokens = 0;
+  const decodeReply = (tokenIds) => tokenizer.decode(tokenIds.slice(promptLength), { skip_special_tokens: true });
+
+  const output = await textGenerator(prompt, {
+    return_full_text: false,
+    max_new_tokens: options.max_new_tokens,
+    temperature: options.temperature || 1,
+    do_sample: options.temperature > 0,
+    repetition_penalty: 1.1,
+    callback_function: (beams) => {
+      // Throwing is the only way to stop generate() early
+      if (abortedIds.has(id)) throw new Error('Aborted');
+
+      const tokenIds = beams[0].output_token_ids;
+      generatedTokens = tokenIds.length - promptLength;
+      const text = decodeReply(tokenIds);
+      // Hold back until decoding is stable (a multi-byte character may still be incomplete)
+      if (text.length > sent.length && text.startsWith(sent) && !text.endsWith('�')) {
+        self.postMessage({ type: 'token', id: id, text: text.slice(sent.length) });
+        sent = text;
+      }
+    }
+  });
+
+  // Older Transformers.js versions ignore return_full_text and echo the prompt
+  const generatedText = output[0].generated_text;
+  const decodedPrompt = tokenizer.decode(Array.from(promptIds.data, Number), { skip_special_tokens: true });
+  const reply = generatedText.startsWith(decodedPrompt) ? generatedText.slice(decodedPrompt.length) : generatedText;
+  const text = reply.trim() ? reply : sent;
+  if (text.startsWith(sent) && text.length > sent.length) {
+    self.postMessage({ type: 'token', id: id, text: text.slice(sent.length) });
+  }
+
+  return {
+    text: text,
+    usage: {
+      prompt_tokens: promptLength,
+      completion_tokens: generatedTokens || tokenizer(text).input_ids.size
+    }
+  };
+}
+
+// Worker message handler
+self.addEventListener('message', (event) => {
+  const { type, data, id } = event.data;
+
+  switch (type) {
+    case 'load':
+      loadModel(data.model).catch((error) => {
+        console.error('❌ [LLM Worker] Failed to load model:', error);
+        self.postMessage({ type: 'model-error', model: data.model, error: error.message });
+      });
+      break;
+
+    case 'generate':
+      queue = queue.then(async () => {
+        if (abortedIds.delete(id)) return;
+        try {
+          const result = await generate(id, data.model, data.messages, data.options || {});
+          self.postMessage({ type: 'generate-result', id: id, result: result });
+        } catch (error) {
+          if (!abortedIds.has(id)) {
+            console.error('❌ [LLM Worker] Generation error:', error);
+            self.postMessage({ type: 'generate-error', id: id, error: error.message });
+          }
+        } finally {
+          abortedIds.delete(id);
+        }
+      });
+      break;
+
+    case 'abort':
+      abortedIds.add(id);
+      break;
+
+    default:
+      console.warn('[LLM Worker] Unknown message type:', type);
+  }
+});
+
+console.log('🚀 [LLM Worker] Local LLM Worker started');
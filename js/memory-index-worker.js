@@ -0,0 +1,172 @@
+// Memory Index Web Worker - keeps the approximate-nearest-neighbour index (HNSW) over memory
+// embeddings off the main thread, and persists its graph in IndexedDB next to the memories
+
+import { HNSWIndex } from './hnsw-index.js';
+
+const STATE_KEY = '__state'; // Graph-level record (entry point, level...) in the index store
+const FLUSH_DELAY_MS = 1000;
+const PROGRESS_EVERY = 250;
+
+let db = null;
+let config = null; // { memoryStore, indexStore, defaultCharacterId }
+let index = new HNSWIndex();
+const dirty = new Set(); // Node ids changed since the last flush
+let flushTimer = null;
+let queue = Promise.resolve(); // One operation at a time - inserts and searches share the graph
+
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    // No version: the main thread owns upgrades, the worker only uses what's there
+    const request = indexedDB.open(name);
+    request.onsuccess = () => {
+      const database = request.result;
+      database.onversionchange = () => database.close();
+      resolve(database);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function readStore(storeName, method, ...args) {
+  return requestResult(db.transaction([storeName], 'readonly').objectStore(storeName)[method](...args));
+}
+
+function metaFor(memory) {
+  return { characterId: memory.characterId || config.defaultCharacterId };
+}
+
+function hasEmbedding(memory) {
+  return memory && Array.isArray(memory.embedding) && memory.embedding.length > 0;
+}
+
+function markDirty(ids) {
+  ids.forEach(id => dirty.add(id));
+  if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+}
+
+// Write changed nodes (deleted ones are removed) plus the graph state in one transaction
+function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!db || dirty.size === 0) return Promise.resolve();
+
+  const ids = Array.from(dirty);
+  dirty.clear();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([config.indexStore], 'readwrite');
+    const store = transaction.objectStore(config.indexStore);
+    ids.forEach(id => {
+      const record = index.toRecord(id);
+      if (record) store.put(record);
+      else store.delete(id);
+    });
+    store.put({ id: STATE_KEY, ...index.getState() });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => {
+      console.warn('⚠️ [Index Worker] Failed to save index:', transaction.error);
+      reject(transaction.error);
+    };
+  });
+}
+
+// Load the saved graph, then add/remove whatever changed while the worker wasn't running
+async function open({ dbName, memoryStore, indexStore, defaultCharacterId }) {
+  config = { memoryStore, indexStore, defaultCharacterId };
+  db = await openDatabase(dbName);
+
+  const records = await readStore(indexStore, 'getAll');
+  const state = records.find(record => record.id === STATE_KEY);
+  const nodes = records.filter(record => record.id !== STATE_KEY);
+  index = state ? HNSWIndex.fromRecords(state, nodes) : new HNSWIndex();
+  console.log(`📂 [Index Worker] Loaded ${index.size} indexed memories`);
+
+  return sync();
+}
+
+async function sync() {
+  const keys = new Set(await readStore(config.memoryStore, 'getAllKeys'));
+
+  const stale = Array.from(index.nodes.keys()).filter(id => !keys.has(id));
+  stale.forEach(id => markDirty(index.remove(id)));
+
+  const missing = Array.from(keys).filter(id => !index.has(id));
+  for (let i = 0; i < missing.length; i++) {
+    const memory = await readStore(config.memoryStore, 'get', missing[i]);
+    if (hasEmbedding(memory)) markDirty(index.add(memory.id, memory.embedding, metaFor(memory)));
+    if ((i + 1) % PROGRESS_EVERY === 0) {
+      self.postMessage({ type: 'index-progress', done: i + 1, total: missing.length });
+      await flush(); // Keep progress if the tab closes mid-way
+    }
+  }
+  await flush();
+
+  if (missing.length > 0 || stale.length > 0) {
+    console.log(`🔄 [Index Worker] Synced: +${missing.length} / -${stale.length}`);
+  }
+  return { size: index.size, added: missing.length, removed: stale.length };
+}
+
+// Throw the graph away and index every memory again (fixes drift after many deletes)
+async function rebuild() {
+  await requestResult(db.transaction([config.indexStore], 'readwrite').objectStore(config.indexStore).clear());
+  dirty.clear();
+  index = new HNSWIndex();
+  return sync();
+}
+
+// Memory ids, most similar first. characterId limits results to one character's memories.
+function search({ embedding, k, characterId }) {
+  const filter = characterId ? (meta) => meta.characterId === characterId : null;
+  return index.search(embedding, k, { filter });
+}
+
+const handlers = {
+  open,
+  rebuild,
+  search,
+  add: ({ id, embedding, characterId }) => {
+    markDirty(index.add(id, embedding, { characterId: characterId || config.defaultCharacterId }));
+    return { size: index.size };
+  },
+  remove: ({ ids }) => {
+    ids.forEach(id => markDirty(index.remove(id)));
+    return { size: index.size };
+  },
+  clear: async () => {
+    index = new HNSWIndex();
+    dirty.clear();
+    await requestResult(db.transaction([config.indexStore], 'readwrite').objectStore(config.indexStore).clear());
+    return { size: 0 };
+  }
+};
+
+// Worker message handler - every request is answered with <type>-result or <type>-error
+self.addEventListener('message', (event) => {
+  const { type, id, data } = event.data;
+  const handler = handlers[type];
+  if (!handler) {
+    console.warn('[Index Worker] Unknown message type:', type);
+    return;
+  }
+
+  queue = queue.then(async () => {
+    try {
+      if (type !== 'open' && !db) throw new Error('Index not opened');
+      const result = await handler(data || {});
+      self.postMessage({ type: `${type}-result`, id, result });
+    } catch (error) {
+      console.error(`[Index Worker] ${type} failed:`, error);
+      self.postMessage({ type: `${type}-error`, id, error: error.message });
+    }
+  });
+});
+
+console.log('🚀 [Index Worker] Memory index worker started');
@@ -0,0 +1,116 @@
+// Memory Models Web Worker - runs the embedding (MiniLM) and classifier (DistilBERT) pipelines
+// off the main thread so saving and searching memories doesn't drop frames in the render loop
+
+let pipeline = null;
+let env = null;
+
+async function loadTransformers() {
+  try {
+    const module = await import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2');
+    pipeline = module.pipeline;
+    env = module.env;
+    env.localModelPath = '/public/models/';
+    console.log('🔧 [Memory Worker] Transformers.js loaded');
+    return true;
+  } catch (error) {
+    console.error('[Memory Worker] Failed to load Transformers.js:', error);
+    return false;
+  }
+}
+
+// Local folder under /public/models first (works offline and on Netlify), then the Hugging Face CDN
+const MODELS = {
+  embedding: { task: 'feature-extraction', local: 'embedding', remote: 'Xenova/all-MiniLM-L6-v2' },
+  classifier: { task: 'text-classification', local: 'classifier', remote: 'Xenova/distilbert-base-uncased-finetuned-sst-2-english' }
+};
+
+const pipelines = {}; // name -> loaded pipeline
+const loading = {}; // name -> Promise while it loads
+
+async function loadModel(name) {
+  if (pipelines[name]) return pipelines[name];
+  if (loading[name]) return loading[name];
+
+  const model = MODELS[name];
+  if (!model) throw new Error(`Unknown model: ${name}`);
+
+  loading[name] = (async () => {
+    if (!pipeline && !(await loadTransformers())) {
+      throw new Error('Failed to load Transformers.js library');
+    }
+
+    const progress_callback = (progress) => {
+      if (progress.status === 'progress' && progress.total) {
+        self.postMessage({
+          type: 'model-progress',
+          model: name,
+          progress: Math.round((progress.loaded / progress.total) * 100)
+        });
+      }
+    };
+
+    let source = 'local';
+    try {
+      console.log(`🔄 [Memory Worker] Trying LOCAL ${name} model...`);
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      pipelines[name] = await pipeline(model.task, model.local, { progress_callback });
+    } catch (localError) {
+      console.warn(`⚠️ [Memory Worker] Local ${name} model failed, trying CDN...`, localError.message);
+      source = 'cdn';
+      env.allowLocalModels = false;
+      env.allowRemoteModels = true;
+      pipelines[name] = await pipeline(model.task, model.remote, { progress_callback });
+    }
+
+    console.log(`✅ [Memory Worker] ${name} model loaded (${source})`);
+    return pipelines[name];
+  })();
+
+  try {
+    return await loading[name];
+  } finally {
+    delete loading[name];
+  }
+}
+
+async function embed(text) {
+  const embedder = pipelines.embedding || await loadModel('embedding');
+  const output = await embedder(text, { pooling: 'mean', normalize: true });
+  return Array.from(output.data);
+}
+
+async function classify(text) {
+  const classifier = pipelines.classifier || await loadModel('classifier');
+  return classifier(text);
+}
+
+// Worker message handler - requests carry an id that comes back with the result or error
+self.addEventListener('message', async (event) => {
+  const { type, data, id } = event.data;
+
+  try {
+    switch (type) {
+      case 'load-model':
+        await loadModel(data.model);
+        self.postMessage({ type: 'model-ready', id: id, model: data.model });
+        break;
+
+      case 'embed':
+        self.postMessage({ type: 'embed-result', id: id, embedding: await embed(data.text) });
+        break;
+
+      case 'classify':
+        self.postMessage({ type: 'classify-result', id: id, result: await classify(data.text) });
+        break;
+
+      default:
+        console.warn('[Memory Worker] Unknown message type:', type);
+    }
+  } catch (error) {
+    console.error(`❌ [Memory Worker] ${type} failed:`, error);
+    self.postMessage({ type: 'error', id: id, model: data?.model, error: error.message });
+  }
+});
+
+console.log('🚀 [Memory Worker] Memory models worker started');
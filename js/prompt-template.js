@@ -0,0 +1,175 @@
+/**
+ * PromptTemplate Utility
+ * Small template language for the system message: {{variable}} placeholders and
+ * {{#if variable}}...{{else}}...{{/if}} / {{#unless variable}}...{{/unless}} sections (nestable)
+ */
+
+// Variables filled in by callLLM (shown as help next to the template editor)
+export const PROMPT_VARIABLES = {
+    system_prompt: 'System Prompt setting',
+    persona: 'Character personality (shortened first when the context is full)',
+    char: 'Character name',
+    user: 'Your name (empty if not set)',
+    time: 'Current local time',
+    date: 'Current local date',
+    memories: 'Relevant long-term memories, then knowledge base passages, one per line (empty if none)',
+    profile: 'Known facts about you (name, likes, plans...), one line per kind (empty if none)',
+    mood: 'Character\'s current emotion (last expression shown)',
+    last_seen: 'When you last talked before this session, e.g. "3 days ago" (empty on first visit)',
+    cast: 'Who else is in the conversation (empty without a cast)',
+    avatar_tags: 'Avatar tag instructions (empty when tags are off)'
+};
+
+// Same order callLLM always used: instructions, persona, names, then memories
+export const DEFAULT_PROMPT_TEMPLATE = `{{system_prompt}}
+
+{{persona}}
+
+{{#if char}}
+[Your character name is: {{char}}]
+
+{{/if}}
+{{#if cast}}
+{{cast}}
+
+{{/if}}
+{{#if user}}
+[The user's name is {{user}}]
+
+{{/if}}
+{{#if profile}}
+[What you know about the user]:
+{{profile}}
+
+{{/if}}
+{{#if avatar_tags}}
+{{avatar_tags}}
+
+{{/if}}
+{{#if memories}}
+[Relevant memories from past conversations]:
+{{memories}}
+{{/if}}`;
+
+const TAG_PATTERN = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*(\w*)\s*\}\}/g;
+
+// Block tags alone on their line take the whole line with them (no blank lines left behind)
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{\{\s*(?:#if|#unless)\s+\w+\s*\}\}|\{\{\s*(?:else|\/if|\/unless)\s*\}\})[ \t]*\r?\n/gm;
+
+export class PromptTemplate {
+    /**
+     * Render a template
+     * Unknown {{names}} are left as they are so other macros (e.g. from character cards) survive
+     * @param {string} template - Template text
+     * @param {object} variables - Values by name (empty string / null = false in conditions)
+     * @returns {string} - Rendered text, trimmed, with runs of blank lines collapsed
+     */
+    static render(template, variables = {}) {
+        const source = (template || '').replace(STANDALONE_BLOCK_TAG, '$1');
+        const { nodes } = this.parse(source, 0, null);
+        return this.renderNodes(nodes, variables)
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Problems that would make a template render wrongly (unclosed or stray sections)
+     * @param {string} template - Template text
+     * @returns {Array<string>} - Error messages (empty when fine)
+     */
+    static validate(template) {
+        const errors = [];
+        const stack = [];
+        for (const match of (template || '').matchAll(TAG_PATTERN)) {
+            const [tag, keyword, name] = match;
+            if (keyword === '#if' || keyword === '#unless') {
+                if (!name) errors.push(`${tag} needs a variable name`);
+                stack.push(keyword.slice(1));
+            } else if (keyword === '/if' || keyword === '/unless') {
+                if (stack.pop() !== keyword.slice(1)) errors.push(`${tag} without a matching {{#${keyword.slice(1)}}}`);
+            } else if (keyword === 'else' && stack.length === 0) {
+                errors.push('{{else}} outside of a section');
+            }
+        }
+        stack.forEach(block => errors.push(`Unclosed {{#${block}}}`));
+        return errors;
+    }
+
+    /**
+     * Whether a template uses a variable at all
+     * @param {string} template - Template text
+     * @param {string} name - Variable name
+     * @returns {boolean}
+     */
+    static uses(template, name) {
+        return new RegExp(`\\{\\{\\s*(#if\\s+|#unless\\s+)?${name}\\s*\\}\\}`).test(template || '');
+    }
+
+    /**
+     * @private
+     * Build a tree of text / variable / section nodes, stopping at the closing tag of `block`
+     */
+    static parse(source, start, block) {
+        const nodes = [];
+        const pattern = new RegExp(TAG_PATTERN.source, 'g');
+        pattern.lastIndex = start;
+        let textStart = start;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            const [tag, keyword, name] = match;
+            if (match.index > textStart) {
+                nodes.push({ type: 'text', value: source.slice(textStart, match.index) });
+            }
+            textStart = pattern.lastIndex;
+
+            if (keyword === '#if' || keyword === '#unless') {
+                const body = this.parse(source, pattern.lastIndex, keyword.slice(1));
+                nodes.push({ type: 'section', negate: keyword === '#unless', name, ...body.section });
+                pattern.lastIndex = textStart = body.end;
+            } else if (keyword === 'else' && block) {
+                nodes.push({ type: 'else' });
+            } else if ((keyword === '/if' || keyword === '/unless') && block) {
+                return this.splitElse(nodes, pattern.lastIndex);
+            } else if (!keyword && name) {
+                nodes.push({ type: 'variable', name, raw: tag });
+            } else {
+                nodes.push({ type: 'text', value: tag }); // Stray tag - keep it visible
+            }
+        }
+
+        if (textStart < source.length) {
+            nodes.push({ type: 'text', value: source.slice(textStart) });
+        }
+        // Unclosed section runs to the end of the template
+        return block ? this.splitElse(nodes, source.length) : { nodes, end: source.length };
+    }
+
+    /**
+     * @private
+     */
+    static splitElse(nodes, end) {
+        const elseIndex = nodes.findIndex(node => node.type === 'else');
+        const section = elseIndex === -1
+            ? { then: nodes, otherwise: [] }
+            : { then: nodes.slice(0, elseIndex), otherwise: nodes.slice(elseIndex + 1).filter(node => node.type !== 'else') };
+        return { section, end };
+    }
+
+    /**
+     * @private
+     */
+    static renderNodes(nodes, variables) {
+        return nodes.map(node => {
+            if (node.type === 'text') return node.value;
+            if (node.type === 'variable') {
+                return Object.prototype.hasOwnProperty.call(variables, node.name)
+                    ? String(variables[node.name] ?? '')
+                    : node.raw;
+            }
+            const value = variables[node.name];
+            const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value && String(value).trim());
+            return this.renderNodes(truthy !== node.negate ? node.then : node.otherwise, variables);
+        }).join('');
+    }
+}
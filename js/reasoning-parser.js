@@ -0,0 +1,125 @@
+/**
+ * ReasoningParser
+ * Separates reasoning-model thoughts (<think>...</think>, as written by DeepSeek-R1, QwQ and
+ * friends) from the answer in streamed or complete replies, so only the answer is spoken and saved
+ */
+
+// Opening tag -> closing tag, matched case-insensitively
+const THINK_TAGS = {
+    '<think>': '</think>',
+    '<thinking>': '</thinking>',
+    '<reasoning>': '</reasoning>'
+};
+
+// Length of the longest suffix of `text` that starts one of `tags` (held back until the next chunk)
+function partialTagLength(text, tags) {
+    const lower = text.toLowerCase();
+    for (let length = Math.min(lower.length, Math.max(...tags.map(tag => tag.length)) - 1); length > 0; length--) {
+        const suffix = lower.slice(-length);
+        if (tags.some(tag => tag.startsWith(suffix))) return length;
+    }
+    return 0;
+}
+
+export class ReasoningParser {
+    /**
+     * Split a complete reply. A closing tag with no opening one (templates that pre-fill
+     * "<think>" in the prompt) makes everything before it reasoning.
+     * @param {string} text - Whole reply
+     * @returns {{ answer: string, reasoning: string }}
+     */
+    static split(text) {
+        const source = text || '';
+        const lower = source.toLowerCase();
+        const firstOpen = Math.min(...Object.keys(THINK_TAGS).map(tag => lower.indexOf(tag)).filter(index => index !== -1));
+
+        for (const close of Object.values(THINK_TAGS)) {
+            const index = lower.indexOf(close);
+            if (index !== -1 && !(firstOpen < index)) {
+                const rest = new ReasoningParser().feed(source.slice(index + close.length), true);
+                return {
+                    answer: rest.answer,
+                    reasoning: [source.slice(0, index), rest.reasoning].join('\n').trim()
+                };
+            }
+        }
+
+        const parsed = new ReasoningParser().feed(source, true);
+        return { answer: parsed.answer, reasoning: parsed.reasoning.trim() };
+    }
+
+    constructor() {
+        this.pending = '';
+        this.closeTag = null; // Set while inside a think block
+    }
+
+    /**
+     * Whether the stream is currently inside a think block
+     * @returns {boolean}
+     */
+    get isThinking() {
+        return this.closeTag !== null;
+    }
+
+    /**
+     * Split the next streamed chunk. Tags split across chunks are held back until they complete.
+     * @param {string} chunk - New text from the model
+     * @param {boolean} final - No more text is coming (release anything held back)
+     * @returns {{ answer: string, reasoning: string }}
+     */
+    feed(chunk, final = false) {
+        const input = this.pending + chunk;
+        const lower = input.toLowerCase();
+        let answer = '';
+        let reasoning = '';
+        let i = 0;
+
+        this.pending = '';
+
+        while (i < input.length) {
+            if (this.closeTag) {
+                const close = lower.indexOf(this.closeTag, i);
+                if (close === -1) {
+                    const hold = final ? 0 : partialTagLength(input.slice(i), [this.closeTag]);
+                    reasoning += input.slice(i, input.length - hold);
+                    this.pending = input.slice(input.length - hold);
+                    break;
+                }
+                reasoning += input.slice(i, close);
+                i = close + this.closeTag.length;
+                this.closeTag = null;
+                continue;
+            }
+
+            let open = -1;
+            let openTag = null;
+            for (const tag of Object.keys(THINK_TAGS)) {
+                const index = lower.indexOf(tag, i);
+                if (index !== -1 && (open === -1 || index < open)) {
+                    open = index;
+                    openTag = tag;
+                }
+            }
+
+            if (open === -1) {
+                const hold = final ? 0 : partialTagLength(input.slice(i), Object.keys(THINK_TAGS));
+                answer += input.slice(i, input.length - hold);
+                this.pending = input.slice(input.length - hold);
+                break;
+            }
+            answer += input.slice(i, open);
+            i = open + openTag.length;
+            this.closeTag = THINK_TAGS[openTag];
+        }
+
+        return { answer, reasoning };
+    }
+
+    /**
+     * Release text held back at the end of the stream
+     * @returns {{ answer: string, reasoning: string }}
+     */
+    flush() {
+        return this.feed('', true);
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * ReminderList
+ * Reminders and timers set in plain language ("remind me in 20 minutes to stretch",
+ * "set a timer for 10 minutes"), kept in IndexedDB so they survive reloads
+ */
+
+export const REMINDER_STORE_NAME = 'reminders';
+
+const UNIT_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+const UNITS = String.raw`(seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|h|days?|d)\b`;
+// "20 minutes", "an hour", "half an hour", "1.5 hrs", "90s"
+const DURATION = String.raw`(\d+(?:\.\d+)?|an?|half an?)\s*${UNITS}`;
+// "10-minute" in "a 10-minute timer"
+const DURATION_ADJECTIVE = String.raw`(\d+(?:\.\d+)?)[\s-]*${UNITS}`;
+// "5pm", "5:30 pm", "17:30", "noon"
+const CLOCK = String.raw`(noon|midnight|\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)?)`;
+// Only commands count: at the start of the message or a clause, after fillers or a polite ask
+// ("ok, can you remind me..."). "I used a timer..." and "don't remind me..." are left alone.
+const CLAUSE = String.raw`(?:^|[.!?;,\n]\s*)\s*(?:(?:hey|hi|ok(?:ay)?|so|and|also|oh|now|then)[,\s]+)*`;
+const ASK = String.raw`(?:(?:please|pls|can you|could you|would you|will you)\s+)*`;
+const LEAD = `${CLAUSE}${ASK}remind me\\s+`;
+const TIMER_VERB = String.raw`(?:set|start|put on|run)\s+(?:me\s+|up\s+)?(?:a|an|the)?\s*`;
+const TOPIC = String.raw`(?:to|that|about|of)\s+`;
+
+const PATTERNS = [
+    { type: 'in', regex: new RegExp(`${LEAD}(?:in|after)\\s+${DURATION}\\s*(?:${TOPIC})?(.+)`, 'i'), order: ['amount', 'unit', 'text'] },
+    { type: 'in', regex: new RegExp(`${LEAD}(?:${TOPIC})?(.+?)\\s+(?:in|after)\\s+${DURATION}`, 'i'), order: ['text', 'amount', 'unit'] },
+    { type: 'at', regex: new RegExp(`${LEAD}(?:at|by)\\s+${CLOCK}\\s*(?:${TOPIC})?(.+)`, 'i'), order: ['clock', 'text'] },
+    { type: 'at', regex: new RegExp(`${LEAD}(?:${TOPIC})?(.+?)\\s+(?:at|by)\\s+${CLOCK}\\s*[.!?]*$`, 'i'), order: ['text', 'clock'] },
+    { type: 'timer', regex: new RegExp(`${CLAUSE}${ASK}(?:${TIMER_VERB})?timer\\s+(?:for\\s+)?${DURATION}`, 'i'), order: ['amount', 'unit'] },
+    { type: 'timer', regex: new RegExp(`${CLAUSE}${ASK}${TIMER_VERB}${DURATION_ADJECTIVE}\\s+timer\\b`, 'i'), order: ['amount', 'unit'] }
+];
+
+function parseDuration(amount, unit) {
+    const value = /^half/i.test(amount) ? 0.5 : /^an?$/i.test(amount) ? 1 : parseFloat(amount);
+    const key = unit.toLowerCase().startsWith('mi') || unit.toLowerCase() === 'm' ? 'm' : unit[0].toLowerCase();
+    return value * UNIT_MS[key];
+}
+
+// Next time the clock shows this (today, or tomorrow if it's passed). Without am/pm, the nearer of the two.
+function parseClock(text, now) {
+    const clock = text.toLowerCase().replace(/\./g, '').trim();
+    if (clock === 'noon') return nextOccurrence(12, 0, now);
+    if (clock === 'midnight') return nextOccurrence(0, 0, now);
+
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(clock);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    if (hours > 23 || minutes > 59 || (match[3] && (hours === 0 || hours > 12))) return null;
+
+    if (match[3]) {
+        hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+        return nextOccurrence(hours, minutes, now);
+    }
+    if (hours === 0 || hours > 12) {
+        return nextOccurrence(hours, minutes, now);
+    }
+    return Math.min(nextOccurrence(hours % 12, minutes, now), nextOccurrence((hours % 12) + 12, minutes, now));
+}
+
+function nextOccurrence(hours, minutes, now) {
+    const date = new Date(now);
+    date.setHours(hours, minutes, 0, 0);
+    if (date.getTime() <= now) date.setDate(date.getDate() + 1);
+    return date.getTime();
+}
+
+// "to stretch." -> "stretch"
+function cleanTopic(text) {
+    return text
+        .replace(/\s*(?:please|thanks|thank you)\s*[.!?]*$/i, '')
+        .replace(/[.!?,\s]+$/, '')
+        .trim();
+}
+
+export class ReminderList {
+    /**
+     * @param {object} options
+     * @param {Function} options.onChange - Called after reminders are added, removed or loaded
+     */
+    constructor({ onChange } = {}) {
+        this.onChange = onChange;
+        this.reminders = new Map(); // id -> { id, text, kind, dueAt, createdAt }
+        this.db = null;
+    }
+
+    /**
+     * Find a reminder or timer request in a message
+     * @param {string} message - What the user said
+     * @param {number} now - Timestamp to count from
+     * @returns {{ text: string, kind: 'reminder'|'timer', dueAt: number }|null}
+     */
+    static parse(message, now = Date.now()) {
+        for (const { type, regex, order } of PATTERNS) {
+            const match = regex.exec(message);
+            if (!match) continue;
+
+            const parts = {};
+            order.forEach((name, i) => { parts[name] = match[i + 1]; });
+
+            const dueAt = type === 'at' ? parseClock(parts.clock, now) : now + parseDuration(parts.amount, parts.unit);
+            if (!dueAt || !Number.isFinite(dueAt) || dueAt <= now) continue;
+
+            if (type === 'timer') {
+                return { text: ReminderList.timerLabel(dueAt - now), kind: 'timer', dueAt };
+            }
+
+            const text = cleanTopic(parts.text);
+            if (!text) continue;
+            return { text, kind: 'reminder', dueAt };
+        }
+        return null;
+    }
+
+    /**
+     * Label for a timer of this length ("5-minute" - announced as "your 5-minute timer")
+     * @param {number} ms - Timer length
+     * @returns {string}
+     */
+    static timerLabel(ms) {
+        // Largest whole unit: "1-hour", "90-minute", "45-second"
+        const units = [['day', UNIT_MS.d], ['hour', UNIT_MS.h], ['minute', UNIT_MS.m], ['second', UNIT_MS.s]];
+        const [name, size] = units.find(([, size]) => ms % size === 0) || units[units.length - 1];
+        return `${Math.round(ms / size)}-${name}`;
+    }
+
+    /**
+     * Load stored reminders
+     * @param {IDBDatabase} db - Database with a REMINDER_STORE_NAME store
+     * @returns {Promise<void>}
+     */
+    attach(db) {
+        this.db = db;
+        return new Promise((resolve, reject) => {
+            const request = db.transaction([REMINDER_STORE_NAME], 'readonly').objectStore(REMINDER_STORE_NAME).getAll();
+            request.onsuccess = () => {
+                // Keep anything set before loading finished
+                request.result.forEach(reminder => {
+                    if (!this.reminders.has(reminder.id)) this.reminders.set(reminder.id, reminder);
+                });
+                this.reminders.forEach(reminder => this.save(reminder));
+                this.onChange?.();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Schedule a reminder
+     * @param {object} reminder
+     * @param {string} reminder.text - What to remind about
+     * @param {number} reminder.dueAt - Timestamp
+     * @param {string} reminder.kind - 'reminder' or 'timer'
+     * @returns {object} - The stored reminder (with id)
+     */
+    add({ text, dueAt, kind = 'reminder' }) {
+        const reminder = {
+            id: `reminder_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            text,
+            kind,
+            dueAt,
+            createdAt: Date.now()
+        };
+        this.reminders.set(reminder.id, reminder);
+        this.save(reminder);
+        this.onChange?.();
+        return reminder;
+    }
+
+    /**
+     * Remove a reminder
+     * @param {string} id - Reminder id
+     */
+    cancel(id) {
+        if (!this.reminders.delete(id)) return;
+        if (this.db) {
+            const transaction = this.db.transaction([REMINDER_STORE_NAME], 'readwrite');
+            transaction.objectStore(REMINDER_STORE_NAME).delete(id);
+            transaction.onerror = () => console.warn('⚠️ Failed to delete reminder:', transaction.error);
+        }
+        this.onChange?.();
+    }
+
+    /**
+     * Pending reminders, soonest first
+     * @returns {Array}
+     */
+    list() {
+        return Array.from(this.reminders.values()).sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    /**
+     * Reminders that are due, soonest first (cancel() them once announced)
+     * @param {number} now - Timestamp
+     * @returns {Array}
+     */
+    getDue(now = Date.now()) {
+        return this.list().filter(reminder => reminder.dueAt <= now);
+    }
+
+    /**
+     * @private
+     */
+    save(reminder) {
+        if (!this.db) return;
+        const transaction = this.db.transaction([REMINDER_STORE_NAME], 'readwrite');
+        transaction.objectStore(REMINDER_STORE_NAME).put(reminder);
+        transaction.onerror = () => console.warn('⚠️ Failed to save reminder:', transaction.error);
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * SentenceSegmenter
+ * Cuts streamed LLM text into speakable chunks for TTS: sentence ends in Latin and CJK
+ * punctuation (not "Dr.", "3.14" or "e.g."), short sentences merged, long ones split at
+ * clause breaks, and a timed flush when the model stalls in the middle of a long clause
+ */
+
+// Sentence-ending punctuation that needs whitespace after it ("Hi. There", not "3.14")
+const LATIN_ENDERS = '.!?…‼⁉؟।';
+// Ends a sentence on its own - CJK text has no spaces between sentences
+const CJK_ENDERS = '。！？｡';
+// Closing quotes/brackets that belong to the sentence before them ("Wow!" she said)
+const CLOSERS = '"\'”’»)]}」』】》〉）';
+// Opening quotes/brackets skipped when looking at the next sentence's first letter
+const OPENERS = '"\'“‘«([{「『【《〈（';
+
+// Clause breaks used to split sentences that are too long to wait for
+const CLAUSE_BREAK = /[,;:](?=\s)|[，、；：]|\s[—–-](?=\s)|—/g;
+
+// A period after these never ends a sentence ("Dr. Smith", "e.g. this")
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'e.g', 'i.e', 'cf', 'approx',
+    'fig', 'vol', 'ch', 'ca', 'gen', 'gov', 'sen', 'rep', 'capt', 'lt', 'col', 'sgt', 'dept', 'est'
+]);
+// ...after these it does only when the next word is capitalized ("and so on, etc. Anyway")
+const AMBIGUOUS_ABBREVIATIONS = new Set([
+    'no', 'etc', 'inc', 'ltd', 'co', 'corp', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug',
+    'sep', 'sept', 'oct', 'nov', 'dec', 'a.m', 'p.m'
+]);
+
+// Capitalized or caseless (CJK, Arabic...) - looks like the start of a new sentence
+const SENTENCE_START = /[\p{Lu}\p{Lt}\p{Lo}]/u;
+
+export class SentenceSegmenter {
+    /**
+     * @param {object} options
+     * @param {Function} options.onSegment - (text, tags) for each chunk, tags with offsets into the trimmed text
+     * @param {number} options.minLength - Shorter sentences are merged with the next one
+     * @param {number} options.maxLength - Longer text is split at a clause break (or a space)
+     * @param {number} options.flushAfterMs - Speak what's there when no chunk came out for this long (0 = never)
+     */
+    constructor({ onSegment, minLength = 20, maxLength = 220, flushAfterMs = 1200 } = {}) {
+        this.onSegment = onSegment;
+        this.minLength = minLength;
+        this.maxLength = Math.max(maxLength, minLength + 1);
+        this.flushAfterMs = flushAfterMs;
+        this.buffer = '';
+        this.tags = []; // { at, ... } with `at` an offset into buffer
+        this.timer = null;
+    }
+
+    /**
+     * Add streamed text; complete chunks go to onSegment right away
+     * @param {string} text - New text
+     * @param {Array} tags - Markers in this text ({ at, ... }), carried along with the chunk they fall in
+     */
+    push(text, tags = []) {
+        tags.forEach(tag => this.tags.push({ ...tag, at: this.buffer.length + tag.at }));
+        this.buffer += text;
+        this.drain(false);
+
+        if (!this.timer && this.flushAfterMs > 0 && (this.buffer.trim() || this.tags.length)) {
+            this.timer = setTimeout(() => this.onTimeout(), this.flushAfterMs);
+        }
+    }
+
+    /**
+     * End of the stream - send everything that's left
+     */
+    flush() {
+        this.cancel();
+        this.drain(true);
+    }
+
+    /**
+     * Stop the flush timer without sending anything (stream aborted)
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Sentence boundaries in the buffer (offsets just after the punctuation and closing quotes)
+     * Stops at the first one that depends on text that hasn't arrived yet, unless `final`
+     * @private
+     */
+    findBoundaries(final) {
+        const text = this.buffer;
+        const boundaries = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\n') {
+                boundaries.push(i);
+                continue;
+            }
+            if (!LATIN_ENDERS.includes(char) && !CJK_ENDERS.includes(char)) continue;
+
+            // The whole run ("?!", "...") plus closing quotes is one ending
+            let end = i;
+            while (end < text.length && (LATIN_ENDERS.includes(text[end]) || CJK_ENDERS.includes(text[end]))) end++;
+            const run = text.slice(i, end);
+            while (end < text.length && CLOSERS.includes(text[end])) end++;
+
+            if (end === text.length && !final) break; // Closing quote or space may still come
+
+            if (!CJK_ENDERS.includes(run[run.length - 1])) {
+                if (end < text.length && !/\s/.test(text[end])) {
+                    i = end - 1; // "3.14", "Hello.world"
+                    continue;
+                }
+
+                const next = this.nextWordStart(end);
+                const quoted = end > i + run.length;
+                if (next === null && !final && (quoted || this.needsNextWord(i, run))) break;
+                if (!this.isSentenceEnd(i, run, next, quoted)) {
+                    i = end - 1;
+                    continue;
+                }
+            }
+
+            boundaries.push(end);
+            i = end - 1;
+        }
+        return boundaries;
+    }
+
+    /**
+     * First letter of the next sentence (null if it hasn't arrived yet)
+     * @private
+     */
+    nextWordStart(from) {
+        for (let i = from; i < this.buffer.length; i++) {
+            const char = this.buffer[i];
+            if (!/\s/.test(char) && !OPENERS.includes(char)) return char;
+        }
+        return null;
+    }
+
+    /**
+     * Word right before a period, lowercased ("dr", "e.g", "3")
+     * @private
+     */
+    wordBefore(index) {
+        const match = /([\p{L}\p{N}][\p{L}\p{N}.]*)$/u.exec(this.buffer.slice(Math.max(0, index - 24), index));
+        return match ? match[1] : '';
+    }
+
+    /**
+     * Whether deciding on this ending has to wait for the next word
+     * @private
+     */
+    needsNextWord(index, run) {
+        if (run === '.') {
+            const word = this.wordBefore(index).toLowerCase();
+            return !ABBREVIATIONS.has(word) && (AMBIGUOUS_ABBREVIATIONS.has(word) || word.includes('.'));
+        }
+        return /^\.{2,}$|…/.test(run);
+    }
+
+    /**
+     * @private
+     */
+    isSentenceEnd(index, run, next, quoted) {
+        const startsSentence = next === null || SENTENCE_START.test(next);
+
+        // Ellipsis mid-thought ("Well... maybe") and quotes carrying on ("Wow!" she said) keep going
+        if (quoted || /^\.{2,}$|…/.test(run)) return startsSentence;
+        if (run !== '.') return true;
+
+        const word = this.wordBefore(index);
+        const lower = word.toLowerCase();
+        if (!word) return true;
+        if (ABBREVIATIONS.has(lower)) return false;
+        if (AMBIGUOUS_ABBREVIATIONS.has(lower) || lower.includes('.')) return startsSentence; // "U.S.", "etc."
+        if (/^\p{Lu}$/u.test(word)) return false; // Initials ("J. K. Rowling")
+
+        // "1. First item" - list numbers at the start of a line
+        if (/^\d+$/.test(word)) {
+            const lineStart = this.buffer.lastIndexOf('\n', index) + 1;
+            return this.buffer.slice(lineStart, index).trim() !== word;
+        }
+        return true;
+    }
+
+    /**
+     * Emit complete chunks, merging short sentences and splitting long ones
+     * @private
+     */
+    drain(final) {
+        const boundaries = this.findBoundaries(final);
+        let start = 0;
+
+        for (const boundary of boundaries) {
+            if (this.buffer.slice(start, boundary).trim().length >= this.minLength) {
+                this.emit(start, boundary);
+                start = boundary;
+            }
+        }
+
+        // Too long to keep waiting for the sentence to end
+        while (this.buffer.length - start > this.maxLength) {
+            const limit = start + this.maxLength;
+            const cut = boundaries.filter(boundary => boundary > start && boundary <= limit).pop()
+                || this.lastClauseBreak(start, limit)
+                || this.lastSpace(start, limit)
+                || limit;
+            this.emit(start, cut);
+            start = cut;
+        }
+
+        if (final && (this.buffer.length > start || this.tags.length)) {
+            this.emit(start, this.buffer.length);
+            start = this.buffer.length;
+        }
+
+        this.rebase(start);
+    }
+
+    /**
+     * Model went quiet mid-sentence: speak up to the best break we have so TTS isn't idle
+     * @private
+     */
+    onTimeout() {
+        this.timer = null;
+        if (!this.buffer.trim()) return;
+
+        const end = this.buffer.length;
+        const cut = this.findBoundaries(true).pop()
+            || this.lastClauseBreak(0, end)
+            || (this.buffer.trim().length >= this.minLength ? this.lastSpace(0, end) : 0);
+        if (cut > 0) {
+            this.emit(0, cut);
+            this.rebase(cut);
+        }
+    }
+
+    /**
+     * Offset just after the last clause break in [start, limit), 0 if none
+     * @private
+     */
+    lastClauseBreak(start, limit) {
+        let cut = 0;
+        for (const match of this.buffer.slice(start, limit).matchAll(CLAUSE_BREAK)) {
+            cut = start + match.index + match[0].length;
+        }
+        return cut > start ? cut : 0;
+    }
+
+    /**
+     * Offset of the last whitespace in (start, limit), 0 if none
+     * @private
+     */
+    lastSpace(start, limit) {
+        const slice = this.buffer.slice(start, limit);
+        const index = Math.max(slice.lastIndexOf(' '), slice.lastIndexOf('\n'));
+        return index > 0 ? start + index : 0;
+    }
+
+    /**
+     * Send buffer[start, end) with its tags (the last chunk takes any tags at the very end)
+     * @private
+     */
+    emit(start, end) {
+        const raw = this.buffer.slice(start, end);
+        const text = raw.trim();
+        const leading = raw.length - raw.trimStart().length;
+        const isLast = end === this.buffer.length;
+
+        const taken = this.tags.filter(tag => tag.at < end || isLast);
+        this.tags = this.tags.filter(tag => !taken.includes(tag));
+        const tags = taken.map(tag => ({ ...tag, at: Math.min(text.length, Math.max(0, tag.at - start - leading)) }));
+
+        this.cancel();
+        if ((text || tags.length) && this.onSegment) {
+            this.onSegment(text, tags);
+        }
+    }
+
+    /**
+     * Drop everything before `start` from the buffer (its tags were already sent)
+     * @private
+     */
+    rebase(start) {
+        if (start === 0) return;
+        this.buffer = this.buffer.slice(start);
+        this.tags = this.tags.map(tag => ({ ...tag, at: tag.at - start }));
+    }
+}
@@ -4,6 +4,10 @@
  * Reduces 150+ lines of repetitive localStorage calls to clean utility functions
  */
 
+import { DEFAULT_AVATAR_TAG_VOCABULARY } from './avatar-tags.js';
+import { DEFAULT_PROMPT_TEMPLATE } from './prompt-template.js';
+import { DEFAULT_PRICE_TABLE } from './usage-tracker.js';
+
 export class SettingsManager {
     /**
      * Get a setting from localStorage with type conversion
@@ -102,23 +106,177 @@ export class SettingsManager {
 
     /**
      * Get provider-specific API key
-     * @param {string} provider - Provider name ('gemini', 'openai', 'openrouter', 'ollama')
+     * @param {string} provider - Provider name ('gemini', 'openai', 'openrouter', 'anthropic', 'ollama')
      * @returns {string} - API key for the provider
      */
     static getProviderApiKey(provider) {
+        // Custom endpoints keep their (optional) key alongside the endpoint definition
+        if (this.isCustomProvider(provider)) {
+            return this.getCustomEndpoint(provider)?.apiKey || '';
+        }
+
         const keyMap = {
             'gemini': 'geminiApiKey',
             'openai': 'openaiApiKey',
-            'openrouter': 'openrouterApiKey'
+            'openrouter': 'openrouterApiKey',
+            'anthropic': 'anthropicApiKey'
         };
 
         const keyName = keyMap[provider];
         return keyName ? this.get(keyName, '') : '';
     }
 
+    /**
+     * Check if a provider key refers to a user-defined custom endpoint
+     * @param {string} provider - Provider key
+     * @returns {boolean}
+     */
+    static isCustomProvider(provider) {
+        return typeof provider === 'string' && provider.startsWith('custom_');
+    }
+
+    /**
+     * Get all user-defined OpenAI-compatible endpoints
+     * @returns {Array<{id: string, name: string, baseUrl: string, apiKey: string, headers: object, modelsEndpoint: string}>}
+     */
+    static getCustomEndpoints() {
+        try {
+            const parsed = JSON.parse(this.get('customLlmEndpoints', '[]'));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn('⚠️ Invalid customLlmEndpoints in localStorage - ignoring');
+            return [];
+        }
+    }
+
+    /**
+     * Get a single custom endpoint by its provider key
+     * @param {string} id - Provider key (custom_...)
+     * @returns {object|null}
+     */
+    static getCustomEndpoint(id) {
+        return this.getCustomEndpoints().find(endpoint => endpoint.id === id) || null;
+    }
+
+    /**
+     * Save the full list of custom endpoints
+     * @param {Array} endpoints - Endpoint definitions
+     */
+    static setCustomEndpoints(endpoints) {
+        this.set('customLlmEndpoints', JSON.stringify(endpoints));
+    }
+
+    /**
+     * Get the LLM fallback chain (tried in order when the chat provider fails)
+     * @returns {Array<{provider: string, model: string}>} - Empty model = use that provider's saved model
+     */
+    static getFallbackChain() {
+        try {
+            const parsed = JSON.parse(this.get('llmFallbackChain', '[]'));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn('⚠️ Invalid llmFallbackChain in localStorage - ignoring');
+            return [];
+        }
+    }
+
+    /**
+     * Save the LLM fallback chain
+     * @param {Array<{provider: string, model: string}>} chain - Provider+model pairs in priority order
+     */
+    static setFallbackChain(chain) {
+        this.set('llmFallbackChain', JSON.stringify(chain));
+    }
+
+    /**
+     * Get extra cast members (the main character comes from Character & Personality)
+     * @returns {Array<{id: string, name: string, personality: string, ttsProvider: string, ttsVoice: string, fishVoiceId: string, avatarType: string, modelPath: string, memoryScope: string}>}
+     */
+    static getCastMembers() {
+        try {
+            const parsed = JSON.parse(this.get('characterCast', '[]'));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn('⚠️ Invalid characterCast in localStorage - ignoring');
+            return [];
+        }
+    }
+
+    /**
+     * Save the extra cast members
+     * @param {Array} members - Character definitions
+     */
+    static setCastMembers(members) {
+        this.set('characterCast', JSON.stringify(members));
+    }
+
+    /**
+     * Get the raw data of the last imported character card
+     * Kept so exports carry fields the app doesn't edit (tags, creator, extensions...)
+     * @returns {object|null}
+     */
+    static getCharacterCardData() {
+        try {
+            return JSON.parse(this.get('characterCardData', 'null'));
+        } catch (error) {
+            console.warn('⚠️ Invalid characterCardData in localStorage - ignoring');
+            return null;
+        }
+    }
+
+    /**
+     * Save (or clear with null) the last imported character card data
+     * @param {object|null} data - Card `data` object
+     */
+    static setCharacterCardData(data) {
+        if (data) {
+            this.set('characterCardData', JSON.stringify(data));
+        } else {
+            this.remove('characterCardData');
+        }
+    }
+
+    /**
+     * Get the user-set context length for a model
+     * @param {string} provider - Provider key
+     * @param {string} model - Model name
+     * @returns {number} - Tokens, or 0 if not set
+     */
+    static getModelContextLength(provider, model) {
+        try {
+            const lengths = JSON.parse(this.get('modelContextLengths', '{}'));
+            return parseInt(lengths[`${provider}|${model}`]) || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Set (or clear with 0) the context length for a model
+     * @param {string} provider - Provider key
+     * @param {string} model - Model name
+     * @param {number} tokens - Context length in tokens
+     */
+    static setModelContextLength(provider, model, tokens) {
+        let lengths = {};
+        try {
+            lengths = JSON.parse(this.get('modelContextLengths', '{}'));
+        } catch (error) {
+            lengths = {};
+        }
+
+        const key = `${provider}|${model}`;
+        if (tokens > 0) {
+            lengths[key] = tokens;
+        } else {
+            delete lengths[key];
+        }
+        this.set('modelContextLengths', JSON.stringify(lengths));
+    }
+
     /**
      * Get per-provider model selection
-     * @param {string} provider - Provider name ('ollama', 'openrouter', 'gemini', 'openai')
+     * @param {string} provider - Provider name ('ollama', 'openrouter', 'gemini', 'openai', 'anthropic')
      * @param {boolean} isSummarization - Whether this is for summarization LLM
      * @returns {string} - Model name for this provider
      */
@@ -131,7 +289,7 @@ export class SettingsManager {
 
     /**
      * Set per-provider model selection
-     * @param {string} provider - Provider name ('ollama', 'openrouter', 'gemini', 'openai')
+     * @param {string} provider - Provider name ('ollama', 'openrouter', 'gemini', 'openai', 'anthropic')
      * @param {string} model - Model name
      * @param {boolean} isSummarization - Whether this is for summarization LLM
      */
@@ -166,17 +324,35 @@ export class SettingsManager {
             openrouterModel: this.get('openrouterModel', ''),
             geminiModel: this.get('geminiModel', ''),
             openaiModel: this.get('openaiModel', ''),
+            anthropicModel: this.get('anthropicModel', ''),
 
             llmApiKey: currentApiKey,
             llmTemperature: this.get('llmTemperature', 0.7, 'float'),
             llmMaxTokens: this.get('llmMaxTokens', 2048, 'int'),
             llmStreaming: this.get('llmStreaming', true, 'bool'),
+            ttsMinChunkLength: this.get('ttsMinChunkLength', 20, 'int'), // Shorter streamed sentences are merged before TTS
+            ttsMaxChunkLength: this.get('ttsMaxChunkLength', 220, 'int'), // Longer ones are split at a clause break
+            ttsChunkFlushMs: this.get('ttsChunkFlushMs', 1200, 'int'), // Speak stalled text after this long (0 = wait for the sentence)
+            enableToolCalling: this.get('enableToolCalling', false, 'bool-inverse'), // Default: off (not every model supports tools)
+            showReasoning: this.get('showReasoning', false, 'bool-inverse'), // Reasoning model thoughts in a collapsible panel
+            thinkingPose: this.get('thinkingPose', 'expression=relaxed motion=Idle'), // Avatar tag actions while the model reasons ('' = gaze only)
+            llmMaxRetries: this.get('llmMaxRetries', 2, 'int'), // Retries on 429/5xx before failing over
             systemPrompt: this.get('systemPrompt', defaultSystemPrompt),
+            promptTemplate: this.get('promptTemplate', DEFAULT_PROMPT_TEMPLATE), // Layout of the system message ({{persona}}, {{memories}}...)
 
             // Character & Personality
             characterName: this.get('characterName', 'AI Companion'),
             characterPersonality: this.get('characterPersonality', defaultPersonality),
+            characterFirstMessage: this.get('characterFirstMessage', ''), // Greeting for an empty conversation
             userName: this.get('userName', ''),
+            castBanterTurns: this.get('castBanterTurns', 0, 'int'), // Cast replies to each other after a reply (0 = off)
+
+            // Idle Chatter (the character speaks up after a silence)
+            idleChatterEnabled: this.get('idleChatterEnabled', false, 'bool-inverse'),
+            idleChatterMinutes: this.get('idleChatterMinutes', 5, 'int'), // Silence before speaking up
+            idleChatterMaxPerHour: this.get('idleChatterMaxPerHour', 2, 'int'),
+            idleQuietStart: this.get('idleQuietStart', '23:00'), // No idle chatter between these times ('' = never quiet)
+            idleQuietEnd: this.get('idleQuietEnd', '08:00'),
 
             // TTS Settings
             ttsProvider: this.get('ttsProvider', 'edge'),
@@ -217,6 +393,8 @@ export class SettingsManager {
             idleAnimationPath: this.get('idleAnimationPath', 'assets/animations/Happy Idle.fbx'),
             talkingAnimationPath: this.get('talkingAnimationPath', 'assets/animations/Talking.fbx'),
             animationTransitionTime: this.get('animationTransitionTime', 0.3, 'float'),
+            enableAvatarTags: this.get('enableAvatarTags', true, 'bool'), // [happy] / <anim:...> tags in replies drive the avatar
+            avatarTagVocabulary: this.get('avatarTagVocabulary', DEFAULT_AVATAR_TAG_VOCABULARY),
 
             // Speech Recognition
             voiceHotkey: this.get('voiceHotkey', 'Shift'),
@@ -228,16 +406,28 @@ export class SettingsManager {
             showSpeechBubble: this.get('showSpeechBubble', true, 'bool'),
             showLiveSubtitles: this.get('showLiveSubtitles', true, 'bool'),
             subtitleDuration: this.get('subtitleDuration', 3, 'float'),
+            showPerfOverlay: this.get('showPerfOverlay', false, 'bool-inverse'), // Latency/FPS overlay
 
             // Memory Management
             memoryMode: this.get('memoryMode', 'auto-prune'),
             maxConversationHistory: this.get('maxConversationHistory', 50, 'int'),
             enableLongTermMemory: this.get('enableLongTermMemory', true, 'bool'),
+            saveImagesToMemory: this.get('saveImagesToMemory', false, 'bool-inverse'), // Attached images go into IndexedDB too
             autoSaveInterval: this.get('autoSaveInterval', 0, 'int'), // 0 = off
             enableAutoCleanup: this.get('enableAutoCleanup', false, 'bool-inverse'),
             memoryRetentionDays: this.get('memoryRetentionDays', 90, 'int'),
             minMemoryImportance: this.get('minMemoryImportance', 5, 'int'),
 
+            // Knowledge Base (uploaded documents searched next to memories)
+            knowledgeTopK: this.get('knowledgeTopK', 3, 'int'), // Passages per reply (0 = off)
+
+            // User Profile (facts about the user extracted by the summarization LLM)
+            userProfileEnabled: this.get('userProfileEnabled', true, 'bool'),
+
+            // Usage & Costs
+            usagePriceTable: this.get('usagePriceTable', DEFAULT_PRICE_TABLE), // $ per 1M tokens/characters
+            usageBudgets: this.get('usageBudgets', ''), // "provider dollars" monthly caps, one per line
+
             // Summarization LLM (separate from chat LLM)
             summarizationLlmProvider: this.get('summarizationLlmProvider', 'ollama'),
             summarizationLlmModel: this.get('summarizationLlmModel', ''), // Legacy - deprecated
@@ -247,6 +437,7 @@ export class SettingsManager {
             summarizationOpenrouterModel: this.get('summarizationOpenrouterModel', ''),
             summarizationGeminiModel: this.get('summarizationGeminiModel', ''),
             summarizationOpenaiModel: this.get('summarizationOpenaiModel', ''),
+            summarizationAnthropicModel: this.get('summarizationAnthropicModel', ''),
 
             // Eye Tracking
             enableEyeTracking: this.get('enableEyeTracking', true, 'bool')
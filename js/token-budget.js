@@ -0,0 +1,198 @@
+/**
+ * TokenBudget Utility
+ * Rough token estimation and priority-based prompt packing so long personalities,
+ * memories and history fit a model's context window
+ */
+
+// Chat formats add a few tokens per message for role/separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Rough cost of one attached image (downscaled to ~1024px) in a vision model's context
+const IMAGE_TOKENS = 800;
+
+// Most recent messages get packed before memories so the model keeps the thread
+const RECENT_HISTORY_MESSAGES = 4;
+
+export class TokenBudget {
+    /**
+     * Estimate tokens in a string without a tokenizer
+     * ~4 chars per token for Latin text, ~1 token per CJK character
+     * @param {string} text - Text to measure
+     * @returns {number} - Estimated token count
+     */
+    static estimateTokens(text) {
+        if (!text) return 0;
+
+        const cjkMatches = text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g);
+        const cjkCount = cjkMatches ? cjkMatches.length : 0;
+        const otherCount = text.length - cjkCount;
+
+        return Math.ceil(otherCount / 4) + cjkCount;
+    }
+
+    /**
+     * Estimate tokens for a chat message including per-message overhead
+     * @param {object} message - { role, content, images? } - content may be text or OpenAI/Anthropic parts
+     * @returns {number}
+     */
+    static estimateMessageTokens(message) {
+        let tokens = (message.images?.length || 0) * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS;
+
+        if (Array.isArray(message.content)) {
+            for (const part of message.content) {
+                tokens += part.type === 'image_url' || part.type === 'image'
+                    ? IMAGE_TOKENS
+                    : this.estimateTokens(part.text ?? JSON.stringify(part));
+            }
+            return tokens;
+        }
+
+        const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+        return tokens + this.estimateTokens(content);
+    }
+
+    /**
+     * Cut text down to roughly maxTokens, preferring a sentence boundary
+     * @param {string} text - Text to shorten
+     * @param {number} maxTokens - Token allowance
+     * @returns {string}
+     */
+    static truncateToTokens(text, maxTokens) {
+        if (this.estimateTokens(text) <= maxTokens) return text;
+
+        let cut = text.slice(0, Math.max(0, maxTokens * 4));
+        while (cut && this.estimateTokens(cut) > maxTokens) {
+            cut = cut.slice(0, Math.floor(cut.length * 0.9));
+        }
+
+        const lastSentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+        return lastSentenceEnd > cut.length * 0.5 ? cut.slice(0, lastSentenceEnd + 1) : cut;
+    }
+
+    /**
+     * Pack prompt parts into a token budget by priority:
+     * rest of the system message + user message (always) → personality → recent history →
+     * memories (most relevant first) → older history (newest first)
+     * @param {object} parts
+     * @param {number} parts.budget - Tokens available for the prompt (context length minus reply reserve)
+     * @param {Function} parts.renderSystemMessage - (personality, memories) => system message text
+     * @param {string} parts.personality - Character personality
+     * @param {string} parts.memoryContext - "- memory" lines, optionally grouped under header lines
+     * @param {Array} parts.history - Conversation history (chronological)
+     * @param {string} parts.userMessage - Current user message
+     * @param {Array} parts.userImages - Images attached to the user message
+     * @returns {{ messages: Array, report: object }} - Messages to send and what was dropped
+     */
+    static pack({ budget, renderSystemMessage, personality, memoryContext, history, userMessage, userImages = [] }) {
+        const report = {
+            budget,
+            used: 0,
+            personality: 'kept',
+            memoriesKept: 0,
+            memoriesDropped: 0,
+            historyKept: 0,
+            historyDropped: 0
+        };
+
+        // Required parts - sent even if they alone exceed the budget
+        let used = this.estimateTokens(renderSystemMessage('', '')) + MESSAGE_OVERHEAD_TOKENS +
+            this.estimateMessageTokens({ content: userMessage, images: userImages });
+        const fits = (tokens) => used + tokens <= budget;
+
+        // 1. Personality (truncated rather than dropped when at least a quarter fits)
+        let packedPersonality = '';
+        if (personality) {
+            const tokens = this.estimateTokens(personality) + 1;
+            if (fits(tokens)) {
+                packedPersonality = personality;
+                used += tokens;
+            } else if (budget - used >= tokens / 4) {
+                packedPersonality = this.truncateToTokens(personality, budget - used - 1);
+                used += this.estimateTokens(packedPersonality) + 1;
+                report.personality = 'truncated';
+            } else {
+                report.personality = 'dropped';
+            }
+        }
+
+        // 2. Most recent history
+        const historyCost = history.map(message => this.estimateMessageTokens(message));
+        const keptHistory = new Array(history.length).fill(false);
+        const recentStart = Math.max(0, history.length - RECENT_HISTORY_MESSAGES);
+        for (let i = history.length - 1; i >= recentStart; i--) {
+            if (!fits(historyCost[i])) break;
+            keptHistory[i] = true;
+            used += historyCost[i];
+        }
+
+        // 3. Memories, one line at a time (already sorted most relevant first).
+        // A header line (e.g. knowledge base passages) starts a section that is only sent if one of its lines is.
+        const sections = [];
+        (memoryContext || '').split('\n').forEach(line => {
+            const last = sections[sections.length - 1];
+            if (line.startsWith('- ')) {
+                if (last) last.items.push(line);
+                else sections.push({ header: '', items: [line], kept: [] });
+            } else if (line.trim()) {
+                if (last && last.items.length === 0) last.header = [last.header, line].filter(Boolean).join('\n');
+                else sections.push({ header: line, items: [], kept: [] });
+            }
+        });
+        const memoryCount = sections.reduce((sum, section) => sum + section.items.length, 0);
+        packing: for (const section of sections) {
+            const headerCost = section.header ? this.estimateTokens(section.header) + 1 : 0;
+            for (const item of section.items) {
+                const cost = this.estimateTokens(item) + (section.kept.length === 0 ? headerCost : 0);
+                if (!fits(cost)) break packing;
+                section.kept.push(item);
+                used += cost;
+            }
+        }
+        report.memoriesKept = sections.reduce((sum, section) => sum + section.kept.length, 0);
+        report.memoriesDropped = memoryCount - report.memoriesKept;
+
+        // 4. Older history, newest first, stopping at the first gap so the transcript stays contiguous
+        if (recentStart === 0 || keptHistory[recentStart]) {
+            for (let i = recentStart - 1; i >= 0; i--) {
+                if (!fits(historyCost[i])) break;
+                keptHistory[i] = true;
+                used += historyCost[i];
+            }
+        }
+        report.historyKept = keptHistory.filter(Boolean).length;
+        report.historyDropped = history.length - report.historyKept;
+        report.used = used;
+
+        const memories = sections
+            .filter(section => section.kept.length > 0)
+            .flatMap(section => [section.header, ...section.kept])
+            .filter(Boolean)
+            .join('\n');
+
+        return {
+            messages: [
+                { role: 'system', content: renderSystemMessage(packedPersonality, memories) },
+                ...history.filter((_, i) => keptHistory[i]),
+                userImages.length > 0
+                    ? { role: 'user', content: userMessage, images: userImages }
+                    : { role: 'user', content: userMessage }
+            ],
+            report
+        };
+    }
+
+    /**
+     * One-line human summary of a pack report
+     * @param {object} report - Report from pack()
+     * @returns {string}
+     */
+    static describeReport(report) {
+        const dropped = [];
+        if (report.historyDropped > 0) dropped.push(`${report.historyDropped} old message${report.historyDropped === 1 ? '' : 's'}`);
+        if (report.memoriesDropped > 0) dropped.push(`${report.memoriesDropped} memor${report.memoriesDropped === 1 ? 'y' : 'ies'}`);
+        if (report.personality !== 'kept') dropped.push(`personality ${report.personality}`);
+
+        const usage = `~${report.used}/${report.budget} tokens`;
+        return dropped.length > 0 ? `${usage} · dropped ${dropped.join(', ')}` : `${usage} · nothing dropped`;
+    }
+}
@@ -0,0 +1,370 @@
+/**
+ * UsageTracker
+ * Tokens and TTS characters used per day, provider and model, kept in IndexedDB, with
+ * estimated cost from an editable price table and optional monthly budget caps
+ */
+
+export const USAGE_STORE_NAME = 'usage';
+
+// Dollars per 1M tokens (input/output) or 1M characters (chars). First matching line wins.
+export const DEFAULT_PRICE_TABLE = `# provider model input=$ output=$ (per 1M tokens) or chars=$ (per 1M characters)
+# First matching line wins, * matches anything. OpenRouter models not listed here use OpenRouter's own prices.
+openai gpt-4o-mini* input=0.15 output=0.60
+openai gpt-4o* input=2.50 output=10
+openai gpt-4.1-nano* input=0.10 output=0.40
+openai gpt-4.1-mini* input=0.40 output=1.60
+openai gpt-4.1* input=2 output=8
+openai gpt-5-nano* input=0.05 output=0.40
+openai gpt-5-mini* input=0.25 output=2
+openai gpt-5* input=1.25 output=10
+openai o4-mini* input=1.10 output=4.40
+openai o3-mini* input=1.10 output=4.40
+openai o3* input=2 output=8
+anthropic claude-opus-4* input=15 output=75
+anthropic claude-sonnet-4* input=3 output=15
+anthropic claude-haiku-4* input=1 output=5
+anthropic claude-3-5-haiku* input=0.80 output=4
+gemini gemini-2.5-pro* input=1.25 output=10
+gemini gemini-2.5-flash-lite* input=0.10 output=0.40
+gemini gemini-2.5-flash* input=0.30 output=2.50
+fish * chars=15
+ollama * input=0 output=0
+local * input=0 output=0`;
+
+const PRICE_KEYS = ['input', 'output', 'chars'];
+
+// Local calendar day, e.g. "2025-03-09"
+function dayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "gpt-4o*" -> /^gpt-4o.*$/i
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+export class UsageTracker {
+    /**
+     * @param {object} options
+     * @param {Function} options.onChange - Called after usage is recorded, loaded or cleared
+     */
+    constructor({ onChange = null } = {}) {
+        this.onChange = onChange;
+        this.db = null;
+        this.records = new Map(); // "day|provider|model" -> record
+        this.prices = [];
+        this.listedPrices = new Map(); // "provider|model" -> prices the provider publishes
+        this.budgets = {};
+    }
+
+    /**
+     * Local calendar day key used for records
+     * @param {Date} date
+     * @returns {string}
+     */
+    static dayKey(date = new Date()) {
+        return dayKey(date);
+    }
+
+    /**
+     * Parse a price table - one "provider model key=value..." line each, # for comments
+     * @param {string} text - Price table text
+     * @returns {{ prices: Array, errors: Array<string> }}
+     */
+    static parsePriceTable(text) {
+        const prices = [];
+        const errors = [];
+
+        (text || '').split('\n').forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const [provider, model, ...pairs] = line.split(/\s+/);
+            if (!model || pairs.length === 0) {
+                errors.push(`Line ${i + 1}: expected "provider model input=… output=…"`);
+                return;
+            }
+
+            const entry = { provider: globToRegExp(provider), model: globToRegExp(model) };
+            for (const pair of pairs) {
+                const [key, value] = pair.split('=');
+                const amount = Number(String(value).replace(/^\$/, ''));
+                if (!PRICE_KEYS.includes(key)) {
+                    errors.push(`Line ${i + 1}: unknown key "${key}"`);
+                } else if (value === undefined || value === '' || Number.isNaN(amount) || amount < 0) {
+                    errors.push(`Line ${i + 1}: "${pair}" is not a price`);
+                } else {
+                    entry[key] = amount;
+                }
+            }
+
+            if (PRICE_KEYS.some(key => entry[key] !== undefined)) {
+                prices.push(entry);
+            }
+        });
+
+        return { prices, errors };
+    }
+
+    /**
+     * Parse monthly budget caps - "provider dollars" per line, "total" for all providers together
+     * @param {string} text - Budget text
+     * @returns {{ budgets: object, errors: Array<string> }}
+     */
+    static parseBudgets(text) {
+        const budgets = {};
+        const errors = [];
+
+        (text || '').split('\n').forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const match = /^(\S+)\s+\$?(\d+(?:\.\d+)?)$/.exec(line);
+            if (!match) {
+                errors.push(`Line ${i + 1}: expected "provider dollars", e.g. "openai 5"`);
+                return;
+            }
+            budgets[match[1].toLowerCase()] = Number(match[2]);
+        });
+
+        return { budgets, errors };
+    }
+
+    /**
+     * Read token counts from an API usage object (OpenAI or Anthropic field names)
+     * Streams report usage in pieces (Anthropic: input at the start, output at the end),
+     * so counts missing from this object are kept from `previous`
+     * @param {object} apiUsage - `usage` from the response or a stream event
+     * @param {object|null} previous - Counts read so far in this response
+     * @returns {{ promptTokens: number, completionTokens: number }|null}
+     */
+    static readApiUsage(apiUsage, previous = null) {
+        if (!apiUsage) return previous;
+
+        const promptTokens = apiUsage.prompt_tokens ?? (apiUsage.input_tokens !== undefined
+            ? apiUsage.input_tokens + (apiUsage.cache_creation_input_tokens || 0) + (apiUsage.cache_read_input_tokens || 0)
+            : undefined);
+        const completionTokens = apiUsage.completion_tokens ?? apiUsage.output_tokens;
+
+        return {
+            promptTokens: promptTokens || previous?.promptTokens || 0,
+            completionTokens: completionTokens ?? previous?.completionTokens ?? 0
+        };
+    }
+
+    /**
+     * Load stored usage
+     * @param {IDBDatabase} db - Database with a USAGE_STORE_NAME store
+     * @returns {Promise<void>}
+     */
+    attach(db) {
+        this.db = db;
+        return new Promise((resolve, reject) => {
+            const request = db.transaction([USAGE_STORE_NAME], 'readonly').objectStore(USAGE_STORE_NAME).getAll();
+            request.onsuccess = () => {
+                // Anything recorded before loading finished is newer than what's stored
+                const recorded = this.records;
+                this.records = new Map(request.result.map(record => [record.key, record]));
+                recorded.forEach((record, key) => {
+                    this.records.set(key, this.mergeRecords(this.records.get(key), record));
+                    this.save(this.records.get(key));
+                });
+                this.onChange?.();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @param {string} text - Price table text (see DEFAULT_PRICE_TABLE)
+     * @returns {Array<string>} - Parse errors
+     */
+    setPriceTable(text) {
+        const { prices, errors } = UsageTracker.parsePriceTable(text);
+        this.prices = prices;
+        this.onChange?.();
+        return errors;
+    }
+
+    /**
+     * Prices published by the provider (OpenRouter's model list), used when the table has no match
+     * @param {string} provider - Provider key
+     * @param {string} model - Model id
+     * @param {object} prices - { input, output } in dollars per 1M tokens
+     */
+    setListedPrice(provider, model, prices) {
+        this.listedPrices.set(`${provider}|${model}`, prices);
+    }
+
+    /**
+     * @param {string} text - Budget text ("openai 5", "total 20")
+     * @returns {Array<string>} - Parse errors
+     */
+    setBudgets(text) {
+        const { budgets, errors } = UsageTracker.parseBudgets(text);
+        this.budgets = budgets;
+        this.onChange?.();
+        return errors;
+    }
+
+    /**
+     * Add usage for today
+     * @param {object} usage
+     * @param {string} usage.provider - Provider key ("openai", "fish"...)
+     * @param {string} usage.model - Model id (or voice id for TTS)
+     * @param {number} usage.promptTokens - Input tokens
+     * @param {number} usage.completionTokens - Output tokens (including reasoning)
+     * @param {number} usage.characters - TTS characters
+     * @param {boolean} usage.estimated - Counts were estimated because the API didn't report them
+     */
+    record({ provider, model, promptTokens = 0, completionTokens = 0, characters = 0, estimated = false }) {
+        const day = dayKey();
+        const key = `${day}|${provider}|${model}`;
+        const record = this.mergeRecords(this.records.get(key), {
+            key, day, provider, model,
+            requests: 1,
+            promptTokens,
+            completionTokens,
+            characters,
+            estimatedRequests: estimated ? 1 : 0
+        });
+        this.records.set(key, record);
+        this.save(record);
+        this.onChange?.();
+    }
+
+    /**
+     * Write one record to IndexedDB (kept in memory only until attach())
+     * @private
+     */
+    save(record) {
+        if (!this.db) return;
+        const transaction = this.db.transaction([USAGE_STORE_NAME], 'readwrite');
+        transaction.objectStore(USAGE_STORE_NAME).put(record);
+        transaction.onerror = () => console.warn('⚠️ Failed to save usage:', transaction.error);
+    }
+
+    /**
+     * Delete all recorded usage
+     * @returns {Promise<void>}
+     */
+    clear() {
+        this.records.clear();
+        this.onChange?.();
+        if (!this.db) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([USAGE_STORE_NAME], 'readwrite');
+            transaction.objectStore(USAGE_STORE_NAME).clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Price for a provider/model - table first, then the provider's listed price
+     * @param {string} provider
+     * @param {string} model
+     * @returns {object|null} - { input?, output?, chars? } in dollars per 1M, null if unknown
+     */
+    priceFor(provider, model) {
+        return this.prices.find(entry => entry.provider.test(provider) && entry.model.test(model))
+            || this.listedPrices.get(`${provider}|${model}`)
+            || null;
+    }
+
+    /**
+     * Estimated cost of a record in dollars (null when there's no price for it)
+     * @param {object} record
+     * @returns {number|null}
+     */
+    costOf(record) {
+        const price = this.priceFor(record.provider, record.model);
+        if (!price) return null;
+
+        return ((price.input || 0) * record.promptTokens
+            + (price.output || 0) * record.completionTokens
+            + (price.chars || 0) * record.characters) / 1e6;
+    }
+
+    /**
+     * Usage between two days (inclusive), one row per provider/model, most expensive first
+     * @param {string} fromDay - First day key
+     * @param {string} toDay - Last day key
+     * @returns {{ rows: Array, total: object }}
+     */
+    summarize(fromDay, toDay = dayKey()) {
+        const rows = new Map();
+        for (const record of this.records.values()) {
+            if (record.day < fromDay || record.day > toDay) continue;
+            const key = `${record.provider}|${record.model}`;
+            rows.set(key, this.mergeRecords(rows.get(key), { ...record, key }));
+        }
+
+        const total = { requests: 0, promptTokens: 0, completionTokens: 0, characters: 0, cost: 0, unpriced: 0 };
+        const list = [...rows.values()].map(row => {
+            const cost = this.costOf(row);
+            total.requests += row.requests;
+            total.promptTokens += row.promptTokens;
+            total.completionTokens += row.completionTokens;
+            total.characters += row.characters;
+            if (cost === null) total.unpriced++;
+            else total.cost += cost;
+            return { ...row, cost };
+        });
+
+        list.sort((a, b) => (b.cost || 0) - (a.cost || 0) || b.requests - a.requests);
+        return { rows: list, total };
+    }
+
+    /**
+     * Estimated spend this calendar month
+     * @param {string|null} provider - One provider, or null for all of them
+     * @returns {number} - Dollars
+     */
+    monthCost(provider = null) {
+        const monthStart = `${dayKey().slice(0, 7)}-01`;
+        let cost = 0;
+        for (const record of this.records.values()) {
+            if (record.day >= monthStart && (!provider || record.provider === provider)) {
+                cost += this.costOf(record) || 0;
+            }
+        }
+        return cost;
+    }
+
+    /**
+     * The monthly cap a request to this provider would go over, if any
+     * @param {string} provider - Provider key
+     * @returns {{ scope: string, spent: number, cap: number }|null} - scope is the provider key or "total"
+     */
+    getExceededBudget(provider) {
+        for (const scope of [provider, 'total']) {
+            const cap = this.budgets[scope];
+            if (cap === undefined) continue;
+
+            const spent = this.monthCost(scope === 'total' ? null : provider);
+            if (spent >= cap) return { scope, spent, cap };
+        }
+        return null;
+    }
+
+    /**
+     * Sum the counts of two records (a may be missing)
+     * @private
+     */
+    mergeRecords(a, b) {
+        if (!a) return { ...b };
+        return {
+            ...a,
+            requests: a.requests + b.requests,
+            promptTokens: a.promptTokens + b.promptTokens,
+            completionTokens: a.completionTokens + b.completionTokens,
+            characters: a.characters + b.characters,
+            estimatedRequests: a.estimatedRequests + b.estimatedRequests
+        };
+    }
+}
@@ -0,0 +1,270 @@
+/**
+ * UserProfile
+ * Durable facts about the user (name, birthday, likes, dislikes, relationships, plans) pulled
+ * out of the conversation by the summarization LLM, kept in IndexedDB and sent with every prompt
+ */
+
+export const PROFILE_STORE_NAME = 'profile';
+
+// Fact types in display order, with their labels
+export const PROFILE_FACT_TYPES = {
+    name: 'Name',
+    birthday: 'Birthday',
+    likes: 'Likes',
+    dislikes: 'Dislikes',
+    relationships: 'Relationships',
+    plans: 'Plans'
+};
+
+// Only one of these can be true at a time - a new one replaces the old
+const SINGLE_VALUE_TYPES = new Set(['name', 'birthday']);
+// Liking something contradicts disliking it
+const OPPOSITE_TYPES = { likes: 'dislikes', dislikes: 'likes' };
+
+const MIN_CONFIDENCE = 0.5; // Extracted facts below this are dropped
+const SOURCE_CHARS = 200;
+
+// "Spicy ramen!" and "spicy ramen" are the same fact
+function normalize(value) {
+    return value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function createId() {
+    return `fact_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export class UserProfile {
+    /**
+     * @param {object} options
+     * @param {Function} options.onChange - Called after facts are added, changed, removed or loaded
+     */
+    constructor({ onChange } = {}) {
+        this.onChange = onChange;
+        this.facts = new Map(); // id -> { id, type, value, confidence, source: { text, at }, createdAt, updatedAt, edited }
+        this.db = null;
+    }
+
+    /**
+     * Messages asking an LLM for new profile facts in some user messages
+     * @param {Array<{ text: string, context: string }>} messages - What the user said, with the reply it answered
+     * @param {Array<object>} facts - Known facts (so contradictions can point at them)
+     * @returns {Array<{ role: string, content: string }>} - For callLLM's customMessages
+     */
+    static buildExtractionMessages(messages, facts = []) {
+        // Facts the user set or corrected are listed without ids - they can't be replaced
+        const learned = facts.filter(fact => !fact.edited);
+        const confirmed = facts.filter(fact => fact.edited);
+        const known = learned.length > 0
+            ? learned.map(fact => `- ${fact.id} | ${fact.type} | ${fact.value}`).join('\n')
+            : '(none yet)';
+        const fixed = confirmed.length > 0
+            ? `\n\nConfirmed by the user (type | value) - never contradict or repeat these:\n${confirmed.map(fact => `- ${fact.type} | ${fact.value}`).join('\n')}`
+            : '';
+        const transcript = messages
+            .map((message, i) => (message.context ? `Assistant: ${message.context}\n` : '') + `User (message ${i + 1}): ${message.text}`)
+            .join('\n\n');
+
+        return [
+            {
+                role: 'system',
+                content: 'You extract durable facts about the user from chat messages for a long-term profile. Reply with JSON only, no other text.'
+            },
+            {
+                role: 'user',
+                content: `Known facts (id | type | value):
+${known}${fixed}
+
+New messages:
+${transcript}
+
+List facts the USER states about themselves in the new messages that are worth remembering for months.
+Types: ${Object.keys(PROFILE_FACT_TYPES).join(', ')}.
+- value: a short phrase ("spicy ramen", "sister: Maya", "trip to Japan in May")
+- confidence: 0 to 1 (how sure you are the user means it - jokes, hypotheticals and role-play are low)
+- replaces: ids of known facts this contradicts or updates (e.g. a new name, a plan that changed), else []
+- message: number of the message it came from
+Skip facts that are already known unchanged, small talk and anything about the assistant.
+
+Reply exactly like: {"facts": [{"type": "likes", "value": "spicy ramen", "confidence": 0.9, "replaces": [], "message": 1}]}
+Reply {"facts": []} if there is nothing new.`
+            }
+        ];
+    }
+
+    /**
+     * Facts from an extraction reply (tolerates code fences, reasoning and stray text around the JSON)
+     * @param {string} text - LLM reply
+     * @returns {Array<{ type: string, value: string, confidence: number, replaces: Array<string>, message: number }>}
+     */
+    static parseExtraction(text) {
+        const cleaned = (text || '').replace(/<think>[\s\S]*?<\/think>/gi, '');
+        const start = cleaned.search(/[[{]/);
+        const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+        if (start === -1 || end <= start) return [];
+
+        let parsed;
+        try {
+            parsed = JSON.parse(cleaned.slice(start, end + 1));
+        } catch {
+            return [];
+        }
+
+        const facts = Array.isArray(parsed) ? parsed : parsed.facts;
+        if (!Array.isArray(facts)) return [];
+
+        return facts
+            .filter(fact => fact && PROFILE_FACT_TYPES[fact.type] && typeof fact.value === 'string' && fact.value.trim())
+            .map(fact => ({
+                type: fact.type,
+                value: fact.value.trim(),
+                confidence: Math.min(1, Math.max(0, Number(fact.confidence) || 0)),
+                replaces: Array.isArray(fact.replaces) ? fact.replaces.map(String) : [],
+                message: parseInt(fact.message) || 0
+            }));
+    }
+
+    /**
+     * Load stored facts
+     * @param {IDBDatabase} db - Database with a PROFILE_STORE_NAME store
+     * @returns {Promise<void>}
+     */
+    attach(db) {
+        this.db = db;
+        return new Promise((resolve, reject) => {
+            const request = db.transaction([PROFILE_STORE_NAME], 'readonly').objectStore(PROFILE_STORE_NAME).getAll();
+            request.onsuccess = () => {
+                request.result.forEach(fact => this.facts.set(fact.id, fact));
+                this.onChange?.();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add extracted facts - restatements refresh the existing fact, contradicted older facts are removed.
+     * Facts the user set or corrected are never replaced: a fact contradicting one is dropped instead.
+     * @param {Array<object>} extracted - From parseExtraction()
+     * @param {Array<{ text: string, at: number }>} sources - Messages the facts came from (fact.message is 1-based, default the last)
+     * @returns {{ added: Array<object>, replaced: Array<object> }}
+     */
+    merge(extracted, sources) {
+        const added = [];
+        const replaced = [];
+        const saved = [];
+        const now = Date.now();
+
+        extracted.filter(fact => fact.confidence >= MIN_CONFIDENCE).forEach(fact => {
+            const source = sources[fact.message - 1] || sources[sources.length - 1];
+            const sourceRecord = { text: source.text.slice(0, SOURCE_CHARS), at: source.at || now };
+            const key = normalize(fact.value);
+            const contradicted = this.list().filter(old =>
+                fact.replaces.includes(old.id) ||
+                (old.type === fact.type && SINGLE_VALUE_TYPES.has(fact.type) && normalize(old.value) !== key) ||
+                (old.type === OPPOSITE_TYPES[fact.type] && normalize(old.value) === key)
+            );
+            if (contradicted.some(old => old.edited)) return;
+
+            contradicted.forEach(old => {
+                this.facts.delete(old.id);
+                replaced.push(old);
+            });
+
+            const existing = this.list().find(old => old.type === fact.type && normalize(old.value) === key);
+            const record = existing
+                ? { ...existing, value: existing.edited ? existing.value : fact.value, confidence: Math.max(existing.confidence, fact.confidence), source: sourceRecord, updatedAt: now }
+                : { id: createId(), type: fact.type, value: fact.value, confidence: fact.confidence, source: sourceRecord, createdAt: now, updatedAt: now };
+            this.facts.set(record.id, record);
+            saved.push(record);
+            if (!existing) added.push(record);
+        });
+
+        if (saved.length > 0 || replaced.length > 0) {
+            this.write(store => {
+                replaced.forEach(fact => store.delete(fact.id));
+                saved.forEach(fact => store.put(fact));
+            });
+            this.onChange?.();
+        }
+        return { added, replaced };
+    }
+
+    /**
+     * Add a fact by hand (full confidence)
+     * @param {string} type - One of PROFILE_FACT_TYPES
+     * @param {string} value - The fact
+     * @returns {object} - The stored fact
+     */
+    add(type, value) {
+        const now = Date.now();
+        const fact = { id: createId(), type, value, confidence: 1, source: { text: 'Added by you', at: now }, createdAt: now, updatedAt: now, edited: true };
+        this.facts.set(fact.id, fact);
+        this.write(store => store.put(fact));
+        this.onChange?.();
+        return fact;
+    }
+
+    /**
+     * Correct a fact - corrections are trusted fully
+     * @param {string} id - Fact id
+     * @param {object} changes - { type, value }
+     */
+    update(id, changes) {
+        const fact = this.facts.get(id);
+        if (!fact) return;
+        Object.assign(fact, changes, { confidence: 1, updatedAt: Date.now(), edited: true });
+        this.write(store => store.put(fact));
+        this.onChange?.();
+    }
+
+    /**
+     * Remove a fact
+     * @param {string} id - Fact id
+     */
+    remove(id) {
+        if (!this.facts.delete(id)) return;
+        this.write(store => store.delete(id));
+        this.onChange?.();
+    }
+
+    /**
+     * Remove every fact
+     */
+    clear() {
+        this.facts.clear();
+        this.write(store => store.clear());
+        this.onChange?.();
+    }
+
+    /**
+     * Facts in type order, newest first within a type
+     * @returns {Array}
+     */
+    list() {
+        const order = Object.keys(PROFILE_FACT_TYPES);
+        return Array.from(this.facts.values())
+            .sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) || b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Profile as prompt lines, one per type ("- Likes: spicy ramen; hiking")
+     * @returns {string} - Empty when nothing is known
+     */
+    toPrompt() {
+        const byType = new Map();
+        this.list().forEach(fact => {
+            byType.set(fact.type, [...(byType.get(fact.type) || []), fact.value]);
+        });
+        return Array.from(byType, ([type, values]) => `- ${PROFILE_FACT_TYPES[type]}: ${values.join('; ')}`).join('\n');
+    }
+
+    /**
+     * @private
+     */
+    write(apply) {
+        if (!this.db) return;
+        const transaction = this.db.transaction([PROFILE_STORE_NAME], 'readwrite');
+        apply(transaction.objectStore(PROFILE_STORE_NAME));
+        transaction.onerror = () => console.warn('⚠️ Failed to save profile:', transaction.error);
+    }
+}